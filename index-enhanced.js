@@ -15,9 +15,19 @@ const MetricsAggregator = require('./lib/metrics-aggregator');
 const RequestDeduplicator = require('./lib/request-deduplicator');
 const CircuitBreaker = require('./lib/circuit-breaker');
 const EmbeddingQueue = require('./lib/embedding-queue');
+const EmbeddingProviderRegistry = require('./lib/embedding-provider-registry');
+const EmbeddingStore = require('./lib/embedding-store');
 const WeaviateConnectionPool = require('./lib/weaviate-connection-pool');
+const FederatedSearch = require('./lib/federated-search');
+const ObjectExporter = require('./lib/object-exporter');
 const OptimizedWeaviateClient = require('./lib/optimized-weaviate-client');
 const WeaviateOptimizer = require('./weaviate-optimizer');
+const McpServer = require('./lib/mcp-server');
+const { registerWeaviateTools } = require('./lib/mcp-tools');
+const McpProxy = require('./lib/mcp-proxy');
+const McpGateway = require('./lib/mcp-gateway');
+const McpToolPolicy = require('./lib/mcp-tool-policy');
+const McpAuditLog = require('./lib/mcp-audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,36 +39,50 @@ const metricsCollector = new MetricsCollector();
 const metricsAggregator = new MetricsAggregator();
 const requestDeduplicator = new RequestDeduplicator();
 const weaviatePool = new WeaviateConnectionPool({ poolSize: 5 });
+const objectExporter = new ObjectExporter({ pool: weaviatePool });
 
 // Circuit breakers for each service
 const circuitBreakers = {
     mcp: new CircuitBreaker({ threshold: 5, timeout: 30000 }),
     weaviate: new CircuitBreaker({ threshold: 3, timeout: 20000 }),
-    cohere: new CircuitBreaker({ threshold: 3, timeout: 15000 }),
+    cohereRerank: new CircuitBreaker({ threshold: 3, timeout: 30000 }),
     openrouter: new CircuitBreaker({ threshold: 5, timeout: 30000 })
 };
 
-// Embedding queue with Cohere batch processor
-const embeddingQueue = new EmbeddingQueue({ batchSize: 96, maxWait: 100 });
+// Embedding providers (Cohere, OpenAI-compatible, local), each with its own circuit breaker
+const embeddingProviders = EmbeddingProviderRegistry.fromEnv(process.env, {
+    connectionManager,
+    breaker: { threshold: 3, timeout: 15000 }
+});
+
+// Persistent embeddings (null when EMBEDDING_STORE=off)
+const embeddingStore = EmbeddingStore.shared();
+
+// Embedding queue batching requests per provider, reading through the store.
+// Search queries go ahead of bulk imports; a full lane rejects new texts
+// (EMBEDDING_QUEUE_OVERFLOW=reject) or makes callers wait for room (block)
+const embeddingQueue = new EmbeddingQueue({
+    batchSize: 96,
+    maxWait: 100,
+    store: embeddingStore,
+    maxDepth: parseInt(process.env.EMBEDDING_QUEUE_MAX_DEPTH, 10) || 5000,
+    overflow: process.env.EMBEDDING_QUEUE_OVERFLOW || 'reject'
+});
 
 // Set up embedding batch processor
 embeddingQueue.setBatchProcessor(async (items) => {
     const texts = items.map(item => item.text);
-    const options = items[0].options; // Assume same options for batch
+    const options = items[0].options; // Items are grouped by provider, model and input type
     
     try {
-        const embeddings = await circuitBreakers.cohere.execute(
-            async () => {
-                const cohereConnection = connectionManager.getConnection('cohere');
-                const response = await cohereConnection.client.embed({
-                    texts,
-                    model: options.model || 'embed-english-v3.0',
-                    inputType: options.inputType || 'search_document'
-                });
-                return response.embeddings;
-            },
-            'cohere-embed'
-        );
+        const embeddings = await embeddingProviders.embed(texts, {
+            provider: options.provider,
+            inputType: options.inputType
+        });
+        metricsAggregator.addMetric('embedding_texts', texts.length, Date.now(), {
+            provider: options.provider,
+            inputType: options.inputType
+        });
 
         // Resolve all promises with their respective embeddings
         items.forEach((item, index) => {
@@ -73,30 +97,62 @@ embeddingQueue.setBatchProcessor(async (items) => {
 // Enhanced Weaviate client with all optimizations
 class EnhancedWeaviateClient extends OptimizedWeaviateClient {
     constructor() {
-        super();
+        // The queue reads through the embedding store, so the client doesn't
+        super({ embeddingProviders, embeddingStore: null, cacheManager });
         this.pool = weaviatePool;
         this.deduplicator = requestDeduplicator;
         this.embeddingQueue = embeddingQueue;
         this.circuitBreaker = circuitBreakers.weaviate;
+        this.reranker.circuitBreaker = circuitBreakers.cohereRerank;
     }
 
     async query(className, queryText, options = {}) {
-        const dedupeKey = `query:${className}:${queryText}:${JSON.stringify(options)}`;
+        // Bad search options and filters are the caller's fault, not
+        // Weaviate's: reject them before they count against the circuit breaker
+        this.resolveSearchMode(options);
+        this.buildWhere(options);
+        this.embeddingOptions(className, options);
+
+        const { signal, ...keyOptions } = options;
+        const dedupeKey = `query:${className}:${queryText}:${JSON.stringify(keyOptions)}`;
         
-        return this.deduplicator.dedupe(dedupeKey, async () => {
-            return this.circuitBreaker.execute(
-                async () => super.query(className, queryText, options),
-                'weaviate-query'
-            );
-        });
+        // The shared query is abandoned only once every caller has hung up
+        return this.deduplicator.dedupe(dedupeKey, async (sharedSignal) => {
+            const outcome = await this.circuitBreaker.execute(async () => {
+                try {
+                    return { value: await super.query(className, queryText, { ...keyOptions, signal: sharedSignal }) };
+                } catch (error) {
+                    // A client hanging up or a full embedding queue says nothing about Weaviate's health
+                    if (error.name === 'AbortError' || ['EMBEDDING_QUEUE_FULL', 'EMBEDDING_BATCH_TOO_LARGE'].includes(error.code)) {
+                        return { error };
+                    }
+                    throw error;
+                }
+            }, 'weaviate-query');
+
+            if (outcome.error) {
+                throw outcome.error;
+            }
+            return outcome.value;
+        }, signal);
     }
 
-    async generateEmbedding(text) {
-        // Use the embedding queue for better batching
-        return this.embeddingQueue.add(text);
+    /**
+     * Embed cache misses through the queue, batched with other requests:
+     * queries in the interactive lane, documents in the bulk lane
+     */
+    async embedTexts(texts, provider, options = {}) {
+        return this.embeddingQueue.addBatch(texts, {
+            provider: provider.name,
+            model: provider.model,
+            inputType: options.inputType || 'document'
+        }, {
+            lane: options.lane,
+            signal: options.signal
+        });
     }
 
-    async batchInsert(className, objects) {
+    async batchInsert(className, objects, options = {}) {
         return this.circuitBreaker.execute(
             async () => {
                 return this.pool.execute(async (client) => {
@@ -105,7 +161,7 @@ class EnhancedWeaviateClient extends OptimizedWeaviateClient {
                     this.connectionManager.getConnection('weaviate').client = client;
                     
                     try {
-                        return await super.batchInsert(className, objects);
+                        return await super.batchInsert(className, objects, options);
                     } finally {
                         // Restore original client
                         this.connectionManager.getConnection('weaviate').client = originalClient;
@@ -118,7 +174,46 @@ class EnhancedWeaviateClient extends OptimizedWeaviateClient {
 }
 
 const weaviateClient = new EnhancedWeaviateClient();
-const optimizer = new WeaviateOptimizer();
+const optimizer = new WeaviateOptimizer({ cacheManager });
+
+// Search across several classes, merged with reciprocal rank fusion
+const federatedSearch = new FederatedSearch({
+    pool: weaviatePool,
+    embed: (text, options) => weaviateClient.generateEmbedding(text, options),
+    metricsCollector
+});
+
+// MCP server exposing Weaviate operations as tools
+const mcpServer = new McpServer({
+    version: require('./package.json').version,
+    metricsCollector
+});
+registerWeaviateTools(mcpServer, { weaviateClient, optimizer, federatedSearch });
+
+// Tool allow/deny policy for proxied MCP calls, audited to an append-only log
+const mcpToolPolicy = McpToolPolicy.fromEnv({ auditLog: new McpAuditLog() });
+
+// MCP gateway merging local tools with every upstream's tools
+const mcpGateway = new McpGateway({
+    version: require('./package.json').version,
+    connectionManager,
+    cacheManager,
+    metricsCollector,
+    policy: mcpToolPolicy
+});
+registerWeaviateTools(mcpGateway, { weaviateClient, optimizer, federatedSearch });
+mcpGateway.start();
+
+const mcpProxy = new McpProxy({
+    connectionManager,
+    cacheManager,
+    metricsCollector,
+    metricsAggregator,
+    circuitBreaker: circuitBreakers.mcp,
+    deduplicator: requestDeduplicator,
+    toolCatalog: mcpGateway,
+    policy: mcpToolPolicy
+});
 
 // Enhanced middleware with Brotli compression
 app.use(helmet());
@@ -179,6 +274,7 @@ const createRateLimiter = (windowMs, max, message) => rateLimit({
 
 // Apply rate limiters
 app.use('/api/', createRateLimiter(60000, 100, 'Too many requests'));
+app.use('/mcp', createRateLimiter(60000, 100, 'Too many requests'));
 app.use('/api/weaviate/optimize', createRateLimiter(300000, 5, 'Optimization rate limit exceeded'));
 app.use('/api/weaviate/batch', createRateLimiter(60000, 20, 'Batch operation rate limit exceeded'));
 
@@ -206,6 +302,10 @@ app.get('/health', async (req, res) => {
             metrics,
             circuits: circuitStatus,
             deduplication: requestDeduplicator.getStats(),
+            mcpProxy: mcpProxy.getStats(),
+            mcpUpstreams: connectionManager.mcpUpstreams.getStats(),
+            embeddingProviders: embeddingProviders.getStats(),
+            mcpGateway: mcpGateway.getStats(),
             embeddingQueue: embeddingQueue.getStats()
         });
     } catch (error) {
@@ -241,69 +341,76 @@ app.get('/metrics', async (req, res) => {
     }
 });
 
-// MCP proxy endpoints with circuit breaker
-app.all('/api/mcp/*', async (req, res) => {
-    const path = req.params[0];
-    const start = Date.now();
-    
+// Embedding providers: dimensions, batch size, input types and which classes use them
+app.get('/api/embedding-providers', (req, res) => {
+    res.json(embeddingProviders.getStats());
+});
+
+// MCP server endpoint (Streamable HTTP transport)
+app.all('/mcp', mcpServer.createHttpHandler());
+
+// MCP gateway endpoint (must be registered before the catch-all proxy)
+app.all('/api/mcp/gateway', mcpGateway.createHttpHandler());
+
+// MCP proxy endpoints with circuit breaker and streaming pass-through
+app.all('/api/mcp/*', mcpProxy.middleware());
+
+// MCP session administration (admins only: session ids are upstream credentials)
+app.get('/api/admin/mcp/sessions', mcpToolPolicy.requireAdmin(), (req, res) => {
+    res.json({
+        sessions: mcpProxy.sessions.list(),
+        stats: mcpProxy.sessions.getStats()
+    });
+});
+
+app.delete('/api/admin/mcp/sessions/:id', mcpToolPolicy.requireAdmin(), async (req, res) => {
     try {
-        const result = await circuitBreakers.mcp.execute(
-            async () => {
-                const dedupeKey = `mcp:${req.method}:${path}:${JSON.stringify(req.body)}`;
-                
-                return requestDeduplicator.dedupe(dedupeKey, async () => {
-                    const cacheKey = cacheManager.generateKey('mcp', req.method, path, req.body);
-                    
-                    // Check cache for GET requests
-                    if (req.method === 'GET') {
-                        const cached = await cacheManager.get('mcp', cacheKey);
-                        if (cached) {
-                            metricsAggregator.addMetric('cache_hit_rate', 1);
-                            return cached;
-                        }
-                    }
-                    
-                    // Make request
-                    const response = await connectionManager.executeWithRetry('mcp', async (axios) => {
-                        return await axios({
-                            method: req.method,
-                            url: `/${path}`,
-                            data: req.body,
-                            params: req.query
-                        });
-                    });
-                    
-                    // Cache successful GET responses
-                    if (req.method === 'GET' && response.data) {
-                        await cacheManager.set('mcp', cacheKey, response.data);
-                        metricsAggregator.addMetric('cache_hit_rate', 0);
-                    }
-                    
-                    return response.data;
-                });
-            },
-            'mcp-proxy'
-        );
-        
-        metricsCollector.recordIntegration('mcp', true, Date.now() - start);
-        res.json(result);
+        const closed = await mcpProxy.closeSession(req.params.id);
+        if (!closed) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: `Session ${req.params.id} closed` });
     } catch (error) {
-        metricsCollector.recordIntegration('mcp', false, Date.now() - start);
-        res.status(error.response?.status || 500).json({
-            error: error.message,
-            details: error.response?.data
+        res.status(502).json({ error: `Session closed locally, upstream DELETE failed: ${error.message}` });
+    }
+});
+
+// Tool policy decisions, newest first (?caller=&tool=&decision=allow|deny&since=&limit=); admins only
+app.get('/api/admin/mcp/audit', mcpToolPolicy.requireAdmin(), async (req, res) => {
+    try {
+        const entries = await mcpToolPolicy.auditLog.query(req.query);
+        res.json({
+            entries,
+            count: entries.length,
+            policy: mcpToolPolicy.getStats()
         });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Aborts when the client disconnects before the response is sent, so
+ * searches nobody is waiting for drop out of the embedding queue
+ */
+function requestSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
 // Weaviate query endpoint
 app.post('/api/weaviate/query', async (req, res) => {
     try {
         const { className, query, options } = req.body;
-        const result = await weaviateClient.query(className, query, options);
+        const result = await weaviateClient.query(className, query, { ...options, signal: requestSignal(res) });
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -311,71 +418,112 @@ app.post('/api/weaviate/query', async (req, res) => {
 app.post('/api/weaviate/search', async (req, res) => {
     try {
         const { query, options } = req.body;
-        const result = await weaviateClient.enhancedSearch(query, options);
+        const result = await weaviateClient.enhancedSearch(query, { ...options, signal: requestSignal(res) });
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message, position: error.position });
+    }
+});
+
+// Federated search across classes (classes: names or { className, fields, search, weight, where })
+app.post('/api/weaviate/federated-search', async (req, res) => {
+    try {
+        const { query, classes, options } = req.body;
+        const result = await federatedSearch.search(query, classes, { ...options, signal: requestSignal(res) });
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Batch operations endpoint
 app.post('/api/weaviate/batch', async (req, res) => {
     try {
-        const { className, objects } = req.body;
-        const result = await weaviateClient.batchInsert(className, objects);
+        const { className, objects, options } = req.body;
+        const result = await weaviateClient.batchInsert(className, objects, options);
         res.json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Streaming endpoint for large exports
-app.get('/api/weaviate/export/:className', async (req, res) => {
-    const { className } = req.params;
-    const { limit = 1000, offset = 0 } = req.query;
-    
+// Object CRUD; writes re-embed as needed and invalidate the class's cached searches
+app.get('/api/weaviate/objects/:className/:id', async (req, res) => {
     try {
-        res.writeHead(200, {
-            'Content-Type': 'application/x-ndjson',
-            'Transfer-Encoding': 'chunked',
-            'X-Content-Type-Options': 'nosniff'
+        const { className, id } = req.params;
+        const object = await weaviateClient.getObject(className, id, {
+            includeVector: req.query.includeVector === 'true'
         });
+        if (!object) {
+            return res.status(404).json({ error: `Object ${id} not found in ${className}` });
+        }
+        res.json(object);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        await weaviatePool.execute(async (client) => {
-            let currentOffset = parseInt(offset);
-            const batchSize = Math.min(parseInt(limit), 100);
-            let hasMore = true;
-
-            while (hasMore && currentOffset < parseInt(offset) + parseInt(limit)) {
-                const result = await client.data
-                    .getter()
-                    .withClassName(className)
-                    .withLimit(batchSize)
-                    .withOffset(currentOffset)
-                    .do();
-
-                if (!result || result.length === 0) {
-                    hasMore = false;
-                    break;
-                }
-
-                // Stream each object as NDJSON
-                result.forEach(obj => {
-                    res.write(JSON.stringify(obj) + '\n');
-                });
+app.put('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const result = await weaviateClient.replaceObject(className, id, req.body.properties, {
+            embeddingProvider: req.body.embeddingProvider
+        });
+        res.status(result.created ? 201 : 200).json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-                currentOffset += result.length;
-                
-                // Small delay to prevent overwhelming
-                await new Promise(resolve => setTimeout(resolve, 10));
-            }
+app.patch('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const result = await weaviateClient.patchObject(className, id, req.body.properties, {
+            embeddingProvider: req.body.embeddingProvider
         });
+        if (!result) {
+            return res.status(404).json({ error: `Object ${id} not found in ${className}` });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const deleted = await weaviateClient.deleteObject(className, id);
+        if (!deleted) {
+            return res.status(404).json({ error: `Object ${id} not found in ${className}` });
+        }
+        res.json({ deleted: id });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Delete by filter: body { filters, where, dryRun }
+app.delete('/api/weaviate/objects/:className', async (req, res) => {
+    try {
+        const result = await weaviateClient.deleteWhere(req.params.className, req.body || {});
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        res.end();
+// Streaming export: walks the class with the Weaviate cursor. Query:
+// format=jsonl|csv properties=a,b includeVector=true where={json} filters={json}
+// limit=N pageSize=N cursor=<token from the trailer line of an earlier export>
+app.get('/api/weaviate/export/:className', async (req, res) => {
+    try {
+        const plan = await objectExporter.plan(req.params.className, ObjectExporter.optionsFromQuery(req.query));
+        await objectExporter.stream(plan, res);
     } catch (error) {
-        console.error('Export error:', error);
-        res.write(JSON.stringify({ error: error.message }) + '\n');
-        res.end();
+        // Once streaming has started, errors go into the trailer line
+        if (res.headersSent) return;
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -392,7 +540,24 @@ app.post('/api/weaviate/optimize', async (req, res) => {
 // Cache management endpoints
 app.get('/api/cache/stats', async (req, res) => {
     const stats = cacheManager.getAdaptiveStats();
-    res.json(stats);
+    res.json({
+        ...stats,
+        embeddingStore: embeddingStore ? embeddingStore.getStats() : null
+    });
+});
+
+// Reclaim the space of evicted embeddings in the store file
+app.post('/api/cache/embedding-store/compact', async (req, res) => {
+    if (!embeddingStore) {
+        return res.status(404).json({ error: 'Embedding store is off (set EMBEDDING_STORE)' });
+    }
+
+    try {
+        const result = await embeddingStore.compact();
+        res.json({ ...result, stats: embeddingStore.getStats() });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
 app.post('/api/cache/clear', async (req, res) => {
@@ -418,17 +583,31 @@ app.get('/api/circuits/status', (req, res) => {
     for (const [name, breaker] of Object.entries(circuitBreakers)) {
         status[name] = breaker.getStatus();
     }
+    for (const upstream of connectionManager.mcpUpstreams.list()) {
+        status[`mcp:${upstream.name}`] = upstream.breaker.getStatus();
+    }
+    for (const provider of embeddingProviders.list()) {
+        status[`embedding:${provider.name}`] = embeddingProviders.breaker(provider.name).getStatus();
+    }
     res.json(status);
 });
 
 app.post('/api/circuits/reset/:service', (req, res) => {
     const { service } = req.params;
     
-    if (circuitBreakers[service]) {
-        circuitBreakers[service].reset();
+    const upstream = service.startsWith('mcp:')
+        ? connectionManager.mcpUpstreams.get(service.slice(4))
+        : null;
+    const embeddingBreaker = service.startsWith('embedding:')
+        ? embeddingProviders.breaker(service.slice(10))
+        : null;
+    const breaker = circuitBreakers[service] || upstream?.breaker || embeddingBreaker;
+
+    if (breaker) {
+        breaker.reset();
         res.json({ 
             message: `Circuit breaker for ${service} reset`,
-            status: circuitBreakers[service].getStatus()
+            status: breaker.getStatus()
         });
     } else {
         res.status(404).json({ error: 'Service not found' });
@@ -448,7 +627,15 @@ const gracefulShutdown = async (signal) => {
     try {
         await weaviatePool.close();
         cacheManager.shutdown();
+        mcpGateway.stop();
+        mcpProxy.sessions.shutdown();
         embeddingQueue.clear();
+        if (embeddingStore) {
+            await embeddingStore.close();
+        }
+        if (connectionManager.cassette) {
+            await connectionManager.cassette.close();
+        }
         console.log('All resources cleaned up');
         process.exit(0);
     } catch (error) {
@@ -462,6 +649,7 @@ const server = app.listen(PORT, () => {
     console.log(`🚀 Enhanced Max MCP Railway server running on port ${PORT}`);
     console.log(`📊 Metrics available at http://localhost:${PORT}/metrics`);
     console.log(`🏥 Health check at http://localhost:${PORT}/health`);
+    console.log(`🧰 MCP server at http://localhost:${PORT}/mcp`);
     console.log(`⚡ Circuit breakers active for all services`);
     console.log(`🔄 Request deduplication enabled`);
     console.log(`📦 Brotli compression enabled`);
@@ -9,9 +9,19 @@ const rateLimit = require('express-rate-limit');
 // Import optimized modules
 const ConnectionManager = require('./lib/connection-manager');
 const CacheManager = require('./lib/cache-manager');
+const EmbeddingStore = require('./lib/embedding-store');
 const MetricsCollector = require('./lib/metrics-collector');
 const OptimizedWeaviateClient = require('./lib/optimized-weaviate-client');
+const WeaviateConnectionPool = require('./lib/weaviate-connection-pool');
+const FederatedSearch = require('./lib/federated-search');
+const ObjectExporter = require('./lib/object-exporter');
 const WeaviateOptimizer = require('./weaviate-optimizer');
+const McpServer = require('./lib/mcp-server');
+const { registerWeaviateTools } = require('./lib/mcp-tools');
+const McpProxy = require('./lib/mcp-proxy');
+const McpGateway = require('./lib/mcp-gateway');
+const McpToolPolicy = require('./lib/mcp-tool-policy');
+const McpAuditLog = require('./lib/mcp-audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,9 +29,57 @@ const PORT = process.env.PORT || 3000;
 // Initialize managers
 const connectionManager = new ConnectionManager();
 const cacheManager = new CacheManager();
+// Persistent embeddings shared by the clients (null when EMBEDDING_STORE=off)
+const embeddingStore = EmbeddingStore.shared();
 const metricsCollector = new MetricsCollector();
-const optimizedWeaviateClient = new OptimizedWeaviateClient();
-const weaviateOptimizer = new WeaviateOptimizer();
+// One cache manager for the process, so embeddings share one byte budget
+const optimizedWeaviateClient = new OptimizedWeaviateClient({ cacheManager });
+const weaviateOptimizer = new WeaviateOptimizer({ cacheManager });
+const weaviatePool = new WeaviateConnectionPool({ poolSize: 5 });
+const objectExporter = new ObjectExporter({ pool: weaviatePool });
+
+// Search across several classes, merged with reciprocal rank fusion
+const federatedSearch = new FederatedSearch({
+    pool: weaviatePool,
+    embed: (text, options) => optimizedWeaviateClient.generateEmbedding(text, options),
+    metricsCollector
+});
+// Tool allow/deny policy for proxied MCP calls, audited to an append-only log
+const mcpToolPolicy = McpToolPolicy.fromEnv({ auditLog: new McpAuditLog() });
+
+// MCP gateway merging local tools with every upstream's tools
+const mcpGateway = new McpGateway({
+    version: require('./package.json').version,
+    connectionManager,
+    cacheManager,
+    metricsCollector,
+    policy: mcpToolPolicy
+});
+registerWeaviateTools(mcpGateway, {
+    weaviateClient: optimizedWeaviateClient,
+    optimizer: weaviateOptimizer,
+    federatedSearch
+});
+mcpGateway.start();
+
+const mcpProxy = new McpProxy({
+    connectionManager,
+    cacheManager,
+    metricsCollector,
+    toolCatalog: mcpGateway,
+    policy: mcpToolPolicy
+});
+
+// MCP server exposing Weaviate operations as tools
+const mcpServer = new McpServer({
+    version: require('./package.json').version,
+    metricsCollector
+});
+registerWeaviateTools(mcpServer, {
+    weaviateClient: optimizedWeaviateClient,
+    optimizer: weaviateOptimizer,
+    federatedSearch
+});
 
 // Security middleware
 app.use(helmet({
@@ -61,6 +119,7 @@ const strictLimiter = rateLimit({
 });
 
 app.use('/api/', limiter);
+app.use('/mcp', limiter);
 app.use('/api/weaviate/migrate-data', strictLimiter);
 app.use('/api/weaviate/optimize-schema', strictLimiter);
 
@@ -112,56 +171,61 @@ app.get('/api/metrics', async (req, res) => {
         metrics,
         cache: cacheStats,
         weaviate: optimizedStats,
+        embeddingProviders: optimizedWeaviateClient.embeddingProviders.getStats(),
+        mcp: {
+            proxy: mcpProxy.getStats(),
+            upstreams: connectionManager.mcpUpstreams.getStats(),
+            gateway: mcpGateway.getStats()
+        },
         timestamp: new Date().toISOString()
     });
 });
 
-// MCP proxy with caching and retry
-app.all('/api/mcp/*', async (req, res) => {
-    const start = Date.now();
-    const mcpPath = req.params[0];
-    const cacheKey = req.method === 'GET' 
-        ? cacheManager.generateKey('mcp', mcpPath, req.query)
-        : null;
-    
+// Embedding providers: dimensions, batch size, input types and which classes use them
+app.get('/api/embedding-providers', (req, res) => {
+    res.json(optimizedWeaviateClient.embeddingProviders.getStats());
+});
+
+// MCP server endpoint (Streamable HTTP transport)
+app.all('/mcp', mcpServer.createHttpHandler());
+
+// MCP gateway endpoint (must be registered before the catch-all proxy)
+app.all('/api/mcp/gateway', mcpGateway.createHttpHandler());
+
+// MCP proxy with caching, retry and streaming pass-through
+app.all('/api/mcp/*', mcpProxy.middleware());
+
+// MCP session administration (admins only: session ids are upstream credentials)
+app.get('/api/admin/mcp/sessions', mcpToolPolicy.requireAdmin(), (req, res) => {
+    res.json({
+        sessions: mcpProxy.sessions.list(),
+        stats: mcpProxy.sessions.getStats()
+    });
+});
+
+app.delete('/api/admin/mcp/sessions/:id', mcpToolPolicy.requireAdmin(), async (req, res) => {
     try {
-        // Check cache for GET requests
-        if (cacheKey) {
-            const cached = await cacheManager.get('mcp', cacheKey);
-            if (cached) {
-                res.set('X-Cache', 'HIT');
-                return res.json(cached);
-            }
+        const closed = await mcpProxy.closeSession(req.params.id);
+        if (!closed) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        
-        // Execute request with retry
-        const response = await connectionManager.executeWithRetry('mcp', async (client) => {
-            const config = {
-                method: req.method,
-                url: mcpPath,
-                data: req.body,
-                params: req.query
-            };
-            return await client.request(config);
-        });
-        
-        // Cache successful GET responses
-        if (cacheKey && response.status === 200) {
-            await cacheManager.set('mcp', cacheKey, response.data);
-        }
-        
-        res.set('X-Cache', 'MISS');
-        res.json(response.data);
-        
-        metricsCollector.recordIntegration('mcp', true, Date.now() - start);
+        res.json({ message: `Session ${req.params.id} closed` });
     } catch (error) {
-        metricsCollector.recordIntegration('mcp', false, Date.now() - start);
-        res.status(error.response?.status || 500).json({
-            status: 'error',
-            message: 'MCP request failed',
-            error: error.message,
-            path: mcpPath
+        res.status(502).json({ error: `Session closed locally, upstream DELETE failed: ${error.message}` });
+    }
+});
+
+// Tool policy decisions, newest first (?caller=&tool=&decision=allow|deny&since=&limit=); admins only
+app.get('/api/admin/mcp/audit', mcpToolPolicy.requireAdmin(), async (req, res) => {
+    try {
+        const entries = await mcpToolPolicy.auditLog.query(req.query);
+        res.json({
+            entries,
+            count: entries.length,
+            policy: mcpToolPolicy.getStats()
         });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
@@ -183,9 +247,54 @@ app.post('/api/weaviate/search', async (req, res) => {
             ...results
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             status: 'error',
             message: 'Search failed',
+            error: error.message,
+            position: error.position
+        });
+    }
+});
+
+// Raw query against any class (options.mode: vector | keyword | hybrid)
+app.post('/api/weaviate/query', async (req, res) => {
+    try {
+        const { className, query, options = {} } = req.body;
+
+        if (!className) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'className parameter is required'
+            });
+        }
+
+        const result = await optimizedWeaviateClient.query(className, query, options);
+        res.json({
+            status: 'success',
+            ...result
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Query failed',
+            error: error.message
+        });
+    }
+});
+
+// Federated search across classes (classes: names or { className, fields, search, weight, where })
+app.post('/api/weaviate/federated-search', async (req, res) => {
+    try {
+        const { query, classes, options = {} } = req.body;
+        const results = await federatedSearch.search(query, classes, options);
+        res.json({
+            status: 'success',
+            ...results
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Federated search failed',
             error: error.message
         });
     }
@@ -194,7 +303,7 @@ app.post('/api/weaviate/search', async (req, res) => {
 // Batch operations endpoint
 app.post('/api/weaviate/batch', async (req, res) => {
     try {
-        const { className, objects } = req.body;
+        const { className, objects, options = {} } = req.body;
         
         if (!className || !objects || !Array.isArray(objects)) {
             return res.status(400).json({
@@ -203,13 +312,13 @@ app.post('/api/weaviate/batch', async (req, res) => {
             });
         }
         
-        const results = await optimizedWeaviateClient.batchInsert(className, objects);
+        const results = await optimizedWeaviateClient.batchInsert(className, objects, options);
         res.json({
             status: 'success',
             ...results
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             status: 'error',
             message: 'Batch operation failed',
             error: error.message
@@ -217,6 +326,141 @@ app.post('/api/weaviate/batch', async (req, res) => {
     }
 });
 
+// Object CRUD; writes re-embed as needed and invalidate the class's cached searches
+app.get('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const object = await optimizedWeaviateClient.getObject(className, id, {
+            includeVector: req.query.includeVector === 'true'
+        });
+
+        if (!object) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Object ${id} not found in ${className}`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            object
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Get object failed',
+            error: error.message
+        });
+    }
+});
+
+app.put('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const { object, created } = await optimizedWeaviateClient.replaceObject(className, id, req.body.properties, {
+            embeddingProvider: req.body.embeddingProvider
+        });
+        res.status(created ? 201 : 200).json({
+            status: 'success',
+            created,
+            object
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Replace object failed',
+            error: error.message
+        });
+    }
+});
+
+app.patch('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const result = await optimizedWeaviateClient.patchObject(className, id, req.body.properties, {
+            embeddingProvider: req.body.embeddingProvider
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Object ${id} not found in ${className}`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            ...result
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Update object failed',
+            error: error.message
+        });
+    }
+});
+
+app.delete('/api/weaviate/objects/:className/:id', async (req, res) => {
+    try {
+        const { className, id } = req.params;
+        const deleted = await optimizedWeaviateClient.deleteObject(className, id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                status: 'error',
+                message: `Object ${id} not found in ${className}`
+            });
+        }
+
+        res.json({
+            status: 'success',
+            deleted: id
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Delete object failed',
+            error: error.message
+        });
+    }
+});
+
+// Delete by filter: body { filters, where, dryRun }
+app.delete('/api/weaviate/objects/:className', async (req, res) => {
+    try {
+        const result = await optimizedWeaviateClient.deleteWhere(req.params.className, req.body || {});
+        res.json({
+            status: 'success',
+            ...result
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Delete by filter failed',
+            error: error.message
+        });
+    }
+});
+
+// Streaming export: walks the class with the Weaviate cursor. Query:
+// format=jsonl|csv properties=a,b includeVector=true where={json} filters={json}
+// limit=N pageSize=N cursor=<token from the trailer line of an earlier export>
+app.get('/api/weaviate/export/:className', async (req, res) => {
+    try {
+        const plan = await objectExporter.plan(req.params.className, ObjectExporter.optionsFromQuery(req.query));
+        await objectExporter.stream(plan, res);
+    } catch (error) {
+        // Once streaming has started, errors go into the trailer line
+        if (res.headersSent) return;
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Export failed',
+            error: error.message
+        });
+    }
+});
+
 // Schema optimization endpoint
 app.post('/api/weaviate/optimize-schema', async (req, res) => {
     try {
@@ -234,7 +478,7 @@ app.post('/api/weaviate/optimize-schema', async (req, res) => {
 // Data migration endpoint
 app.post('/api/weaviate/migrate-data', async (req, res) => {
     try {
-        const { batchSize = 50, skipLowValue = true } = req.body;
+        const { batchSize = 50, skipLowValue = true, retryFailed, chunking, embeddingProvider } = req.body;
         
         // Use server-sent events for progress updates
         res.writeHead(200, {
@@ -251,6 +495,9 @@ app.post('/api/weaviate/migrate-data', async (req, res) => {
         const result = await weaviateOptimizer.migrateData({
             batchSize,
             skipLowValue,
+            retryFailed,
+            chunking,
+            embeddingProvider,
             onProgress: sendProgress
         });
         
@@ -271,8 +518,8 @@ app.post('/api/process-and-store', async (req, res) => {
         const { mcpEndpoint, data, weaviateClass, options = {} } = req.body;
         
         // Step 1: Process through MCP
-        const mcpResponse = await connectionManager.executeWithRetry('mcp', async (client) => {
-            return await client.post(mcpEndpoint, data);
+        const mcpResponse = await connectionManager.executeMcp({ path: mcpEndpoint }, async (client, target) => {
+            return await client.post(`/${target.path}`, data);
         });
         
         // Step 2: Prepare for Weaviate storage
@@ -280,10 +527,13 @@ app.post('/api/process-and-store', async (req, res) => {
             ? mcpResponse.data 
             : [mcpResponse.data];
         
-        // Step 3: Batch insert with embeddings
+        // Step 3: Batch insert with embeddings. Content-hash ids by default,
+        // so re-processing the same data doesn't store it twice, and long
+        // documents chunked so all of their text is searchable
         const result = await optimizedWeaviateClient.batchInsert(
             weaviateClass || 'OptimizedDocument',
-            processedData
+            processedData,
+            { idStrategy: 'content', chunking: true, ...options }
         );
         
         res.json({
@@ -296,7 +546,7 @@ app.post('/api/process-and-store', async (req, res) => {
             weaviate: result
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.status || 500).json({
             status: 'error',
             message: 'Combined operation failed',
             error: error.message
@@ -325,7 +575,35 @@ app.post('/api/cache/invalidate', async (req, res) => {
 });
 
 app.get('/api/cache/stats', (req, res) => {
-    res.json(cacheManager.getStats());
+    res.json({
+        ...cacheManager.getStats(),
+        embeddingStore: embeddingStore ? embeddingStore.getStats() : null
+    });
+});
+
+// Reclaim the space of evicted embeddings in the store file
+app.post('/api/cache/embedding-store/compact', async (req, res) => {
+    if (!embeddingStore) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'Embedding store is off (set EMBEDDING_STORE)'
+        });
+    }
+
+    try {
+        const result = await embeddingStore.compact();
+        res.json({
+            status: 'success',
+            ...result,
+            stats: embeddingStore.getStats()
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            status: 'error',
+            message: 'Embedding store compaction failed',
+            error: error.message
+        });
+    }
 });
 
 // Graceful shutdown
@@ -337,6 +615,16 @@ const gracefulShutdown = async () => {
         console.log('✅ HTTP server closed');
     });
     
+    // Write the rest of a cassette being recorded
+    if (connectionManager.cassette) {
+        await connectionManager.cassette.close();
+    }
+
+    // Flush pending embedding store writes
+    if (embeddingStore) {
+        await embeddingStore.close().catch(error => console.error('❌ Embedding store close failed:', error.message));
+    }
+    
     // Wait for ongoing requests to complete
     setTimeout(() => {
         console.log('✅ Cleanup complete');
@@ -355,6 +643,7 @@ const server = app.listen(PORT, () => {
 📊 Port: ${PORT}
 🔗 Health: http://localhost:${PORT}/health
 📈 Metrics: http://localhost:${PORT}/api/metrics
+🧰 MCP: http://localhost:${PORT}/mcp
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 🤖 Features:
    ✓ Connection pooling & retry logic
@@ -363,6 +652,7 @@ const server = app.listen(PORT, () => {
    ✓ Batch operations
    ✓ Real-time metrics
    ✓ Enhanced AI search
+   ✓ MCP server (search, query, ingest)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     `);
 });
@@ -4,6 +4,7 @@ const axios = require('axios');
 const cors = require('cors');
 const weaviate = require('weaviate-ts-client').default;
 const WeaviateOptimizer = require('./weaviate-optimizer');
+const { weaviateConnectionParams } = require('./lib/service-endpoints');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,8 +15,7 @@ app.use(express.json());
 
 // Initialize Weaviate client
 const weaviateClient = weaviate.client({
-  scheme: 'https',
-  host: process.env.WEAVIATE_ENDPOINT.replace('https://', '').replace('/', ''),
+  ...weaviateConnectionParams(),
   authApiKey: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
 });
 
@@ -5,8 +5,8 @@ const CacheManager = require('./cache-manager');
  * Extends CacheManager with adaptive TTL based on access patterns
  */
 class AdaptiveCacheManager extends CacheManager {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         
         // Track access patterns
         this.accessPatterns = new Map();
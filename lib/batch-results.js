@@ -0,0 +1,82 @@
+/**
+ * Batch Results
+ * Weaviate answers a batch insert with one result per object, in input
+ * order. The request can succeed while some objects were rejected (wrong
+ * property type, bad vector, ...), so each result has to be checked.
+ */
+
+const MAX_RETRIES = 5;
+
+/**
+ * Error message of one object's batch result, null when it was stored
+ */
+function objectError(result) {
+    const errors = result?.result?.errors?.error;
+    if (!errors || errors.length === 0) {
+        return null;
+    }
+    return errors.map(error => error.message).join('; ');
+}
+
+/**
+ * Validate a retryFailed option: a number of retry rounds, or true for one
+ */
+function retryRounds(retryFailed) {
+    if (retryFailed === undefined || retryFailed === false) return 0;
+    if (retryFailed === true) return 1;
+    if (!Number.isInteger(retryFailed) || retryFailed < 0 || retryFailed > MAX_RETRIES) {
+        const error = new Error(`retryFailed must be true, false or a whole number from 0 to ${MAX_RETRIES}`);
+        error.status = 400;
+        throw error;
+    }
+    return retryFailed;
+}
+
+/**
+ * Send a batch and re-send only the rejected objects
+ * @param {Array} items - Objects to write (anything send() understands)
+ * @param {Function} send - items -> Weaviate batch response (one result per item)
+ * @param {Object} options - { retries }
+ * @returns {Promise<Object>} - { failures: [{ item, id, error, attempts }], retried }
+ *   A request that fails as a whole counts as every item failing with its error.
+ */
+async function writeBatch(items, send, options = {}) {
+    const retries = options.retries || 0;
+    let pending = items.map(item => ({ item }));
+    let retried = 0;
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+        let response;
+        try {
+            response = await send(pending.map(entry => entry.item));
+        } catch (error) {
+            response = pending.map(() => ({ result: { errors: { error: [{ message: error.message }] } } }));
+        }
+
+        const failures = [];
+        pending.forEach((entry, index) => {
+            const result = Array.isArray(response) ? response[index] : null;
+            const error = result ? objectError(result) : 'No result returned for object';
+            if (error) {
+                failures.push({ item: entry.item, id: result?.id, error, attempts: attempt });
+            }
+        });
+
+        if (failures.length === 0 || attempt > retries) {
+            return { failures, retried };
+        }
+
+        console.log(`🔁 Retrying ${failures.length} rejected objects (retry ${attempt}/${retries})`);
+        retried += failures.length;
+        pending = failures.map(({ item }) => ({ item }));
+    }
+
+    return { failures: [], retried };
+}
+
+module.exports = {
+    objectError,
+    retryRounds,
+    writeBatch,
+    MAX_RETRIES
+};
@@ -0,0 +1,61 @@
+/**
+ * BM25
+ * Okapi BM25 lexical scoring over documents made of weighted fields, used
+ * where Weaviate's own BM25 isn't available (rerank fallback, fake backend)
+ */
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+/**
+ * Lowercased word tokens; keeps identifiers like ERR_CONN-42 whole
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}_-]+/gu) || [];
+}
+
+/**
+ * Score documents against a query
+ * @param {string} query - Query text
+ * @param {Array<Array<Object>>} documents - Per document, its fields as { text, boost }
+ * @param {Object} options - { k1, b }
+ * @returns {number[]} - One score per document, 0 when no term matches
+ */
+function bm25Scores(query, documents, options = {}) {
+    const k1 = options.k1 ?? DEFAULT_K1;
+    const b = options.b ?? DEFAULT_B;
+    const terms = Array.from(new Set(tokenize(query)));
+
+    const tokenized = documents.map(fields => fields.map(field => ({
+        tokens: tokenize(field.text),
+        boost: field.boost ?? 1
+    })));
+
+    const allFields = tokenized.flat();
+    const averageLength = allFields.reduce((sum, field) => sum + field.tokens.length, 0) / (allFields.length || 1);
+
+    const idf = {};
+    for (const term of terms) {
+        const frequency = tokenized.filter(fields => fields.some(field => field.tokens.includes(term))).length;
+        idf[term] = Math.log(1 + (tokenized.length - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    return tokenized.map(fields => {
+        let score = 0;
+        for (const field of fields) {
+            const norm = k1 * (1 - b + b * field.tokens.length / (averageLength || 1));
+            for (const term of terms) {
+                const frequency = field.tokens.filter(token => token === term).length;
+                if (frequency > 0) {
+                    score += field.boost * idf[term] * (frequency * (k1 + 1)) / (frequency + norm);
+                }
+            }
+        }
+        return score;
+    });
+}
+
+module.exports = {
+    bm25Scores,
+    tokenize
+};
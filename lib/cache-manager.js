@@ -1,9 +1,11 @@
 const NodeCache = require('node-cache');
+const { VECTOR_FORMATS, isVector, encodeVector, decodeVector, vectorBytes } = require('./vector-codec');
 
 class CacheManager {
-    constructor() {
+    constructor(options = {}) {
         // Different cache instances for different purposes
         this.caches = {
+            // Budgeted in bytes (see trackEmbedding), not keys
             embeddings: new NodeCache({ 
                 stdTTL: 3600, // 1 hour for embeddings
                 checkperiod: 600,
@@ -31,6 +33,82 @@ class CacheManager {
             sets: 0,
             deletes: 0
         };
+
+        // Embeddings are kept in EMBEDDING_CACHE_FORMAT (lib/vector-codec.js) and
+        // evicted least recently used first past EMBEDDING_CACHE_MAX_MB
+        const format = options.vectorFormat || process.env.EMBEDDING_CACHE_FORMAT || 'float32';
+        if (!VECTOR_FORMATS.includes(format)) {
+            throw new Error(`EMBEDDING_CACHE_FORMAT must be one of ${VECTOR_FORMATS.join(', ')} (got "${format}")`);
+        }
+        this.embeddingMemory = {
+            format,
+            maxBytes: options.embeddingCacheBytes ||
+                (parseInt(process.env.EMBEDDING_CACHE_MAX_MB, 10) || 128) * 1024 * 1024,
+            bytes: 0,
+            evictions: 0,
+            // key -> bytes, least recently used first
+            entries: new Map()
+        };
+
+        // Deletes include expiries
+        this.caches.embeddings.on('del', key => this.forgetEmbedding(key));
+        this.caches.embeddings.on('flush', () => {
+            this.embeddingMemory.entries.clear();
+            this.embeddingMemory.bytes = 0;
+        });
+    }
+
+    /**
+     * Account for an embedding cache entry and evict the least recently
+     * used ones until the cache is back within its byte budget
+     */
+    trackEmbedding(key, bytes) {
+        const memory = this.embeddingMemory;
+        this.forgetEmbedding(key);
+        memory.entries.set(key, bytes);
+        memory.bytes += bytes;
+
+        for (const oldest of memory.entries.keys()) {
+            if (memory.bytes <= memory.maxBytes) {
+                break;
+            }
+            // del() fires the 'del' event, which forgets the entry
+            this.caches.embeddings.del(oldest);
+            memory.evictions++;
+        }
+    }
+
+    forgetEmbedding(key) {
+        const memory = this.embeddingMemory;
+        const bytes = memory.entries.get(key);
+        if (bytes !== undefined) {
+            memory.entries.delete(key);
+            memory.bytes -= bytes;
+        }
+    }
+
+    /**
+     * Embedding cache value as stored: vectors in the configured format
+     */
+    encodeEmbedding(value) {
+        if (!isVector(value)) {
+            return { value, bytes: Buffer.byteLength(JSON.stringify(value) || '') * 2 };
+        }
+        const encoded = encodeVector(value, this.embeddingMemory.format);
+        return { value: encoded, bytes: vectorBytes(encoded) };
+    }
+
+    /**
+     * Stored embedding cache value back to a plain vector, marked as recently used
+     */
+    decodeEmbedding(key, value) {
+        const memory = this.embeddingMemory;
+        const bytes = memory.entries.get(key);
+        if (bytes !== undefined) {
+            memory.entries.delete(key);
+            memory.entries.set(key, bytes);
+        }
+        return value && value.data && value.format ? decodeVector(value) : value;
     }
 
     generateKey(type, ...params) {
@@ -60,7 +138,7 @@ class CacheManager {
         const value = cache.get(key);
         if (value !== undefined) {
             this.stats.hits++;
-            return value;
+            return cacheType === 'embeddings' ? this.decodeEmbedding(key, value) : value;
         }
 
         this.stats.misses++;
@@ -71,6 +149,10 @@ class CacheManager {
         const cache = this.caches[cacheType];
         if (!cache) return false;
 
+        if (cacheType === 'embeddings') {
+            return this.setEmbedding(key, value, ttl);
+        }
+
         const success = ttl ? cache.set(key, value, ttl) : cache.set(key, value);
         if (success) {
             this.stats.sets++;
@@ -78,6 +160,22 @@ class CacheManager {
         return success;
     }
 
+    setEmbedding(key, value, ttl = null) {
+        const cache = this.caches.embeddings;
+        const { value: stored, bytes } = this.encodeEmbedding(value);
+        // Never worth evicting the whole cache for
+        if (bytes > this.embeddingMemory.maxBytes) {
+            return false;
+        }
+
+        const success = ttl ? cache.set(key, stored, ttl) : cache.set(key, stored);
+        if (success) {
+            this.stats.sets++;
+            this.trackEmbedding(key, bytes);
+        }
+        return success;
+    }
+
     async getOrSet(cacheType, key, fetchFunction, ttl = null) {
         // Try to get from cache first
         const cached = await this.get(cacheType, key);
@@ -130,10 +228,12 @@ class CacheManager {
             metadata: 0
         };
 
-        // Preload common embeddings
+        // Preload common embeddings, keyed like the clients key them: by provider,
+        // model and input type (preloadData.embeddingProvider { name, model, inputType })
         if (preloadData.embeddings) {
+            const { name, model, inputType = 'document' } = preloadData.embeddingProvider || {};
             for (const [text, embedding] of Object.entries(preloadData.embeddings)) {
-                const key = this.generateKey('embedding', text);
+                const key = this.generateKey('embedding', name, model, inputType, text);
                 if (await this.set('embeddings', key, embedding)) {
                     results.embeddings++;
                 }
@@ -162,10 +262,22 @@ class CacheManager {
                 hits: cache.getStats().hits,
                 misses: cache.getStats().misses,
                 ksize: cache.getStats().ksize,
-                vsize: cache.getStats().vsize
+                vsize: cache.getStats().vsize,
+                // node-cache's own estimate of key and value sizes
+                memoryBytes: cache.getStats().ksize + cache.getStats().vsize
             };
         }
 
+        // Embeddings: measured from the stored vectors, with the budget
+        const memory = this.embeddingMemory;
+        Object.assign(cacheStats.embeddings, {
+            memoryBytes: memory.bytes,
+            maxBytes: memory.maxBytes,
+            utilization: (memory.bytes / memory.maxBytes * 100).toFixed(2) + '%',
+            format: memory.format,
+            evictions: memory.evictions
+        });
+
         return {
             global: this.stats,
             caches: cacheStats,
@@ -184,7 +296,7 @@ class CacheManager {
         for (const key of keys) {
             const value = cache.get(key);
             if (value !== undefined) {
-                results[key] = value;
+                results[key] = cacheType === 'embeddings' ? this.decodeEmbedding(key, value) : value;
                 this.stats.hits++;
             } else {
                 missingKeys.push(key);
@@ -201,6 +313,12 @@ class CacheManager {
 
         let successful = 0;
         for (const [key, value] of Object.entries(entries)) {
+            if (cacheType === 'embeddings') {
+                if (this.setEmbedding(key, value, ttl)) {
+                    successful++;
+                }
+                continue;
+            }
             if (ttl ? cache.set(key, value, ttl) : cache.set(key, value)) {
                 successful++;
                 this.stats.sets++;
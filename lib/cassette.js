@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
+
+// Request fields that change between runs and must not affect matching
+const DEFAULT_IGNORED_KEYS = ['timestamp', 'createdAt', 'updatedAt', 'requestId'];
+
+const WRAPPED = Symbol('cassette.wrapped');
+
+/**
+ * Cassette
+ * Records outbound calls made through a client (Weaviate builders, Cohere,
+ * OpenAI/OpenRouter, axios for MCP) and replays them without a network.
+ *
+ * Clients are wrapped in a Proxy that notes every property access and call
+ * argument. When the chain is awaited (`...do()`, `client.embed(...)`,
+ * `client.request(...)`), its hash is the fixture key: record mode stores the
+ * real outcome under it, replay mode answers from the fixture. Repeated calls
+ * with the same key replay in recorded order, the last one repeating.
+ *
+ * Recordings are written in batches, off the request path: a write is
+ * scheduled flushDelay ms after the first new interaction, and close()
+ * writes whatever is left.
+ */
+class Cassette {
+    constructor(options = {}) {
+        this.mode = options.mode || 'off';
+        this.filePath = path.resolve(options.filePath);
+        this.ignoredKeys = new Set(options.ignoredKeys || DEFAULT_IGNORED_KEYS);
+        this.flushDelay = options.flushDelay ?? 1000;
+
+        this.interactions = [];
+        this.byKey = new Map();
+        this.replayPositions = new Map();
+
+        // Interactions on disk, and the write in progress
+        this.saved = 0;
+        this.flushTimer = null;
+        this.writing = Promise.resolve();
+
+        this.stats = {
+            recorded: 0,
+            replayed: 0,
+            misses: 0
+        };
+
+        if (this.mode === 'replay') {
+            this.load();
+        }
+    }
+
+    /**
+     * Shared cassette configured by CASSETTE_MODE (off | record | replay),
+     * CASSETTE_DIR and CASSETTE_NAME. Returns null when cassettes are off.
+     */
+    static shared(env = process.env) {
+        const mode = env.CASSETTE_MODE || 'off';
+        if (mode === 'off') {
+            return null;
+        }
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`CASSETTE_MODE must be off, record or replay (got ${mode})`);
+        }
+
+        if (!Cassette.instance) {
+            const directory = env.CASSETTE_DIR || 'fixtures/cassettes';
+            const name = env.CASSETTE_NAME || 'default';
+            Cassette.instance = new Cassette({
+                mode,
+                filePath: path.join(directory, `${name}.json`)
+            });
+            console.log(`📼 Cassette ${mode} mode: ${Cassette.instance.filePath}`);
+
+            // Last resort for exits that skip close(), e.g. process.exit() in a test
+            if (mode === 'record') {
+                process.once('exit', () => Cassette.instance?.saveSync());
+            }
+        }
+        return Cassette.instance;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Cassette not found: ${this.filePath} (record it with CASSETTE_MODE=record)`);
+        }
+
+        const cassette = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.interactions = cassette.interactions || [];
+        for (const interaction of this.interactions) {
+            const key = `${interaction.connection}:${interaction.key}`;
+            if (!this.byKey.has(key)) {
+                this.byKey.set(key, []);
+            }
+            this.byKey.get(key).push(interaction);
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            interactions: this.interactions
+        }, null, 2);
+    }
+
+    /**
+     * Write the recording unless it is up to date. Writes are serialized
+     * and go through a temporary file, so the cassette on disk is always
+     * complete.
+     */
+    save() {
+        this.writing = this.writing.then(async () => {
+            const count = this.interactions.length;
+            if (count === this.saved) {
+                return;
+            }
+
+            const temporaryPath = `${this.filePath}.tmp`;
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(temporaryPath, this.serialize());
+                await fs.promises.rename(temporaryPath, this.filePath);
+                this.saved = count;
+            } catch (error) {
+                console.error(`❌ Failed to write cassette ${this.filePath}:`, error.message);
+            }
+        });
+        return this.writing;
+    }
+
+    saveSync() {
+        if (this.mode !== 'record' || this.interactions.length === this.saved) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, this.serialize());
+        this.saved = this.interactions.length;
+    }
+
+    scheduleSave() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.save();
+        }, this.flushDelay);
+        this.flushTimer.unref?.();
+    }
+
+    /**
+     * Write pending interactions (for graceful shutdown)
+     */
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.mode === 'record') {
+            await this.save();
+        }
+    }
+
+    /**
+     * Wrap a client for the given connection name. Already wrapped clients
+     * are returned as-is so nested executes don't record twice.
+     */
+    wrap(connection, client) {
+        if (!client || client[WRAPPED]) {
+            return client;
+        }
+
+        const state = { chain: [], fromCall: false };
+        return this.mode === 'replay'
+            ? this.replayProxy(connection, state)
+            : this.recordProxy(connection, client, client, state);
+    }
+
+    /**
+     * Objects returned by calls are treated as builders: calling one of their
+     * methods extends their own chain, so `batcher.withObject(o)` followed by
+     * `batcher.do()` keys on every object added. Both modes apply the same
+     * rule, so recorded and replayed keys line up.
+     */
+    nextState(ownerState, methodState, args) {
+        const chain = [...methodState.chain, { args: this.normalize(args) }];
+        if (ownerState && ownerState.fromCall) {
+            ownerState.chain = chain;
+            return ownerState;
+        }
+        return { chain, fromCall: true };
+    }
+
+    recordProxy(connection, target, owner, state, ownerState = null) {
+        return new Proxy(target, {
+            get: (object, property) => {
+                if (property === WRAPPED) return true;
+
+                const value = Reflect.get(object, property);
+                if (typeof property === 'symbol' || value === null) {
+                    return value;
+                }
+                if (typeof value === 'function' || typeof value === 'object') {
+                    const childState = { chain: [...state.chain, property], fromCall: false };
+                    return this.recordProxy(connection, value, object, childState, state);
+                }
+                return value;
+            },
+            apply: (fn, thisArg, args) => {
+                const next = this.nextState(ownerState, state, args);
+                const result = Reflect.apply(fn, owner, args);
+
+                if (result && typeof result.then === 'function') {
+                    return this.capture(connection, next.chain, result);
+                }
+                if (result && (typeof result === 'object' || typeof result === 'function')) {
+                    return this.recordProxy(connection, result, result, next);
+                }
+                return result;
+            }
+        });
+    }
+
+    replayProxy(connection, state, ownerState = null) {
+        // A function target so the proxy can be both called and dereferenced
+        return new Proxy(function () {}, {
+            get: (target, property) => {
+                if (property === WRAPPED) return true;
+
+                // Awaiting the chain is what completes a request
+                if (property === 'then') {
+                    if (!state.fromCall) return undefined;
+                    const outcome = this.replay(connection, state.chain);
+                    return outcome.then.bind(outcome);
+                }
+                if (typeof property === 'symbol') {
+                    return undefined;
+                }
+                const childState = { chain: [...state.chain, property], fromCall: false };
+                return this.replayProxy(connection, childState, state);
+            },
+            apply: (target, thisArg, args) => {
+                return this.replayProxy(connection, this.nextState(ownerState, state, args));
+            }
+        });
+    }
+
+    /**
+     * Make call arguments comparable across runs: drop functions, abort
+     * signals and volatile keys
+     */
+    normalize(value) {
+        if (value === null || value === undefined) return value;
+        if (typeof value === 'function') return undefined;
+        if (Buffer.isBuffer(value)) return value.toString('base64');
+        if (Array.isArray(value)) return value.map(item => this.normalize(item));
+        if (typeof value === 'object') {
+            if (typeof AbortSignal !== 'undefined' && value instanceof AbortSignal) return undefined;
+
+            const normalized = {};
+            for (const key of Object.keys(value).sort()) {
+                if (this.ignoredKeys.has(key)) continue;
+                const item = this.normalize(value[key]);
+                if (item !== undefined) normalized[key] = item;
+            }
+            return normalized;
+        }
+        return value;
+    }
+
+    keyFor(chain) {
+        return crypto.createHash('sha1').update(JSON.stringify(chain)).digest('hex');
+    }
+
+    /**
+     * Human-readable call path without arguments, e.g. graphql.get().withLimit().do()
+     */
+    describe(chain) {
+        return chain.map(step => (typeof step === 'string' ? `.${step}` : '()')).join('').slice(1);
+    }
+
+    async capture(connection, chain, promise) {
+        const interaction = {
+            connection,
+            key: this.keyFor(chain),
+            request: this.describe(chain)
+        };
+
+        try {
+            const result = await promise;
+            interaction.response = this.serializeResult(result, interaction);
+            if (!interaction.pending) {
+                this.record(interaction);
+            }
+            return result;
+        } catch (error) {
+            interaction.error = this.serializeError(error);
+            this.record(interaction);
+            throw error;
+        }
+    }
+
+    record(interaction) {
+        delete interaction.pending;
+        this.interactions.push(interaction);
+        this.stats.recorded++;
+        this.scheduleSave();
+    }
+
+    serializeResult(result, interaction) {
+        if (!this.isAxiosResponse(result)) {
+            return { value: result === undefined ? null : JSON.parse(JSON.stringify(result)) };
+        }
+
+        const response = {
+            axios: true,
+            status: result.status,
+            statusText: result.statusText,
+            headers: this.plainHeaders(result.headers)
+        };
+
+        // Streamed bodies are teed: the caller keeps streaming while we collect
+        if (result.data && typeof result.data.pipe === 'function') {
+            const chunks = [];
+            const tee = new PassThrough();
+            interaction.pending = true;
+            result.data.on('data', chunk => chunks.push(Buffer.from(chunk)));
+            result.data.on('end', () => {
+                response.stream = true;
+                response.data = Buffer.concat(chunks).toString('utf8');
+                this.record(interaction);
+            });
+            result.data.pipe(tee);
+            result.data = tee;
+            return response;
+        }
+
+        response.data = result.data;
+        return response;
+    }
+
+    serializeError(error) {
+        const status = error.response?.status ?? error.statusCode ?? error.status;
+        return {
+            name: error.name,
+            message: error.message,
+            code: error.code,
+            status,
+            data: error.response?.data?.pipe ? undefined : (error.response?.data ?? error.body),
+            headers: error.response ? this.plainHeaders(error.response.headers) : undefined
+        };
+    }
+
+    isAxiosResponse(value) {
+        return Boolean(value && typeof value === 'object' && 'status' in value && 'headers' in value && 'config' in value);
+    }
+
+    plainHeaders(headers) {
+        if (!headers) return {};
+        return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    }
+
+    async replay(connection, chain) {
+        const key = this.keyFor(chain);
+        const entryKey = `${connection}:${key}`;
+        const entries = this.byKey.get(entryKey);
+
+        if (!entries) {
+            this.stats.misses++;
+            const error = new Error(`No cassette entry for ${connection} ${this.describe(chain)} (${key.slice(0, 12)})`);
+            error.code = 'CASSETTE_MISS';
+            throw error;
+        }
+
+        // Positions are per connection, like the entries they index
+        const position = this.replayPositions.get(entryKey) || 0;
+        const interaction = entries[Math.min(position, entries.length - 1)];
+        this.replayPositions.set(entryKey, position + 1);
+        this.stats.replayed++;
+
+        if (interaction.error) {
+            throw this.restoreError(interaction.error);
+        }
+        return this.restoreResult(interaction.response);
+    }
+
+    restoreResult(response) {
+        if (!response.axios) {
+            return response.value;
+        }
+
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            config: {},
+            data: response.stream ? Readable.from([Buffer.from(response.data)]) : response.data
+        };
+    }
+
+    restoreError(recorded) {
+        const error = new Error(recorded.message);
+        if (recorded.name) error.name = recorded.name;
+        if (recorded.code) error.code = recorded.code;
+        if (recorded.status !== undefined) {
+            error.status = recorded.status;
+            error.statusCode = recorded.status;
+            error.response = {
+                status: recorded.status,
+                data: recorded.data,
+                headers: recorded.headers || {}
+            };
+        }
+        return error;
+    }
+
+    /**
+     * Get cassette statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            mode: this.mode,
+            filePath: this.filePath,
+            interactions: this.interactions.length,
+            saved: this.saved
+        };
+    }
+}
+
+Cassette.instance = null;
+
+module.exports = Cassette;
@@ -2,46 +2,62 @@ const axios = require('axios');
 const weaviate = require('weaviate-ts-client').default;
 const { CohereClient } = require('cohere-ai');
 const OpenAI = require('openai');
+const McpUpstreamRegistry = require('./mcp-upstream-registry');
+const Cassette = require('./cassette');
+const { weaviateConnectionParams, cohereEnvironment, openRouterBaseUrl } = require('./service-endpoints');
 
 class ConnectionManager {
-    constructor() {
+    constructor(options = {}) {
         this.connections = new Map();
+        // Record/replay of outbound calls (CASSETTE_MODE), null when off
+        this.cassette = options.cassette !== undefined ? options.cassette : Cassette.shared();
         this.retryConfig = {
             retries: 3,
             retryDelay: 1000,
             retryCondition: (error) => {
-                return !error.response || error.response.status >= 500;
+                // Cancelled by the caller (e.g. the client disconnected): nobody is waiting
+                if (axios.isCancel(error)) {
+                    return false;
+                }
+                const status = ConnectionManager.errorStatus(error);
+                return !status || status >= 500;
             }
         };
         this.initializeConnections();
     }
 
     initializeConnections() {
-        // MCP connection with retry logic
-        this.connections.set('mcp', {
-            client: axios.create({
-                baseURL: process.env.MCP_ENDPOINT,
-                timeout: 30000,
-                headers: {
-                    'Authorization': `Bearer ${process.env.MCP_API_KEY}`,
-                    'Content-Type': 'application/json'
+        // MCP upstreams, each registered as its own connection with retry logic
+        this.mcpUpstreams = McpUpstreamRegistry.fromEnv();
+        for (const upstream of this.mcpUpstreams.list()) {
+            this.connections.set(upstream.connectionName, {
+                client: upstream.client,
+                retries: upstream.retries,
+                healthCheck: async () => {
+                    try {
+                        const client = this.cassetteClient(upstream.connectionName, upstream.client);
+                        const response = await client.get(upstream.healthPath);
+                        return { healthy: true, latency: response.headers['x-response-time'] };
+                    } catch (error) {
+                        return { healthy: false, error: error.message };
+                    }
                 }
-            }),
-            healthCheck: async () => {
-                try {
-                    const response = await this.connections.get('mcp').client.get('/health');
-                    return { healthy: true, latency: response.headers['x-response-time'] };
-                } catch (error) {
-                    return { healthy: false, error: error.message };
-                }
-            }
-        });
+            });
+        }
+
+        // With several upstreams, 'mcp' addresses the default group's first upstream
+        if (!this.connections.has('mcp')) {
+            const [defaultUpstream] = this.mcpUpstreams.defaultGroup();
+            this.connections.set('mcp', {
+                client: defaultUpstream.client,
+                retries: defaultUpstream.retries
+            });
+        }
 
         // Weaviate connection with optimized config
         this.connections.set('weaviate', {
             client: weaviate.client({
-                scheme: 'https',
-                host: process.env.WEAVIATE_ENDPOINT.replace('https://', '').replace('/', ''),
+                ...weaviateConnectionParams(),
                 authApiKey: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
                 headers: {
                     'X-Cohere-Api-Key': process.env.COHERE_API_KEY,
@@ -50,7 +66,8 @@ class ConnectionManager {
             healthCheck: async () => {
                 try {
                     const start = Date.now();
-                    const result = await this.connections.get('weaviate').client.misc.metaGetter().do();
+                    const client = this.cassetteClient('weaviate', this.connections.get('weaviate').client);
+                    const result = await client.misc.metaGetter().do();
                     return { 
                         healthy: true, 
                         latency: Date.now() - start,
@@ -66,6 +83,7 @@ class ConnectionManager {
         this.connections.set('cohere', {
             client: new CohereClient({
                 token: process.env.COHERE_API_KEY,
+                environment: cohereEnvironment(),
             }),
             rateLimiter: {
                 requests: 0,
@@ -85,7 +103,7 @@ class ConnectionManager {
         // OpenRouter connection with fallback handling
         this.connections.set('openrouter', {
             client: new OpenAI({
-                baseURL: 'https://openrouter.ai/api/v1',
+                baseURL: openRouterBaseUrl(),
                 apiKey: process.env.OPENROUTER_API_KEY,
                 defaultHeaders: {
                     'HTTP-Referer': 'https://max-mcp-railway.up.railway.app',
@@ -108,21 +126,28 @@ class ConnectionManager {
         });
     }
 
-    async executeWithRetry(connectionName, operation) {
+    /**
+     * Run an operation on a connection's client, retrying with exponential backoff
+     * @param {Object} options - { retries } overrides the connection's retry count,
+     *   e.g. 0 for calls with a fast fallback
+     */
+    async executeWithRetry(connectionName, operation, options = {}) {
         const connection = this.connections.get(connectionName);
         if (!connection) {
             throw new Error(`Connection ${connectionName} not found`);
         }
 
+        const retries = options.retries ?? connection.retries ?? this.retryConfig.retries;
         let lastError;
-        for (let attempt = 0; attempt <= this.retryConfig.retries; attempt++) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
             try {
                 // Check rate limits for Cohere
                 if (connectionName === 'cohere') {
                     await this.checkRateLimit('cohere');
                 }
 
-                const result = await operation(connection.client);
+                const client = this.cassetteClient(connectionName, connection.client);
+                const result = await operation(client);
                 
                 // Update rate limit counters
                 if (connectionName === 'cohere') {
@@ -133,7 +158,7 @@ class ConnectionManager {
             } catch (error) {
                 lastError = error;
                 
-                if (attempt < this.retryConfig.retries && this.retryConfig.retryCondition(error)) {
+                if (attempt < retries && this.retryConfig.retryCondition(error)) {
                     const delay = this.retryConfig.retryDelay * Math.pow(2, attempt);
                     console.log(`⚠️ Retry attempt ${attempt + 1} for ${connectionName} after ${delay}ms`);
                     await new Promise(resolve => setTimeout(resolve, delay));
@@ -146,6 +171,37 @@ class ConnectionManager {
         throw lastError;
     }
 
+    /**
+     * A connection's client, recorded or replayed when a cassette is active
+     */
+    cassetteClient(connectionName, client) {
+        return this.cassette ? this.cassette.wrap(connectionName, client) : client;
+    }
+
+    /**
+     * Resolve the MCP upstreams that may serve a proxied request
+     * @param {Object} request - { path, headers }
+     */
+    resolveMcpRoute(request) {
+        return this.mcpUpstreams.resolve(request);
+    }
+
+    /**
+     * Execute an MCP request with retry on the routed upstream, failing
+     * over to a peer when it is unavailable
+     * @param {Object} route - Route from resolveMcpRoute, or { path, headers } to resolve
+     * @param {Function} operation - async (client, target) where target is { upstream, path }
+     */
+    async executeMcp(route, operation) {
+        const resolved = route.candidates ? route : this.resolveMcpRoute(route);
+
+        return this.mcpUpstreams.execute(resolved, (upstream) => {
+            return this.executeWithRetry(upstream.connectionName, (client) => {
+                return operation(client, { upstream: upstream.name, path: resolved.path });
+            });
+        });
+    }
+
     async checkRateLimit(connectionName) {
         const connection = this.connections.get(connectionName);
         if (!connection?.rateLimiter) return;
@@ -198,6 +254,33 @@ class ConnectionManager {
     getConnection(name) {
         return this.connections.get(name);
     }
+
+    /**
+     * Register a connection created elsewhere (e.g. an embedding provider's
+     * client) so its calls get retries and cassettes
+     * @param {string} name - Connection name for executeWithRetry
+     * @param {Object} connection - { client, retries, healthCheck }
+     */
+    addConnection(name, connection) {
+        if (!this.connections.has(name)) {
+            this.connections.set(name, connection);
+        }
+        return this.connections.get(name);
+    }
 }
 
+/**
+ * HTTP status of a failed call: axios responses, Cohere's statusCode, the
+ * OpenAI SDK's status, or the "usage error (404): ..." message
+ * weaviate-ts-client throws
+ */
+ConnectionManager.errorStatus = (error) => {
+    if (!error) return undefined;
+    if (error.response?.status) return error.response.status;
+    if (error.statusCode) return error.statusCode;
+    if (typeof error.status === 'number') return error.status;
+    const match = /\((\d{3})\)/.exec(error.message || '');
+    return match ? Number(match[1]) : undefined;
+};
+
 module.exports = ConnectionManager;
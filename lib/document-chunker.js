@@ -0,0 +1,236 @@
+/**
+ * Document Chunker
+ * Splits long documents into chunks small enough to embed whole, so text
+ * past the embedding model's input limit can still be found. Splitting is
+ * recursive: first on headings, then paragraphs, lines, sentences and
+ * words, only going finer where a piece is still too long. Pieces are then
+ * merged back up to the chunk size, with some overlap between neighbours.
+ * Code (contentType "code") splits on top-level declarations and blank
+ * lines instead of prose boundaries.
+ *
+ * Each chunk is stored as its own object with parentId, chunkIndex and
+ * chunkCount; chunk 0 keeps the parent's id.
+ */
+
+const DEFAULT_CHUNK_SIZE = 300;
+const DEFAULT_CHUNK_OVERLAP = 40;
+// Cohere embed v3 reads at most 512 tokens
+const MAX_CHUNK_SIZE = 500;
+
+// Start of a section: a chunk that is half full ends before a new
+// section instead of taking in its start
+const HEADING = '#{1,6}\\s';
+const DECLARATION = '(?:export\\s+|public\\s+|private\\s+|protected\\s+|static\\s+|async\\s+)*' +
+    '(?:function|class|def|func|fn|interface|struct|impl|enum)\\b';
+
+// Zero-width splits, coarsest first, so the pieces concatenate back to the original text
+const FORMATS = {
+    prose: {
+        sectionStart: new RegExp(`^${HEADING}`),
+        separators: [
+            new RegExp(`(?=^${HEADING})`, 'm'), // Markdown headings
+            /(?<=\n[ \t]*\n)/,                   // Paragraphs
+            /(?<=\n)/,                           // Lines
+            /(?<=[.!?])(?=\s)/,                  // Sentences
+            /(?=\s)/                             // Words
+        ]
+    },
+    code: {
+        sectionStart: new RegExp(`^${DECLARATION}`),
+        separators: [
+            new RegExp(`(?=^${DECLARATION})`, 'm'), // Top-level declarations
+            /(?<=\n[ \t]*\n)/,                       // Blank lines
+            /(?<=\n)/,                               // Lines
+            /(?=\s)/
+        ]
+    }
+};
+
+// Characters per token, as in estimateTokens, for the last-resort split
+const CHARS_PER_TOKEN = 5;
+
+function invalidChunkOption(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Token estimate close to what BPE tokenizers give for English and code:
+ * a word is a token per 5 characters, punctuation a token each
+ */
+function estimateTokens(text) {
+    const pieces = String(text || '').match(/[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+    return pieces.reduce((sum, piece) => sum + Math.max(1, Math.ceil(piece.length / 5)), 0);
+}
+
+class DocumentChunker {
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize ?? (parseInt(process.env.CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE);
+        this.chunkOverlap = options.chunkOverlap ?? (parseInt(process.env.CHUNK_OVERLAP, 10) || DEFAULT_CHUNK_OVERLAP);
+        this.countTokens = options.countTokens || estimateTokens;
+
+        if (!Number.isInteger(this.chunkSize) || this.chunkSize < 20 || this.chunkSize > MAX_CHUNK_SIZE) {
+            throw invalidChunkOption(`chunkSize must be a whole number of tokens from 20 to ${MAX_CHUNK_SIZE}`);
+        }
+        if (!Number.isInteger(this.chunkOverlap) || this.chunkOverlap < 0 || this.chunkOverlap > this.chunkSize / 2) {
+            throw invalidChunkOption('chunkOverlap must be a whole number of tokens from 0 to half the chunkSize');
+        }
+    }
+
+    /**
+     * Split a document's content into chunks
+     * @param {string} text - Content
+     * @param {Object} options - { contentType }
+     * @returns {Array<Object>} - [{ text, index, tokens }]; at least one chunk, even for empty content
+     */
+    chunk(text, options = {}) {
+        const content = String(text || '');
+        const isCode = options.contentType === 'code';
+
+        if (this.countTokens(content) <= this.chunkSize) {
+            return [{ text: content, index: 0, tokens: this.countTokens(content) }];
+        }
+
+        const format = isCode ? FORMATS.code : FORMATS.prose;
+        const pieces = this.split(content, format.separators);
+        return this.merge(pieces, format.sectionStart)
+            // Code keeps its indentation, prose is trimmed
+            .map(chunkText => isCode ? chunkText.replace(/^\n+|\s+$/g, '') : chunkText.trim())
+            .filter(Boolean)
+            .map((chunkText, index) => ({ text: chunkText, index, tokens: this.countTokens(chunkText) }));
+    }
+
+    /**
+     * Recursively split until every piece fits in a chunk
+     */
+    split(text, separators) {
+        if (this.countTokens(text) <= this.chunkSize) {
+            return [text];
+        }
+
+        const [separator, ...finer] = separators;
+        if (!separator) {
+            return this.hardSplit(text);
+        }
+
+        const pieces = text.split(separator).filter(piece => piece.length > 0);
+        if (pieces.length === 1) {
+            return this.split(text, finer);
+        }
+
+        return pieces.flatMap(piece => this.split(piece, finer));
+    }
+
+    /**
+     * Last resort for text without separators (minified code, long URLs).
+     * Pieces start at chunkSize * CHARS_PER_TOKEN characters and shrink
+     * until they fit: punctuation-dense text has far fewer characters per token.
+     */
+    hardSplit(text) {
+        const pieces = [];
+        let start = 0;
+        while (start < text.length) {
+            let end = Math.min(text.length, start + this.chunkSize * CHARS_PER_TOKEN);
+            let tokens = this.countTokens(text.slice(start, end));
+            while (tokens > this.chunkSize && end - start > 1) {
+                end = start + Math.max(1, Math.floor((end - start) * this.chunkSize / tokens));
+                tokens = this.countTokens(text.slice(start, end));
+            }
+            pieces.push(text.slice(start, end));
+            start = end;
+        }
+        return pieces;
+    }
+
+    /**
+     * Merge consecutive pieces up to the chunk size; each new chunk starts
+     * with the previous chunk's trailing pieces that fit in the overlap,
+     * unless it starts a new section
+     * @param {Array<string>} pieces - Split text
+     * @param {RegExp} sectionStart - Matches pieces that begin a section
+     */
+    merge(pieces, sectionStart) {
+        const chunks = [];
+        let current = [];
+        let currentTokens = 0;
+
+        for (const piece of pieces) {
+            const tokens = this.countTokens(piece);
+            const startsSection = sectionStart.test(piece);
+
+            if (current.length > 0 &&
+                (currentTokens + tokens > this.chunkSize || (startsSection && currentTokens >= this.chunkSize / 2))) {
+                chunks.push(current.map(entry => entry.piece).join(''));
+
+                while (current.length > 0 &&
+                    (startsSection || currentTokens > this.chunkOverlap || currentTokens + tokens > this.chunkSize)) {
+                    currentTokens -= current.shift().tokens;
+                }
+            }
+
+            current.push({ piece, tokens });
+            currentTokens += tokens;
+        }
+
+        if (current.length > 0) {
+            chunks.push(current.map(entry => entry.piece).join(''));
+        }
+        return chunks;
+    }
+}
+
+/**
+ * Where clause matching chunks left over from a longer earlier version of
+ * each document (chunkIndex at or past its new chunkCount)
+ * @param {Array<Object>} parents - [{ parentId, chunkCount }]
+ */
+function staleChunksWhere(parents) {
+    return {
+        operator: 'Or',
+        operands: parents.map(({ parentId, chunkCount }) => ({
+            operator: 'And',
+            operands: [
+                { path: ['parentId'], operator: 'Equal', valueText: parentId },
+                { path: ['chunkIndex'], operator: 'GreaterThanEqual', valueInt: chunkCount }
+            ]
+        }))
+    };
+}
+
+/**
+ * Collapse chunk hits into one result per parent document, keeping the
+ * best chunk's place and fields. Hits must be sorted best first; documents
+ * that weren't chunked pass through unchanged.
+ * @param {Array} documents - Search hits with parentId, chunkIndex, chunkCount
+ * @param {Function} relevanceOf - Score of a hit, higher is better
+ * @returns {Array} - One entry per document; chunked ones list their matching chunks in _chunks
+ */
+function collapseChunks(documents, relevanceOf) {
+    const collapsed = new Map();
+
+    for (const doc of documents) {
+        const key = doc.parentId || doc._additional?.id || doc;
+        const chunk = doc.parentId
+            ? { chunkIndex: doc.chunkIndex, content: doc.content, relevance: relevanceOf(doc) }
+            : null;
+
+        const existing = collapsed.get(key);
+        if (existing) {
+            if (chunk) existing._chunks.push(chunk);
+        } else {
+            collapsed.set(key, chunk ? { ...doc, _chunks: [chunk] } : doc);
+        }
+    }
+
+    return Array.from(collapsed.values());
+}
+
+DocumentChunker.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+DocumentChunker.DEFAULT_CHUNK_OVERLAP = DEFAULT_CHUNK_OVERLAP;
+DocumentChunker.MAX_CHUNK_SIZE = MAX_CHUNK_SIZE;
+DocumentChunker.estimateTokens = estimateTokens;
+DocumentChunker.staleChunksWhere = staleChunksWhere;
+DocumentChunker.collapseChunks = collapseChunks;
+
+module.exports = DocumentChunker;
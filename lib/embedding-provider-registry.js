@@ -0,0 +1,218 @@
+const CircuitBreaker = require('./circuit-breaker');
+const ConnectionManager = require('./connection-manager');
+const {
+    CohereEmbeddingProvider,
+    OpenAICompatibleEmbeddingProvider,
+    LocalEmbeddingProvider,
+    INPUT_TYPES
+} = require('./embedding-providers');
+
+/**
+ * Embedding Provider Registry
+ * Named embedding providers (see lib/embedding-providers.js), each behind
+ * its own circuit breaker. The provider for a call is the one named in the
+ * request, else the one configured for the class, else the default.
+ *
+ * A class's stored vectors only compare with query vectors from the same
+ * provider and model, so per-request overrides are for classes embedded
+ * with that provider. Stored objects are embedded as 'document' and search
+ * text as 'query'; asymmetric models (Cohere v3) rank worse when a query is
+ * embedded as a document.
+ */
+
+function invalidEmbeddingOption(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+class EmbeddingProviderRegistry {
+    constructor(providers = [], options = {}) {
+        this.providers = new Map();
+        this.breakerOptions = options.breaker || { threshold: 3, timeout: 15000 };
+
+        for (const provider of providers) {
+            this.register(provider);
+        }
+
+        this.defaultProvider = options.defaultProvider || 'cohere';
+        if (!this.providers.has(this.defaultProvider)) {
+            throw new Error(`Default embedding provider ${this.defaultProvider} is not registered`);
+        }
+
+        // className -> provider name
+        this.classProviders = new Map(Object.entries(options.classProviders || {}));
+        for (const [className, name] of this.classProviders) {
+            if (!this.providers.has(name)) {
+                throw new Error(`Embedding provider ${name} for class ${className} is not registered`);
+            }
+        }
+    }
+
+    /**
+     * Registry with the Cohere, OpenAI-compatible and local providers.
+     * EMBEDDING_PROVIDER picks the default; EMBEDDING_CLASS_PROVIDERS maps
+     * classes to providers as "ClassName=provider,Other=provider".
+     */
+    static fromEnv(env = process.env, options = {}) {
+        const classProviders = {};
+        for (const entry of (env.EMBEDDING_CLASS_PROVIDERS || '').split(',').map(part => part.trim()).filter(Boolean)) {
+            const [className, name] = entry.split('=').map(part => part.trim());
+            if (!className || !name) {
+                throw new Error(`EMBEDDING_CLASS_PROVIDERS entries must look like ClassName=provider (got "${entry}")`);
+            }
+            classProviders[className] = name;
+        }
+
+        const connectionManager = options.connectionManager;
+        return new EmbeddingProviderRegistry([
+            new CohereEmbeddingProvider({ connectionManager }),
+            new OpenAICompatibleEmbeddingProvider({ connectionManager }),
+            new LocalEmbeddingProvider()
+        ], {
+            defaultProvider: env.EMBEDDING_PROVIDER,
+            classProviders,
+            breaker: options.breaker
+        });
+    }
+
+    /**
+     * Register a provider
+     * @param {EmbeddingProvider} provider - Anything with name, model, dimensions,
+     *   maxBatchSize, inputTypes and embed(texts, { inputType })
+     */
+    register(provider) {
+        if (!provider.name) {
+            throw new Error('Embedding provider requires a name');
+        }
+        if (this.providers.has(provider.name)) {
+            throw new Error(`Duplicate embedding provider: ${provider.name}`);
+        }
+
+        this.providers.set(provider.name, {
+            provider,
+            breaker: new CircuitBreaker(this.breakerOptions),
+            stats: {
+                requests: 0,
+                texts: 0,
+                failures: 0,
+                // Texts embedded per input type
+                byInputType: Object.fromEntries(INPUT_TYPES.map(inputType => [inputType, 0]))
+            }
+        });
+        return provider;
+    }
+
+    /**
+     * @throws {Error} - status 400 for an unknown provider
+     */
+    get(name) {
+        const entry = this.providers.get(name);
+        if (!entry) {
+            throw invalidEmbeddingOption(
+                `Unknown embedding provider "${name}". Available: ${Array.from(this.providers.keys()).join(', ')}`
+            );
+        }
+        return entry.provider;
+    }
+
+    list() {
+        return Array.from(this.providers.values()).map(entry => entry.provider);
+    }
+
+    breaker(name) {
+        return this.providers.get(name)?.breaker;
+    }
+
+    /**
+     * Provider for a call
+     * @param {Object} options - { provider, className }
+     */
+    resolve(options = {}) {
+        const name = options.provider || this.classProviders.get(options.className) || this.defaultProvider;
+        return this.get(name);
+    }
+
+    /**
+     * Embed texts, in slices of the provider's maxBatchSize
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} options - { provider, className, inputType: 'document' | 'query' }
+     * @returns {Promise<Array<Array<number>>>} - One vector per text
+     */
+    async embed(texts, options = {}) {
+        const inputType = options.inputType || 'document';
+        if (!INPUT_TYPES.includes(inputType)) {
+            throw invalidEmbeddingOption(`inputType must be one of ${INPUT_TYPES.join(', ')}`);
+        }
+
+        const provider = this.resolve(options);
+        const entry = this.providers.get(provider.name);
+        const vectors = [];
+
+        for (let i = 0; i < texts.length; i += provider.maxBatchSize) {
+            const slice = texts.slice(i, i + provider.maxBatchSize);
+            entry.stats.requests++;
+            entry.stats.texts += slice.length;
+            entry.stats.byInputType[inputType] += slice.length;
+
+            const outcome = await entry.breaker.execute(async () => {
+                try {
+                    return { value: await provider.embed(slice, { inputType }) };
+                } catch (error) {
+                    // Rejected input (4xx) says nothing about the provider's health
+                    const status = ConnectionManager.errorStatus(error);
+                    if (status >= 400 && status < 500) {
+                        return { error };
+                    }
+                    throw error;
+                }
+            }, `embedding:${provider.name}`).catch(error => ({ error }));
+
+            if (outcome.error) {
+                entry.stats.failures++;
+                throw outcome.error;
+            }
+
+            const batch = outcome.value;
+            if (!Array.isArray(batch) || batch.length !== slice.length) {
+                entry.stats.failures++;
+                const error = new Error(`Embedding provider ${provider.name} returned ${batch?.length ?? 'no'} vectors for ${slice.length} texts`);
+                error.status = 502;
+                throw error;
+            }
+            if (provider.dimensions && batch.some(vector => vector.length !== provider.dimensions)) {
+                entry.stats.failures++;
+                const error = new Error(`Embedding provider ${provider.name} returned vectors of the wrong size (expected ${provider.dimensions})`);
+                error.status = 502;
+                throw error;
+            }
+
+            vectors.push(...batch);
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Get registry statistics
+     */
+    getStats() {
+        const providers = {};
+        for (const [name, entry] of this.providers) {
+            providers[name] = {
+                ...entry.provider.describe(),
+                circuit: entry.breaker.getStatus(),
+                ...entry.stats,
+                byInputType: { ...entry.stats.byInputType }
+            };
+        }
+
+        return {
+            defaultProvider: this.defaultProvider,
+            classProviders: Object.fromEntries(this.classProviders),
+            providers
+        };
+    }
+}
+
+module.exports = EmbeddingProviderRegistry;
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { CohereClient } = require('cohere-ai');
+const OpenAI = require('openai');
+const { cohereEnvironment, openAiEmbeddingBaseUrl } = require('./service-endpoints');
+
+/**
+ * Embedding Providers
+ * Each provider turns texts into vectors and declares what callers need to
+ * know about it:
+ *
+ *   name          - registry name, chosen per class or per request
+ *   model         - model id, part of every embedding cache key
+ *   dimensions    - vector length (null until known for unlisted OpenAI models)
+ *   maxBatchSize  - most texts one embed() call accepts
+ *   inputTypes    - how a 'document' or 'query' input is marked for the model;
+ *                   asymmetric providers embed the same text differently per type
+ *
+ * embed(texts, { inputType }) takes at most maxBatchSize texts and returns
+ * one vector per text, in order.
+ */
+
+const INPUT_TYPES = ['document', 'query'];
+
+const COHERE_DIMENSIONS = {
+    'embed-english-v3.0': 1024,
+    'embed-multilingual-v3.0': 1024,
+    'embed-english-light-v3.0': 384,
+    'embed-multilingual-light-v3.0': 384
+};
+
+const OPENAI_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536
+};
+
+const DEFAULT_LOCAL_DIMENSIONS = 384;
+
+/**
+ * Deterministic embedding of a text: hashed word and character trigram
+ * features, L2 normalized. Texts sharing words land close together, and
+ * the same text always gives the same vector.
+ */
+function hashedEmbedding(text, dimensions = DEFAULT_LOCAL_DIMENSIONS) {
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    const add = (feature, weight) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32BE(0) % dimensions;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[index] += sign * weight;
+    };
+
+    for (const word of words) {
+        add(`w:${word}`, 1);
+        const padded = `^${word}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`t:${padded.slice(i, i + 3)}`, 0.25);
+        }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+        vector[0] = 1;
+        return vector;
+    }
+    return vector.map(value => value / norm);
+}
+
+/**
+ * Common provider plumbing: calls go through the connection manager (retry,
+ * rate limits, cassettes) when one is given
+ */
+class EmbeddingProvider {
+    constructor(options = {}) {
+        this.name = options.name;
+        this.model = options.model;
+        this.dimensions = options.dimensions || null;
+        this.maxBatchSize = options.maxBatchSize;
+        this.inputTypes = options.inputTypes || null;
+        this.connectionManager = options.connectionManager || null;
+        this.connectionName = options.connectionName || null;
+    }
+
+    /**
+     * Whether documents and queries are embedded differently
+     */
+    get asymmetric() {
+        return Boolean(this.inputTypes) && this.inputTypes.document !== this.inputTypes.query;
+    }
+
+    async call(operation) {
+        if (this.connectionManager && this.connectionName) {
+            return this.connectionManager.executeWithRetry(this.connectionName, operation);
+        }
+        return operation(this.client);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            model: this.model,
+            dimensions: this.dimensions,
+            maxBatchSize: this.maxBatchSize,
+            inputTypes: this.inputTypes,
+            asymmetric: this.asymmetric
+        };
+    }
+}
+
+/**
+ * Cohere embed v3: input types are native (search_document / search_query)
+ */
+class CohereEmbeddingProvider extends EmbeddingProvider {
+    constructor(options = {}) {
+        const model = options.model || process.env.COHERE_EMBED_MODEL || 'embed-english-v3.0';
+        super({
+            name: options.name || 'cohere',
+            model,
+            dimensions: options.dimensions || COHERE_DIMENSIONS[model],
+            maxBatchSize: options.maxBatchSize || 96,
+            inputTypes: { document: 'search_document', query: 'search_query' },
+            connectionManager: options.connectionManager,
+            // The connection manager's Cohere connection carries the rate limiter
+            connectionName: options.connectionManager ? 'cohere' : null
+        });
+
+        if (!this.connectionManager) {
+            this.client = options.client || new CohereClient({
+                token: options.apiKey || process.env.COHERE_API_KEY,
+                environment: cohereEnvironment()
+            });
+        }
+    }
+
+    async embed(texts, options = {}) {
+        const response = await this.call(client => client.embed({
+            texts,
+            model: this.model,
+            inputType: this.inputTypes[options.inputType || 'document']
+        }));
+        return response.embeddings;
+    }
+}
+
+/**
+ * Any OpenAI-compatible /embeddings endpoint (OpenAI, Azure, vLLM, Ollama,
+ * text-embeddings-inference). These models have no input type parameter;
+ * models trained with instruction prefixes (e5, bge, nomic) get them via
+ * queryPrefix / documentPrefix.
+ */
+class OpenAICompatibleEmbeddingProvider extends EmbeddingProvider {
+    constructor(options = {}) {
+        const model = options.model || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+        // Only sent to the API when configured: text-embedding-3 can shorten its vectors
+        const requestedDimensions = options.dimensions || parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS, 10) || null;
+        const name = options.name || 'openai';
+
+        super({
+            name,
+            model,
+            dimensions: requestedDimensions || OPENAI_DIMENSIONS[model],
+            maxBatchSize: options.maxBatchSize || parseInt(process.env.OPENAI_EMBEDDING_MAX_BATCH, 10) || 256,
+            inputTypes: {
+                document: options.documentPrefix ?? process.env.OPENAI_EMBEDDING_DOCUMENT_PREFIX ?? '',
+                query: options.queryPrefix ?? process.env.OPENAI_EMBEDDING_QUERY_PREFIX ?? ''
+            },
+            connectionManager: options.connectionManager,
+            connectionName: options.connectionManager ? `embeddings:${name}` : null
+        });
+
+        this.requestedDimensions = requestedDimensions;
+        this.apiKey = options.apiKey || process.env.OPENAI_EMBEDDING_API_KEY || process.env.OPENAI_API_KEY;
+        // The SDK refuses to construct without a key; local servers usually take any
+        this.client = options.client || new OpenAI({
+            baseURL: options.baseURL || openAiEmbeddingBaseUrl(),
+            apiKey: this.apiKey || 'unset'
+        });
+
+        if (this.connectionManager) {
+            this.connectionManager.addConnection(this.connectionName, { client: this.client });
+        }
+    }
+
+    async embed(texts, options = {}) {
+        const prefix = this.inputTypes[options.inputType || 'document'];
+        const response = await this.call(client => client.embeddings.create({
+            model: this.model,
+            input: texts.map(text => prefix + text),
+            // The SDK asks for base64 by default, which many compatible servers don't support
+            encoding_format: 'float',
+            ...(this.requestedDimensions && { dimensions: this.requestedDimensions })
+        }));
+
+        const vectors = response.data
+            .slice()
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+
+        // Learn the size of models not in the table from the first answer
+        if (!this.dimensions && vectors.length > 0) {
+            this.dimensions = vectors[0].length;
+        }
+        return vectors;
+    }
+}
+
+/**
+ * Deterministic offline vectors (hashedEmbedding), for tests and
+ * air-gapped development. Symmetric: queries and documents embed alike.
+ */
+class LocalEmbeddingProvider extends EmbeddingProvider {
+    constructor(options = {}) {
+        const dimensions = options.dimensions || parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS, 10) || DEFAULT_LOCAL_DIMENSIONS;
+        super({
+            name: options.name || 'local',
+            model: `hashed-ngram-${dimensions}`,
+            dimensions,
+            maxBatchSize: options.maxBatchSize || 1000
+        });
+    }
+
+    async embed(texts) {
+        return texts.map(text => hashedEmbedding(text, this.dimensions));
+    }
+}
+
+module.exports = {
+    EmbeddingProvider,
+    CohereEmbeddingProvider,
+    OpenAICompatibleEmbeddingProvider,
+    LocalEmbeddingProvider,
+    hashedEmbedding,
+    INPUT_TYPES,
+    COHERE_DIMENSIONS,
+    OPENAI_DIMENSIONS
+};
@@ -1,40 +1,245 @@
 /**
  * Embedding Queue
  * Batches embedding requests for optimal Cohere API usage
+ *
+ * Texts wait in priority lanes: 'interactive' (search queries, someone is
+ * waiting on the answer) is drained before 'bulk' (imports, migrations).
+ * A batch already sent is never preempted, so interactive work waits at
+ * most for the batch in flight. Each lane holds at most maxDepth texts;
+ * past that, add() rejects or, with overflow 'block', waits for room.
  */
+
+const LANES = ['interactive', 'bulk'];
+const OVERFLOW_POLICIES = ['reject', 'block'];
+
+// Wait times kept per lane for the percentile
+const WAIT_SAMPLES = 500;
+
+function queueError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function abortError() {
+    const error = queueError('Embedding request aborted', 499, 'EMBEDDING_ABORTED');
+    error.name = 'AbortError';
+    return error;
+}
+
 class EmbeddingQueue {
     constructor(options = {}) {
         this.batchSize = options.batchSize || 96; // Cohere's max batch size
         this.maxWait = options.maxWait || 100; // Max wait time in ms
-        this.queue = [];
+        // Optional EmbeddingStore: stored vectors skip the queue, new ones are saved
+        this.store = options.store || null;
+
+        // Backpressure: texts per lane, and what add() does when a lane is full
+        this.maxDepth = options.maxDepth || 5000;
+        this.overflow = options.overflow || 'reject';
+        if (!OVERFLOW_POLICIES.includes(this.overflow)) {
+            throw new Error(`overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+        }
+        // Longest a blocked add() waits for room before giving up (ms)
+        this.blockTimeout = options.blockTimeout || 30000;
+
+        this.lanes = {};
+        // Callers blocked on a full lane, first come first served
+        this.waiters = {};
+        // Slots taken by callers that haven't enqueued yet
+        this.reserved = {};
+        this.laneStats = {};
+        for (const lane of LANES) {
+            this.lanes[lane] = [];
+            this.waiters[lane] = [];
+            this.reserved[lane] = 0;
+            this.laneStats[lane] = {
+                added: 0,
+                completed: 0,
+                rejected: 0,
+                aborted: 0,
+                waited: 0,
+                totalWait: 0,
+                maxWait: 0,
+                waits: []
+            };
+        }
+
         this.processing = false;
         this.timer = null;
-        
+
         this.stats = {
             totalRequests: 0,
             totalBatches: 0,
             avgBatchSize: 0,
-            totalTexts: 0
+            totalTexts: 0,
+            storeHits: 0
         };
     }
 
+    /**
+     * Texts waiting in all lanes
+     */
+    get size() {
+        return LANES.reduce((total, lane) => total + this.lanes[lane].length, 0);
+    }
+
+    /**
+     * Lane of a request: the one asked for, else interactive for queries
+     * and bulk for documents
+     */
+    laneFor(options = {}, lane) {
+        const resolved = lane || (options.inputType === 'query' ? 'interactive' : 'bulk');
+        if (!LANES.includes(resolved)) {
+            throw queueError(`lane must be one of ${LANES.join(', ')} (got ${resolved})`, 400, 'EMBEDDING_LANE');
+        }
+        return resolved;
+    }
+
     /**
      * Add text to the embedding queue
      * @param {string} text - Text to generate embedding for
-     * @param {Object} options - Additional options (model, inputType)
+     * @param {Object} options - { provider, model, inputType }; only texts with
+     *   the same options are embedded together
+     * @param {Object} control - { lane: 'interactive' | 'bulk', signal: AbortSignal,
+     *   overflow: 'reject' | 'block' }; an aborted signal drops the text if it
+     *   hasn't been sent yet, overflow overrides the queue's policy
      * @returns {Promise} - Resolves with the embedding
+     * @throws {Error} - status 503 (code EMBEDDING_QUEUE_FULL) when the lane is
+     *   full, status 499 (AbortError) when the signal aborts first
      */
-    async add(text, options = {}) {
-        this.stats.totalRequests++;
-        
+    async add(text, options = {}, control = {}) {
+        const [embedding] = await this.addBatch([text], options, control);
+        return embedding;
+    }
+
+    /**
+     * Add multiple texts at once. The batch is admitted whole or not at all:
+     * it takes lane room for all of its texts up front, and when one text
+     * fails (or the signal aborts) the rest are dropped from the queue.
+     * @param {Array<string>} texts - Array of texts
+     * @param {Object} options - Additional options
+     * @param {Object} control - { lane, signal, overflow }, as for add()
+     * @returns {Promise<Array>} - Array of embeddings
+     * @throws {Error} - as add(), and status 413 (code EMBEDDING_BATCH_TOO_LARGE)
+     *   for more texts than a lane holds
+     */
+    async addBatch(texts, options = {}, control = {}) {
+        this.stats.totalRequests += texts.length;
+        const lane = this.laneFor(options, control.lane);
+        const { signal } = control;
+
+        if (signal?.aborted) {
+            this.laneStats[lane].aborted += texts.length;
+            throw abortError();
+        }
+
+        const embeddings = this.store
+            ? await this.store.getMany(options, texts)
+            : texts.map(() => null);
+        const missing = [];
+        embeddings.forEach((embedding, index) => {
+            if (embedding) {
+                this.stats.storeHits++;
+            } else {
+                missing.push(index);
+            }
+        });
+        if (missing.length === 0) {
+            return embeddings;
+        }
+
+        // Would never fit, whether rejecting or blocking
+        if (missing.length > this.maxDepth) {
+            this.laneStats[lane].rejected++;
+            throw queueError(
+                `Embedding batch of ${missing.length} texts is larger than the ${lane} lane (max ${this.maxDepth}). Send smaller batches.`,
+                413,
+                'EMBEDDING_BATCH_TOO_LARGE'
+            );
+        }
+
+        await this.reserve(lane, signal, control.overflow || this.overflow, missing.length);
+        if (signal?.aborted) {
+            this.reserved[lane] -= missing.length;
+            this.release(lane);
+            this.laneStats[lane].aborted += missing.length;
+            throw abortError();
+        }
+
+        const missingTexts = missing.map(index => texts[index]);
+        const computed = await this.enqueue(lane, missingTexts, options, signal);
+        missing.forEach((textIndex, i) => {
+            embeddings[textIndex] = computed[i];
+        });
+
+        if (this.store) {
+            await this.store.setMany(options, missingTexts, computed);
+        }
+        return embeddings;
+    }
+
+    /**
+     * Queue texts into slots reserved for them. Settles once: with every
+     * embedding, or with the first error, which drops the texts not sent yet.
+     * Texts already sent can't be recalled; their results are ignored.
+     */
+    enqueue(lane, texts, options, signal) {
         return new Promise((resolve, reject) => {
-            this.queue.push({
-                text,
-                options,
-                resolve,
-                reject,
-                timestamp: Date.now()
+            const batch = { settled: false, pending: texts.length };
+            const results = new Array(texts.length);
+
+            const fail = (error) => {
+                if (batch.settled) return;
+                batch.settled = true;
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                const queue = this.lanes[lane];
+                const kept = queue.filter(item => item.batch !== batch);
+                if (kept.length !== queue.length) {
+                    this.lanes[lane] = kept;
+                    this.release(lane);
+                }
+                reject(error);
+            };
+            const onAbort = () => {
+                this.laneStats[lane].aborted += batch.pending;
+                fail(abortError());
+            };
+
+            const now = Date.now();
+            texts.forEach((text, index) => {
+                this.lanes[lane].push({
+                    text,
+                    options,
+                    lane,
+                    batch,
+                    timestamp: now,
+                    resolve: (embedding) => {
+                        if (batch.settled) return;
+                        this.laneStats[lane].completed++;
+                        results[index] = embedding;
+                        batch.pending--;
+                        if (batch.pending === 0) {
+                            batch.settled = true;
+                            if (signal) {
+                                signal.removeEventListener('abort', onAbort);
+                            }
+                            resolve(results);
+                        }
+                    },
+                    reject: fail
+                });
             });
+            this.reserved[lane] -= texts.length;
+            this.laneStats[lane].added += texts.length;
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
 
             // Start processing if not already
             if (!this.processing) {
@@ -44,14 +249,87 @@ class EmbeddingQueue {
     }
 
     /**
-     * Add multiple texts at once
-     * @param {Array<string>} texts - Array of texts
-     * @param {Object} options - Additional options
-     * @returns {Promise<Array>} - Array of embeddings
+     * Reserve slots in a lane, until the caller enqueues. Waits for room
+     * in a full lane, or rejects straight away with overflow 'reject'.
+     */
+    reserve(lane, signal, overflow, count = 1) {
+        const queued = this.lanes[lane].length + this.reserved[lane];
+        // Behind anyone already blocked
+        if (queued + count <= this.maxDepth && this.waiters[lane].length === 0) {
+            this.reserved[lane] += count;
+            return Promise.resolve();
+        }
+
+        const full = (detail) => {
+            this.laneStats[lane].rejected++;
+            return queueError(
+                `Embedding queue full: ${this.lanes[lane].length} ${lane} texts waiting (max ${this.maxDepth})${detail}. Retry later.`,
+                503,
+                'EMBEDDING_QUEUE_FULL'
+            );
+        };
+
+        if (overflow === 'reject') {
+            return Promise.reject(full(''));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { count };
+            const leave = () => {
+                clearTimeout(waiter.timer);
+                if (signal) {
+                    signal.removeEventListener('abort', waiter.onAbort);
+                }
+                const index = this.waiters[lane].indexOf(waiter);
+                if (index !== -1) {
+                    this.waiters[lane].splice(index, 1);
+                }
+            };
+
+            waiter.cancel = (error) => {
+                leave();
+                reject(error);
+            };
+            waiter.timer = setTimeout(() => {
+                waiter.cancel(full(` after waiting ${this.blockTimeout}ms`));
+            }, this.blockTimeout);
+            waiter.onAbort = () => {
+                this.laneStats[lane].aborted += count;
+                waiter.cancel(abortError());
+            };
+            waiter.resolve = () => {
+                leave();
+                resolve();
+            };
+
+            if (signal) {
+                signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            this.waiters[lane].push(waiter);
+        });
+    }
+
+    /**
+     * Hand free slots of a lane to blocked callers, in order
      */
-    async addBatch(texts, options = {}) {
-        const promises = texts.map(text => this.add(text, options));
-        return Promise.all(promises);
+    release(lane) {
+        const waiters = this.waiters[lane];
+        while (waiters.length > 0 &&
+            this.lanes[lane].length + this.reserved[lane] + waiters[0].count <= this.maxDepth) {
+            this.reserved[lane] += waiters[0].count;
+            waiters[0].resolve();
+        }
+    }
+
+    recordWait(lane, wait) {
+        const stats = this.laneStats[lane];
+        stats.waited++;
+        stats.totalWait += wait;
+        stats.maxWait = Math.max(stats.maxWait, wait);
+        stats.waits.push(wait);
+        if (stats.waits.length > WAIT_SAMPLES) {
+            stats.waits.shift();
+        }
     }
 
     /**
@@ -64,7 +342,7 @@ class EmbeddingQueue {
         }
 
         // Process immediately if batch is full
-        if (this.queue.length >= this.batchSize) {
+        if (this.size >= this.batchSize) {
             this.processQueue();
         } else {
             // Otherwise wait up to maxWait
@@ -78,23 +356,32 @@ class EmbeddingQueue {
      * Process the current queue
      */
     async processQueue() {
-        if (this.processing || this.queue.length === 0) {
+        if (this.processing || this.size === 0) {
             return;
         }
 
         this.processing = true;
-        
-        // Take up to batchSize items
-        const batch = this.queue.splice(0, this.batchSize);
-        
-        // Group by options (model, inputType)
+
+        // Take up to batchSize items, interactive lane first
+        const batch = [];
+        const now = Date.now();
+        for (const lane of LANES) {
+            const taken = this.lanes[lane].splice(0, this.batchSize - batch.length);
+            taken.forEach(item => this.recordWait(lane, now - item.timestamp));
+            batch.push(...taken);
+            if (taken.length > 0) {
+                this.release(lane);
+            }
+        }
+
+        // Group by options (provider, model, inputType); groups keep lane order
         const groups = this.groupByOptions(batch);
 
         for (const group of groups) {
             try {
                 // Process this group
                 await this.processBatch(group);
-                
+
                 // Update stats
                 this.stats.totalBatches++;
                 this.stats.totalTexts += group.length;
@@ -108,11 +395,21 @@ class EmbeddingQueue {
         this.processing = false;
 
         // Check if there are more items to process
-        if (this.queue.length > 0) {
+        if (this.size > 0) {
             this.scheduleProcessing();
         }
     }
 
+    /**
+     * Batch key of an item: provider, model and input type, independent of
+     * option order. A query and a document are never embedded in one call.
+     */
+    groupKey(options = {}) {
+        const { provider, model, inputType = 'document', ...rest } = options;
+        const extra = Object.keys(rest).sort().map(key => [key, rest[key]]);
+        return JSON.stringify([provider, model, inputType, extra]);
+    }
+
     /**
      * Group items by their options
      */
@@ -120,7 +417,7 @@ class EmbeddingQueue {
         const groups = new Map();
         
         items.forEach(item => {
-            const key = JSON.stringify(item.options);
+            const key = this.groupKey(item.options);
             if (!groups.has(key)) {
                 groups.set(key, []);
             }
@@ -150,13 +447,31 @@ class EmbeddingQueue {
      * Get queue statistics
      */
     getStats() {
+        const lanes = {};
+        for (const lane of LANES) {
+            const { waits, totalWait, waited, maxWait, ...counts } = this.laneStats[lane];
+            const sorted = waits.slice().sort((a, b) => a - b);
+            lanes[lane] = {
+                queued: this.lanes[lane].length,
+                blocked: this.waiters[lane].length,
+                ...counts,
+                // Time from add() until the text's batch was sent
+                avgWaitMs: waited > 0 ? Math.round(totalWait / waited) : 0,
+                p95WaitMs: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+                maxWaitMs: maxWait
+            };
+        }
+
         return {
             ...this.stats,
-            currentQueueSize: this.queue.length,
+            currentQueueSize: this.size,
             isProcessing: this.processing,
             efficiency: this.stats.totalBatches > 0
                 ? (this.stats.avgBatchSize / this.batchSize * 100).toFixed(2) + '%'
-                : '0%'
+                : '0%',
+            maxDepth: this.maxDepth,
+            overflow: this.overflow,
+            lanes
         };
     }
 
@@ -164,12 +479,21 @@ class EmbeddingQueue {
      * Clear the queue (use with caution)
      */
     clear() {
-        // Reject all pending promises
-        this.queue.forEach(item => {
-            item.reject(new Error('Queue cleared'));
-        });
-        
-        this.queue = [];
+        // Reject all pending promises, and everyone waiting for room
+        for (const lane of LANES) {
+            const items = this.lanes[lane];
+            this.lanes[lane] = [];
+            items.forEach(item => {
+                item.reject(new Error('Queue cleared'));
+            });
+
+            const waiters = this.waiters[lane];
+            this.waiters[lane] = [];
+            waiters.forEach(waiter => {
+                waiter.cancel(new Error('Queue cleared'));
+            });
+        }
+
         if (this.timer) {
             clearTimeout(this.timer);
             this.timer = null;
@@ -177,4 +501,7 @@ class EmbeddingQueue {
     }
 }
 
+EmbeddingQueue.LANES = LANES;
+EmbeddingQueue.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+
 module.exports = EmbeddingQueue;
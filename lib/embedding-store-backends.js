@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Embedding Store Backends
+ * Key-value storage for lib/embedding-store.js. A backend keeps its keys in
+ * least-recently-used order and implements:
+ *
+ *   open()            - load or create the store
+ *   get(key)          - the vector (Array<number>) or null; marks the key as used
+ *   set(key, vector)  - store a vector
+ *   delete(key)       - drop a key
+ *   oldest()          - iterator of keys, least recently used first
+ *   count / bytes     - live entries and the bytes they take
+ *   compact()         - reclaim the space of deleted entries (optional)
+ *   close()           - flush pending writes
+ *   describe()        - name and backend-specific figures for stats
+ */
+
+/**
+ * Process-lifetime store, for tests and as the reference backend
+ */
+class MemoryEmbeddingBackend {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async open() {}
+
+    get count() {
+        return this.entries.size;
+    }
+
+    async get(key) {
+        const vector = this.entries.get(key);
+        if (!vector) {
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, vector);
+        return Array.from(vector);
+    }
+
+    async set(key, vector) {
+        await this.delete(key);
+        this.entries.set(key, Float32Array.from(vector));
+        this.bytes += vector.length * 4;
+    }
+
+    async delete(key) {
+        const vector = this.entries.get(key);
+        if (vector) {
+            this.entries.delete(key);
+            this.bytes -= vector.length * 4;
+        }
+    }
+
+    oldest() {
+        return this.entries.keys();
+    }
+
+    async compact() {}
+
+    async close() {}
+
+    describe() {
+        return { name: this.name };
+    }
+}
+
+// File layout: MAGIC, then records of
+//   [uint16 key bytes][uint8 kind][uint8 0][uint32 dimensions][key utf8][float32 LE x dimensions]
+// A delete record (kind 1) has no vector. The last record wins.
+const MAGIC = Buffer.from('EMBSTOR1');
+const RECORD_HEADER = 8;
+const MAX_KEY_BYTES = 1024;
+const KIND_SET = 0;
+const KIND_DELETE = 1;
+
+function encodeRecord(key, vector) {
+    const keyBytes = Buffer.from(key, 'utf8');
+    if (keyBytes.length > MAX_KEY_BYTES) {
+        throw new Error(`Embedding store key is longer than ${MAX_KEY_BYTES} bytes`);
+    }
+
+    const dimensions = vector ? vector.length : 0;
+    const record = Buffer.alloc(RECORD_HEADER + keyBytes.length + dimensions * 4);
+    record.writeUInt16LE(keyBytes.length, 0);
+    record.writeUInt8(vector ? KIND_SET : KIND_DELETE, 2);
+    record.writeUInt32LE(dimensions, 4);
+    keyBytes.copy(record, RECORD_HEADER);
+
+    const vectorStart = RECORD_HEADER + keyBytes.length;
+    for (let i = 0; i < dimensions; i++) {
+        record.writeFloatLE(vector[i], vectorStart + i * 4);
+    }
+    return record;
+}
+
+/**
+ * Append-only log file. Only keys and vector offsets are kept in memory;
+ * vectors are read from disk on demand. Overwritten, deleted and evicted
+ * entries stay in the file as garbage until compact() rewrites it with the
+ * live entries only. A torn record at the end (a crash mid-write) is cut
+ * off when the file is opened.
+ *
+ * One process per file: the file is not locked, and two writers would
+ * corrupt it.
+ */
+class FileEmbeddingBackend {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.filePath = path.resolve(options.filePath || 'data/embeddings.store');
+
+        // key -> { offset, dimensions, size }; offset is the vector's position
+        this.index = new Map();
+        this.handle = null;
+        this.fileBytes = 0;
+        this.bytes = 0;
+        this.recordBytes = 0;
+
+        // Appends and compaction run one at a time
+        this.writing = Promise.resolve();
+    }
+
+    get count() {
+        return this.index.size;
+    }
+
+    // Bytes of overwritten, deleted and evicted records
+    get garbageBytes() {
+        return this.fileBytes - MAGIC.length - this.recordBytes;
+    }
+
+    async open() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const fd = await fs.promises.open(this.filePath, fs.existsSync(this.filePath) ? 'r+' : 'w+');
+        const { size } = await fd.stat();
+
+        if (size === 0) {
+            await fd.write(MAGIC, 0, MAGIC.length, 0);
+            this.fileBytes = MAGIC.length;
+        } else {
+            try {
+                this.fileBytes = await this.scan(fd, size);
+            } catch (error) {
+                await fd.close();
+                throw error;
+            }
+        }
+
+        this.handle = { fd, readers: 0, retired: false };
+    }
+
+    /**
+     * Build the index from the records on disk
+     * @returns {Promise<number>} - Bytes of the file that hold whole records
+     */
+    async scan(fd, size) {
+        const magic = Buffer.alloc(MAGIC.length);
+        await fd.read(magic, 0, MAGIC.length, 0);
+        if (!magic.equals(MAGIC)) {
+            throw new Error(`${this.filePath} is not an embedding store`);
+        }
+
+        const header = Buffer.alloc(RECORD_HEADER + MAX_KEY_BYTES);
+        let position = MAGIC.length;
+
+        while (position < size) {
+            const { bytesRead } = await fd.read(header, 0, header.length, position);
+            if (bytesRead < RECORD_HEADER) {
+                break;
+            }
+
+            const keyLength = header.readUInt16LE(0);
+            const kind = header.readUInt8(2);
+            const dimensions = header.readUInt32LE(4);
+            const recordSize = RECORD_HEADER + keyLength + dimensions * 4;
+            if (keyLength > MAX_KEY_BYTES || kind > KIND_DELETE || position + recordSize > size) {
+                break;
+            }
+
+            const key = header.toString('utf8', RECORD_HEADER, RECORD_HEADER + keyLength);
+            this.forget(key);
+            if (kind === KIND_SET) {
+                this.remember(key, {
+                    offset: position + RECORD_HEADER + keyLength,
+                    dimensions,
+                    size: recordSize
+                });
+            }
+            position += recordSize;
+        }
+
+        if (position < size) {
+            console.warn(`⚠️ Embedding store ${this.filePath}: dropping ${size - position} bytes of incomplete records`);
+            await fd.truncate(position);
+        }
+        return position;
+    }
+
+    remember(key, entry) {
+        this.index.set(key, entry);
+        this.bytes += entry.dimensions * 4;
+        this.recordBytes += entry.size;
+    }
+
+    forget(key) {
+        const entry = this.index.get(key);
+        if (entry) {
+            this.index.delete(key);
+            this.bytes -= entry.dimensions * 4;
+            this.recordBytes -= entry.size;
+        }
+        return entry;
+    }
+
+    async get(key) {
+        const entry = this.index.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        // Mark as recently used
+        this.index.delete(key);
+        this.index.set(key, entry);
+        return this.read(entry);
+    }
+
+    async read(entry) {
+        // Pin the handle: compaction swaps files, and closes the old one
+        // only after the reads still using it are done
+        const handle = this.handle;
+        handle.readers++;
+        try {
+            const buffer = Buffer.alloc(entry.dimensions * 4);
+            await handle.fd.read(buffer, 0, buffer.length, entry.offset);
+
+            const vector = new Array(entry.dimensions);
+            for (let i = 0; i < entry.dimensions; i++) {
+                vector[i] = buffer.readFloatLE(i * 4);
+            }
+            return vector;
+        } finally {
+            handle.readers--;
+            if (handle.retired && handle.readers === 0) {
+                await handle.fd.close();
+            }
+        }
+    }
+
+    set(key, vector) {
+        return this.append(key, encodeRecord(key, vector), vector.length);
+    }
+
+    delete(key) {
+        if (!this.index.has(key)) {
+            return Promise.resolve();
+        }
+        return this.append(key, encodeRecord(key, null), null);
+    }
+
+    /**
+     * Append a record and index it once it is written
+     */
+    append(key, record, dimensions) {
+        this.writing = this.writing.then(async () => {
+            const position = this.fileBytes;
+            await this.handle.fd.write(record, 0, record.length, position);
+            this.fileBytes += record.length;
+
+            this.forget(key);
+            if (dimensions !== null) {
+                this.remember(key, {
+                    offset: position + record.length - dimensions * 4,
+                    dimensions,
+                    size: record.length
+                });
+            }
+        });
+
+        // Keep the chain going after a failed write; the caller still sees the error
+        const written = this.writing;
+        this.writing = written.catch(() => {});
+        return written;
+    }
+
+    oldest() {
+        return this.index.keys();
+    }
+
+    /**
+     * Rewrite the file with the live entries only, in recency order, then
+     * swap it in. Writes wait until compaction is done; reads carry on.
+     * @returns {Promise<Object>} - { before, after } file sizes in bytes
+     */
+    compact() {
+        const run = this.writing.then(async () => {
+            const before = this.fileBytes;
+            const temporaryPath = `${this.filePath}.compact`;
+            const target = await fs.promises.open(temporaryPath, 'w+');
+            const live = Array.from(this.index);
+            const index = new Map();
+            let position = 0;
+
+            try {
+                await target.write(MAGIC, 0, MAGIC.length, position);
+                position += MAGIC.length;
+
+                for (const [key, entry] of live) {
+                    const record = encodeRecord(key, await this.read(entry));
+                    await target.write(record, 0, record.length, position);
+                    index.set(key, {
+                        offset: position + record.length - entry.dimensions * 4,
+                        dimensions: entry.dimensions,
+                        size: record.length
+                    });
+                    position += record.length;
+                }
+
+                await target.sync();
+                await fs.promises.rename(temporaryPath, this.filePath);
+            } catch (error) {
+                await target.close();
+                await fs.promises.rm(temporaryPath, { force: true });
+                throw error;
+            }
+
+            const previous = this.handle;
+            this.handle = { fd: target, readers: 0, retired: false };
+            // Keys read while compacting moved to the end; keep that order
+            for (const key of this.index.keys()) {
+                const entry = index.get(key);
+                index.delete(key);
+                index.set(key, entry);
+            }
+            this.index = index;
+            this.fileBytes = position;
+            this.recordBytes = position - MAGIC.length;
+
+            previous.retired = true;
+            if (previous.readers === 0) {
+                await previous.fd.close();
+            }
+
+            return { before, after: position };
+        });
+
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    async close() {
+        await this.writing;
+        if (this.handle) {
+            await this.handle.fd.close();
+            this.handle = null;
+        }
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            filePath: this.filePath,
+            fileBytes: this.fileBytes,
+            garbageBytes: this.garbageBytes
+        };
+    }
+}
+
+FileEmbeddingBackend.MAGIC = MAGIC;
+
+module.exports = {
+    MemoryEmbeddingBackend,
+    FileEmbeddingBackend
+};
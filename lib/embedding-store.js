@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { MemoryEmbeddingBackend, FileEmbeddingBackend } = require('./embedding-store-backends');
+
+/**
+ * Embedding Store
+ * Persistent, content-addressed embeddings behind the in-memory caches:
+ * a vector is stored under its provider, model, input type and the SHA-256
+ * of its text, so it survives restarts and is shared by every client in the
+ * process. Callers read through it (lib/optimized-weaviate-client.js,
+ * weaviate-optimizer.js, lib/embedding-queue.js) and only embed the misses.
+ *
+ * Vectors are kept as float32, the precision the providers compute in.
+ * Over maxEntries or maxBytes the least recently used entries are evicted;
+ * the file backend compacts itself once more than half of it is garbage.
+ *
+ * The store never fails a request: a backend error is logged, counted and
+ * treated as a miss.
+ */
+
+const BACKENDS = ['off', 'file', 'memory'];
+
+// Don't bother compacting small files
+const MIN_COMPACT_BYTES = 1024 * 1024;
+
+class EmbeddingStore {
+    constructor(options = {}) {
+        this.backend = options.backend || new MemoryEmbeddingBackend();
+        this.maxEntries = options.maxEntries || 200000;
+        this.maxBytes = options.maxBytes || 1024 * 1024 * 1024;
+
+        this.available = false;
+        this.enforcing = false;
+        this.compacting = null;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            evictions: 0,
+            compactions: 0,
+            errors: 0,
+            lastCompaction: null
+        };
+
+        this.ready = this.backend.open()
+            .then(() => {
+                this.available = true;
+                console.log(`💾 Embedding store (${this.backend.name}): ${this.backend.count} vectors`);
+                return this.enforceLimits();
+            })
+            .catch(error => {
+                this.stats.errors++;
+                console.error(`❌ Embedding store unavailable, embedding without it: ${error.message}`);
+            });
+    }
+
+    /**
+     * Store from EMBEDDING_STORE (off, file or memory), shared by the
+     * process; null when off. Every client in the process must use the same
+     * instance: the file has one writer.
+     */
+    static shared(env = process.env) {
+        const backend = env.EMBEDDING_STORE || 'off';
+        if (!BACKENDS.includes(backend)) {
+            throw new Error(`EMBEDDING_STORE must be one of ${BACKENDS.join(', ')} (got "${backend}")`);
+        }
+        if (backend === 'off') {
+            return null;
+        }
+
+        if (!EmbeddingStore.instance) {
+            EmbeddingStore.instance = new EmbeddingStore({
+                backend: backend === 'file'
+                    ? new FileEmbeddingBackend({ filePath: env.EMBEDDING_STORE_PATH })
+                    : new MemoryEmbeddingBackend(),
+                maxEntries: parseInt(env.EMBEDDING_STORE_MAX_ENTRIES, 10) || undefined,
+                maxBytes: (parseInt(env.EMBEDDING_STORE_MAX_MB, 10) * 1024 * 1024) || undefined
+            });
+        }
+        return EmbeddingStore.instance;
+    }
+
+    /**
+     * Content address of a vector
+     * @param {Object} descriptor - { provider, model, inputType }
+     */
+    key(descriptor, text) {
+        const digest = crypto.createHash('sha256').update(String(text)).digest('hex');
+        return `${descriptor.provider}:${descriptor.model}:${descriptor.inputType || 'document'}:${digest}`;
+    }
+
+    /**
+     * @param {Object} descriptor - { provider, model, inputType }
+     * @returns {Promise<Array<number>|null>}
+     */
+    async get(descriptor, text) {
+        await this.ready;
+        if (!this.available) {
+            return null;
+        }
+
+        try {
+            const vector = await this.backend.get(this.key(descriptor, text));
+            if (vector) {
+                this.stats.hits++;
+            } else {
+                this.stats.misses++;
+            }
+            return vector;
+        } catch (error) {
+            this.stats.errors++;
+            this.stats.misses++;
+            console.error('❌ Embedding store read failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<Array<Array<number>|null>>} - One entry per text, null for misses
+     */
+    async getMany(descriptor, texts) {
+        return Promise.all(texts.map(text => this.get(descriptor, text)));
+    }
+
+    async set(descriptor, text, vector) {
+        await this.ready;
+        if (!this.available || !Array.isArray(vector) || vector.length === 0) {
+            return;
+        }
+
+        try {
+            await this.backend.set(this.key(descriptor, text), vector);
+            this.stats.writes++;
+            await this.enforceLimits();
+        } catch (error) {
+            this.stats.errors++;
+            console.error('❌ Embedding store write failed:', error.message);
+        }
+    }
+
+    async setMany(descriptor, texts, vectors) {
+        await Promise.all(texts.map((text, i) => this.set(descriptor, text, vectors[i])));
+    }
+
+    /**
+     * Evict least recently used entries down to the limits, then compact
+     * in the background when enough of the file is garbage
+     */
+    async enforceLimits() {
+        // Concurrent writes would evict the same entries twice
+        if (this.enforcing) {
+            return;
+        }
+        this.enforcing = true;
+        try {
+            await this.evictAndCompact();
+        } finally {
+            this.enforcing = false;
+        }
+    }
+
+    async evictAndCompact() {
+        const backend = this.backend;
+        const evict = [];
+        let count = backend.count;
+        let bytes = backend.bytes;
+        // Close enough: vectors of one model all have the same size
+        const bytesPerEntry = count > 0 ? bytes / count : 0;
+
+        for (const key of backend.oldest()) {
+            if (count <= this.maxEntries && bytes <= this.maxBytes) {
+                break;
+            }
+            evict.push(key);
+            count--;
+            bytes -= bytesPerEntry;
+        }
+
+        for (const key of evict) {
+            await backend.delete(key);
+            this.stats.evictions++;
+        }
+
+        const garbage = backend.describe().garbageBytes || 0;
+        if (!this.compacting && garbage > MIN_COMPACT_BYTES && garbage > backend.bytes) {
+            this.compact().catch(() => {});
+        }
+    }
+
+    /**
+     * Reclaim the space of evicted and overwritten entries
+     * @returns {Promise<Object>} - { before, after } in bytes, when the backend reports them
+     */
+    async compact() {
+        await this.ready;
+        if (!this.available) {
+            const error = new Error('Embedding store is not available');
+            error.status = 503;
+            throw error;
+        }
+
+        if (!this.compacting) {
+            this.compacting = Promise.resolve(this.backend.compact())
+                .then(result => {
+                    this.stats.compactions++;
+                    this.stats.lastCompaction = new Date().toISOString();
+                    if (result) {
+                        console.log(`🗜️ Embedding store compacted: ${result.before} -> ${result.after} bytes`);
+                    }
+                    return result || {};
+                })
+                .catch(error => {
+                    this.stats.errors++;
+                    console.error('❌ Embedding store compaction failed:', error.message);
+                    throw error;
+                })
+                .finally(() => {
+                    this.compacting = null;
+                });
+        }
+        return this.compacting;
+    }
+
+    async close() {
+        await this.ready;
+        if (this.compacting) {
+            await this.compacting.catch(() => {});
+        }
+        await this.backend.close();
+        this.available = false;
+    }
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            available: this.available,
+            backend: this.backend.describe(),
+            entries: this.backend.count,
+            bytes: this.backend.bytes,
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes,
+            hitRate: lookups > 0
+                ? (this.stats.hits / lookups * 100).toFixed(2) + '%'
+                : '0%'
+        };
+    }
+}
+
+EmbeddingStore.BACKENDS = BACKENDS;
+EmbeddingStore.instance = null;
+
+module.exports = EmbeddingStore;
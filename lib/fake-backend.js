@@ -0,0 +1,1062 @@
+const express = require('express');
+const crypto = require('crypto');
+const { matchesWhere } = require('./where-filter');
+const { bm25Scores } = require('./bm25');
+const { hashedEmbedding, COHERE_DIMENSIONS, OPENAI_DIMENSIONS } = require('./embedding-providers');
+const McpServer = require('./mcp-server');
+
+/**
+ * Fake Backend
+ * One local HTTP server standing in for Weaviate (REST + the GraphQL subset
+ * the clients generate), Cohere embed and rerank, an OpenAI-compatible
+ * embeddings API, OpenRouter's OpenAI-compatible chat API and an upstream MCP
+ * server, so the service can be integration-tested offline.
+ *
+ *   const backend = await new FakeBackend().start();
+ *   Object.assign(process.env, backend.env());
+ *
+ * Vectors are deterministic: hashed word and character n-grams (the local
+ * embedding provider's vectors), so texts sharing words land close together
+ * and every run gives the same results.
+ * bm25 and hybrid queries are scored in memory like Weaviate scores them.
+ */
+
+const MODEL_DIMENSIONS = {
+    ...COHERE_DIMENSIONS,
+    ...OPENAI_DIMENSIONS
+};
+
+function cosineDistance(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 1;
+    return 1 - dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Minimal GraphQL parser for the queries weaviate-ts-client builds:
+ * selections with arguments and nested selection sets, object/list/string/
+ * number/boolean/enum values. Commas are whitespace, as in GraphQL.
+ */
+function parseGraphQL(source) {
+    let position = 0;
+
+    const fail = (message) => {
+        throw new Error(`GraphQL syntax error at ${position}: ${message}`);
+    };
+
+    const skip = () => {
+        while (position < source.length) {
+            const char = source[position];
+            if (char === '#') {
+                while (position < source.length && source[position] !== '\n') position++;
+            } else if (/[\s,]/.test(char)) {
+                position++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const peek = () => {
+        skip();
+        return source[position];
+    };
+
+    const expect = (char) => {
+        if (peek() !== char) fail(`expected "${char}"`);
+        position++;
+    };
+
+    const name = () => {
+        skip();
+        const match = /^[_A-Za-z][_0-9A-Za-z]*/.exec(source.slice(position));
+        if (!match) fail('expected a name');
+        position += match[0].length;
+        return match[0];
+    };
+
+    const value = () => {
+        const char = peek();
+
+        if (char === '{') {
+            position++;
+            const object = {};
+            while (peek() !== '}') {
+                const key = name();
+                expect(':');
+                object[key] = value();
+            }
+            position++;
+            return object;
+        }
+
+        if (char === '[') {
+            position++;
+            const list = [];
+            while (peek() !== ']') {
+                list.push(value());
+            }
+            position++;
+            return list;
+        }
+
+        if (char === '"') {
+            const match = /^"(?:[^"\\]|\\.)*"/.exec(source.slice(position));
+            if (!match) fail('unterminated string');
+            position += match[0].length;
+            return JSON.parse(match[0]);
+        }
+
+        const number = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(position));
+        if (number) {
+            position += number[0].length;
+            return Number(number[0]);
+        }
+
+        const word = name();
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return word; // enum value, e.g. operator:Equal
+    };
+
+    const selectionSet = () => {
+        expect('{');
+        const selections = [];
+        while (peek() !== '}') {
+            const selection = { name: name(), args: {}, selections: null };
+            if (peek() === '(') {
+                position++;
+                while (peek() !== ')') {
+                    const key = name();
+                    expect(':');
+                    selection.args[key] = value();
+                }
+                position++;
+            }
+            if (peek() === '{') {
+                selection.selections = selectionSet();
+            }
+            selections.push(selection);
+        }
+        position++;
+        return selections;
+    };
+
+    if (peek() !== '{') {
+        // Named operation: query Name { ... }
+        name();
+        if (peek() !== '{') name();
+    }
+    return selectionSet();
+}
+
+class FakeBackend {
+    constructor(options = {}) {
+        this.port = options.port || 0;
+        this.host = options.host || '127.0.0.1';
+        this.defaultDimensions = options.dimensions || 1024;
+        this.latency = options.latency || 0;
+
+        // className -> { definition, objects: Map(id -> object) }
+        this.classes = new Map();
+
+        // Batch objects still to reject, see failBatchObjects()
+        this.batchFailures = [];
+
+        this.stats = {
+            graphql: 0,
+            rest: 0,
+            embeddings: 0,
+            // Cohere input_type of each embedded text
+            embeddingInputTypes: {},
+            reranks: 0,
+            completions: 0,
+            mcp: 0,
+            // Tool name -> calls that reached the fake MCP server
+            mcpToolCalls: {}
+        };
+
+        this.mcpServer = this.createMcpServer();
+        this.mcpSessions = 0;
+
+        this.app = this.createApp();
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json({ limit: '50mb' }));
+
+        if (this.latency) {
+            app.use((req, res, next) => setTimeout(next, this.latency));
+        }
+
+        // Weaviate
+        app.get('/v1/meta', (req, res) => {
+            res.json({ hostname: `http://${this.host}`, version: '1.25.0', modules: {} });
+        });
+        app.get('/v1/.well-known/live', (req, res) => res.status(200).end());
+        app.get('/v1/.well-known/ready', (req, res) => res.status(200).end());
+        app.post('/v1/graphql', (req, res) => this.handleGraphQL(req, res));
+
+        app.get('/v1/schema', (req, res) => {
+            this.stats.rest++;
+            res.json({ classes: Array.from(this.classes.values()).map(entry => entry.definition) });
+        });
+        app.post('/v1/schema', (req, res) => this.createClass(req, res));
+        app.get('/v1/schema/:className', (req, res) => {
+            const entry = this.classes.get(req.params.className);
+            if (!entry) return this.weaviateError(res, 404, `class ${req.params.className} not found`);
+            res.json(entry.definition);
+        });
+        app.post('/v1/schema/:className/properties', (req, res) => {
+            const entry = this.classes.get(req.params.className);
+            if (!entry) return this.weaviateError(res, 404, `class ${req.params.className} not found`);
+            if (entry.definition.properties.some(property => property.name === req.body?.name)) {
+                return this.weaviateError(res, 422, `property "${req.body?.name}" already exists`);
+            }
+            entry.definition.properties.push(req.body);
+            res.json(req.body);
+        });
+        app.delete('/v1/schema/:className', (req, res) => {
+            this.classes.delete(req.params.className);
+            res.status(200).end();
+        });
+
+        app.post('/v1/batch/objects', (req, res) => this.batchObjects(req, res));
+        app.delete('/v1/batch/objects', (req, res) => this.batchDelete(req, res));
+
+        app.get('/v1/objects', (req, res) => this.listObjects(req, res));
+        app.post('/v1/objects', (req, res) => this.createObject(req, res));
+        app.all('/v1/objects/:className/:id', (req, res) => this.objectById(req, res));
+        app.all('/v1/objects/:id', (req, res) => this.objectById(req, res));
+
+        // Cohere
+        app.post('/cohere/v1/embed', (req, res) => this.embed(req, res));
+        app.post('/cohere/v1/rerank', (req, res) => this.rerank(req, res));
+
+        // OpenAI-compatible embeddings
+        app.post('/openai/v1/embeddings', (req, res) => this.openAiEmbeddings(req, res));
+
+        // OpenRouter (OpenAI compatible)
+        app.get('/openrouter/api/v1/models', (req, res) => {
+            res.json({ data: [{ id: 'openrouter/auto', object: 'model' }] });
+        });
+        app.post('/openrouter/api/v1/chat/completions', (req, res) => this.chatCompletion(req, res));
+
+        // MCP (Streamable HTTP with JSON responses); initialize opens a session
+        app.get('/health', (req, res) => res.json({ status: 'ok' }));
+        app.post('/mcp', (req, res, next) => {
+            this.stats.mcp++;
+            const messages = Array.isArray(req.body) ? req.body : [req.body];
+            for (const message of messages) {
+                if (message?.method === 'tools/call') {
+                    const name = message.params?.name;
+                    this.stats.mcpToolCalls[name] = (this.stats.mcpToolCalls[name] || 0) + 1;
+                }
+            }
+            if (messages.some(message => message?.method === 'initialize')) {
+                res.set('Mcp-Session-Id', `fake-session-${++this.mcpSessions}`);
+            }
+            next();
+        }, this.mcpServer.createHttpHandler());
+
+        app.use((req, res) => this.weaviateError(res, 404, `No fake route for ${req.method} ${req.path}`));
+        return app;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<FakeBackend>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.url = `http://${this.host}:${this.port}`;
+                resolve(this);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Environment variables pointing the service at this backend
+     */
+    env() {
+        return {
+            WEAVIATE_ENDPOINT: this.url,
+            WEAVIATE_API_KEY: 'fake-weaviate-key',
+            COHERE_API_KEY: 'fake-cohere-key',
+            COHERE_BASE_URL: `${this.url}/cohere`,
+            OPENAI_EMBEDDING_API_KEY: 'fake-openai-key',
+            OPENAI_EMBEDDING_BASE_URL: `${this.url}/openai/v1`,
+            OPENROUTER_API_KEY: 'fake-openrouter-key',
+            OPENROUTER_BASE_URL: `${this.url}/openrouter/api/v1`,
+            MCP_ENDPOINT: this.url,
+            MCP_API_KEY: 'fake-mcp-key',
+            MCP_RPC_PATH: 'mcp'
+        };
+    }
+
+    /**
+     * Upstream MCP server with an `echo` tool (requires a string `text`),
+     * a `delete_note` tool and a `lookup` tool whose schema pattern
+     * JavaScript can't compile, for proxy, gateway and policy tests
+     */
+    createMcpServer() {
+        const server = new McpServer({ name: 'fake-mcp', version: '1.0.0' });
+
+        server.registerTool('echo', {
+            description: 'Return the given text',
+            inputSchema: {
+                type: 'object',
+                properties: { text: { type: 'string' } },
+                required: ['text']
+            },
+            handler: async ({ text }) => ({ text })
+        });
+
+        server.registerTool('delete_note', {
+            description: 'Pretend to delete a note',
+            inputSchema: {
+                type: 'object',
+                properties: { id: { type: 'string' } },
+                required: ['id']
+            },
+            handler: async ({ id }) => ({ deleted: id })
+        });
+
+        // Pattern in Python's regex dialect, as some upstream servers publish them
+        server.registerTool('lookup', {
+            description: 'Look up a note by slug',
+            inputSchema: {
+                type: 'object',
+                properties: { slug: { type: 'string', pattern: '^(?P<slug>[a-z-]+)$' } },
+                required: ['slug']
+            },
+            handler: async ({ slug }) => ({ slug })
+        });
+
+        return server;
+    }
+
+    reset() {
+        this.classes.clear();
+        this.batchFailures = [];
+        this.stats.mcpToolCalls = {};
+    }
+
+    /**
+     * Reject the next `count` objects sent to /v1/batch/objects with a
+     * per-object error, to test partial batch failures and retries
+     */
+    failBatchObjects(count, message = 'fake transient batch failure') {
+        for (let i = 0; i < count; i++) {
+            this.batchFailures.push(message);
+        }
+    }
+
+    /**
+     * Insert objects directly; vectors are generated from their text
+     * properties when missing
+     */
+    seed(className, objects) {
+        const entry = this.ensureClass(className);
+        return objects.map(({ id, vector, properties, ...rest }) => this.storeObject(entry, {
+            class: className,
+            properties: properties || rest,
+            id,
+            vector
+        }));
+    }
+
+    weaviateError(res, status, message) {
+        res.status(status).json({ error: [{ message }] });
+    }
+
+    ensureClass(className, definition = {}) {
+        if (!this.classes.has(className)) {
+            this.classes.set(className, {
+                definition: { class: className, vectorizer: 'none', properties: [], ...definition },
+                objects: new Map()
+            });
+        }
+        return this.classes.get(className);
+    }
+
+    /**
+     * Check properties against the data types the class declares, the way
+     * Weaviate rejects e.g. a string sent for a number property
+     */
+    propertyTypeError(definition, properties = {}) {
+        for (const property of definition.properties || []) {
+            const value = properties[property.name];
+            if (value === undefined || value === null) continue;
+
+            const [dataType] = property.dataType || [];
+            const valid = {
+                number: typeof value === 'number',
+                int: Number.isInteger(value),
+                boolean: typeof value === 'boolean',
+                date: typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+                text: typeof value === 'string',
+                string: typeof value === 'string'
+            }[dataType];
+
+            if (valid === false) {
+                return `invalid ${dataType} property '${property.name}' on class '${definition.class}': ${JSON.stringify(value)}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Auto-schema: declare properties the class doesn't have yet, typed
+     * from the first value seen, the way Weaviate does on insert
+     */
+    inferProperties(definition, properties = {}) {
+        const declared = new Set(definition.properties.map(property => property.name));
+        for (const [name, value] of Object.entries(properties)) {
+            if (declared.has(name) || value === undefined || value === null) continue;
+
+            const dataType = this.inferDataType(value);
+            if (dataType) {
+                definition.properties.push({ name, dataType: [dataType] });
+            }
+        }
+    }
+
+    inferDataType(value) {
+        if (Array.isArray(value)) {
+            const itemType = value.length > 0 ? this.inferDataType(value[0]) : null;
+            return itemType && itemType !== 'object' ? `${itemType}[]` : null;
+        }
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'object') return 'object';
+        // RFC 3339 timestamps become dates, anything else text
+        return /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)) ? 'date' : 'text';
+    }
+
+    textOf(properties) {
+        return Object.values(properties || {})
+            .filter(value => typeof value === 'string')
+            .join(' ');
+    }
+
+    storeObject(entry, object, existing = null) {
+        this.inferProperties(entry.definition, object.properties);
+        const now = Date.now();
+        const stored = {
+            class: entry.definition.class,
+            id: object.id || crypto.randomUUID(),
+            properties: { ...(object.properties || {}) },
+            vector: object.vector || hashedEmbedding(this.textOf(object.properties), this.defaultDimensions),
+            creationTimeUnix: existing ? existing.creationTimeUnix : now,
+            lastUpdateTimeUnix: now
+        };
+        entry.objects.set(stored.id, stored);
+        return stored;
+    }
+
+    serializeObject(object, includeVector = false) {
+        const result = {
+            class: object.class,
+            id: object.id,
+            properties: object.properties,
+            creationTimeUnix: object.creationTimeUnix,
+            lastUpdateTimeUnix: object.lastUpdateTimeUnix
+        };
+        if (includeVector) {
+            result.vector = object.vector;
+        }
+        return result;
+    }
+
+    createClass(req, res) {
+        this.stats.rest++;
+        const definition = req.body || {};
+        if (!definition.class) {
+            return this.weaviateError(res, 422, 'class name is required');
+        }
+        if (this.classes.has(definition.class)) {
+            return this.weaviateError(res, 422, `class name "${definition.class}" already exists`);
+        }
+        this.ensureClass(definition.class, definition);
+        res.json(this.classes.get(definition.class).definition);
+    }
+
+    batchObjects(req, res) {
+        this.stats.rest++;
+        const objects = req.body?.objects || [];
+
+        const results = objects.map(object => {
+            if (!object.class || !/^[A-Z][_0-9A-Za-z]*$/.test(object.class)) {
+                return {
+                    ...object,
+                    result: { errors: { error: [{ message: `invalid class name "${object.class}"` }] } }
+                };
+            }
+            if (object.vector && object.vector.some(value => typeof value !== 'number' || Number.isNaN(value))) {
+                return {
+                    ...object,
+                    result: { errors: { error: [{ message: 'vector must contain only numbers' }] } }
+                };
+            }
+            if (this.batchFailures.length > 0) {
+                return {
+                    ...object,
+                    result: { errors: { error: [{ message: this.batchFailures.shift() }] } }
+                };
+            }
+
+            const entry = this.ensureClass(object.class);
+            const typeError = this.propertyTypeError(entry.definition, object.properties);
+            if (typeError) {
+                return {
+                    ...object,
+                    result: { errors: { error: [{ message: typeError }] } }
+                };
+            }
+
+            const stored = this.storeObject(entry, object, object.id ? entry.objects.get(object.id) : null);
+            return { ...this.serializeObject(stored), result: {} };
+        });
+
+        res.json(results);
+    }
+
+    batchDelete(req, res) {
+        this.stats.rest++;
+        const { match = {}, dryRun = false, output = 'minimal' } = req.body || {};
+        const entry = this.classes.get(match.class);
+        const matched = entry
+            ? Array.from(entry.objects.values()).filter(object => matchesWhere(match.where, object.properties, object))
+            : [];
+
+        if (!dryRun) {
+            for (const object of matched) {
+                entry.objects.delete(object.id);
+            }
+        }
+
+        res.json({
+            match,
+            output,
+            dryRun,
+            results: {
+                matches: matched.length,
+                limit: 10000,
+                successful: dryRun ? 0 : matched.length,
+                failed: 0,
+                objects: output === 'verbose'
+                    ? matched.map(object => ({ id: object.id, status: dryRun ? 'DRYRUN' : 'SUCCESS' }))
+                    : undefined
+            }
+        });
+    }
+
+    listObjects(req, res) {
+        this.stats.rest++;
+        const limit = parseInt(req.query.limit, 10) || 25;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        const includeVector = String(req.query.include || '').includes('vector');
+
+        let objects = req.query.class
+            ? Array.from(this.classes.get(req.query.class)?.objects.values() || [])
+            : Array.from(this.classes.values()).flatMap(entry => Array.from(entry.objects.values()));
+
+        // Cursor pagination walks objects in id order
+        if (req.query.after !== undefined) {
+            objects = objects
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .filter(object => !req.query.after || object.id > req.query.after);
+        } else {
+            objects = objects.slice(offset);
+        }
+
+        res.json({
+            objects: objects.slice(0, limit).map(object => this.serializeObject(object, includeVector)),
+            totalResults: Math.min(objects.length, limit)
+        });
+    }
+
+    createObject(req, res) {
+        this.stats.rest++;
+        const object = req.body || {};
+        if (!object.class) {
+            return this.weaviateError(res, 422, 'class is required');
+        }
+
+        const entry = this.ensureClass(object.class);
+        if (object.id && entry.objects.has(object.id)) {
+            return this.weaviateError(res, 422, `id '${object.id}' already exists`);
+        }
+        res.json(this.serializeObject(this.storeObject(entry, object), true));
+    }
+
+    findObject(className, id) {
+        if (className) {
+            return this.classes.get(className)?.objects.get(id) || null;
+        }
+        for (const entry of this.classes.values()) {
+            if (entry.objects.has(id)) return entry.objects.get(id);
+        }
+        return null;
+    }
+
+    objectById(req, res) {
+        this.stats.rest++;
+        const { className, id } = req.params;
+        const existing = this.findObject(className, id);
+
+        switch (req.method) {
+            case 'GET':
+                if (!existing) return res.status(404).end();
+                return res.json(this.serializeObject(existing, String(req.query.include || '').includes('vector')));
+            case 'HEAD':
+                return res.status(existing ? 204 : 404).end();
+            case 'DELETE':
+                if (!existing) return res.status(404).end();
+                this.classes.get(existing.class).objects.delete(id);
+                return res.status(204).end();
+            case 'PUT': {
+                const entry = this.ensureClass(className || req.body?.class || existing?.class);
+                const stored = this.storeObject(entry, { ...req.body, id }, existing);
+                return res.json(this.serializeObject(stored, true));
+            }
+            case 'PATCH': {
+                if (!existing) return res.status(404).end();
+                const entry = this.classes.get(existing.class);
+                const properties = { ...existing.properties, ...(req.body?.properties || {}) };
+                this.storeObject(entry, {
+                    id,
+                    properties,
+                    vector: req.body?.vector || (req.body?.properties ? undefined : existing.vector)
+                }, existing);
+                return res.status(204).end();
+            }
+            default:
+                return res.status(405).end();
+        }
+    }
+
+    handleGraphQL(req, res) {
+        this.stats.graphql++;
+
+        let root;
+        try {
+            root = parseGraphQL(req.body?.query || '');
+        } catch (error) {
+            return res.json({ errors: [{ message: error.message }] });
+        }
+
+        const data = {};
+        const errors = [];
+
+        for (const operation of root) {
+            data[operation.name] = {};
+            for (const selection of operation.selections || []) {
+                try {
+                    if (operation.name === 'Get') {
+                        data.Get[selection.name] = this.executeGet(selection);
+                    } else if (operation.name === 'Aggregate') {
+                        data.Aggregate[selection.name] = this.executeAggregate(selection);
+                    } else {
+                        throw new Error(`Cannot query field "${operation.name}" on type "WeaviateObj".`);
+                    }
+                } catch (error) {
+                    errors.push({ message: error.message, path: [operation.name, selection.name] });
+                    data[operation.name][selection.name] = null;
+                }
+            }
+        }
+
+        res.json(errors.length > 0 ? { data, errors } : { data });
+    }
+
+    classEntry(className, type) {
+        const entry = this.classes.get(className);
+        if (!entry) {
+            throw new Error(`Cannot query field "${className}" on type "${type}".`);
+        }
+        return entry;
+    }
+
+    /**
+     * Candidate objects with their search distance, before paging
+     */
+    search(entry, args) {
+        let candidates = Array.from(entry.objects.values())
+            .filter(object => matchesWhere(args.where, object.properties, object))
+            .map(object => ({ object, distance: null, score: null }));
+
+        const near = args.nearVector || args.nearText;
+        if (near) {
+            const vector = args.nearVector
+                ? args.nearVector.vector
+                : hashedEmbedding((args.nearText.concepts || []).join(' '), this.defaultDimensions);
+
+            candidates = candidates
+                .map(candidate => ({ ...candidate, distance: cosineDistance(vector, candidate.object.vector) }))
+                .filter(candidate => near.distance === undefined || candidate.distance <= near.distance)
+                .filter(candidate => near.certainty === undefined || 1 - candidate.distance / 2 >= near.certainty)
+                .sort((a, b) => a.distance - b.distance);
+        }
+
+        if (args.bm25) {
+            candidates = this.bm25(candidates, args.bm25)
+                .filter(candidate => candidate.score > 0)
+                .map(candidate => ({ ...candidate, explainScore: `(bm25) score ${candidate.score.toFixed(4)}` }));
+        }
+
+        if (args.hybrid) {
+            candidates = this.hybrid(candidates, args.hybrid);
+        }
+
+        if (args.sort) {
+            const sorts = Array.isArray(args.sort) ? args.sort : [args.sort];
+            candidates.sort((a, b) => {
+                for (const { path, order } of sorts) {
+                    const key = path[0];
+                    const left = key === '_id' || key === 'id' ? a.object.id : a.object.properties[key];
+                    const right = key === '_id' || key === 'id' ? b.object.id : b.object.properties[key];
+                    if (left === right) continue;
+                    const direction = order === 'desc' ? -1 : 1;
+                    if (left === undefined || left === null) return 1;
+                    if (right === undefined || right === null) return -1;
+                    return left < right ? -direction : direction;
+                }
+                return 0;
+            });
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Score candidates with BM25 (k1 1.2, b 0.75) over the given properties,
+     * or every text property. "title^2" boosts a property.
+     */
+    bm25(candidates, { query, properties }) {
+        const fields = (properties || []).map(property => {
+            const [name, boost] = property.split('^');
+            return { name, boost: boost ? parseFloat(boost) : 1 };
+        });
+
+        const documents = candidates.map(({ object }) => {
+            const selected = fields.length > 0
+                ? fields
+                : Object.keys(object.properties)
+                    .filter(name => typeof object.properties[name] === 'string')
+                    .map(name => ({ name, boost: 1 }));
+            return selected.map(({ name, boost }) => ({ text: object.properties[name], boost }));
+        });
+
+        const scores = bm25Scores(query, documents);
+        return candidates
+            .map((candidate, index) => ({ ...candidate, score: scores[index] }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Fuse BM25 and vector rankings the way Weaviate does: rankedFusion sums
+     * 1 / (60 + rank), relativeScoreFusion sums min-max normalized scores,
+     * each list weighted by alpha (vector) and 1 - alpha (keyword)
+     */
+    hybrid(candidates, { query, vector, alpha = 0.75, properties, fusionType = 'rankedFusion' }) {
+        const queryVector = vector || hashedEmbedding(query, this.defaultDimensions);
+        const keyword = this.bm25(candidates, { query, properties }).filter(candidate => candidate.score > 0);
+        const semantic = candidates
+            .map(candidate => ({ ...candidate, distance: cosineDistance(queryVector, candidate.object.vector) }))
+            .sort((a, b) => a.distance - b.distance);
+
+        const fused = new Map();
+        const add = (list, weight, scoreOf, label) => {
+            const scores = list.map(scoreOf);
+            const max = Math.max(...scores);
+            const min = Math.min(...scores);
+
+            list.forEach((candidate, rank) => {
+                const contribution = fusionType === 'relativeScoreFusion'
+                    ? weight * (max === min ? 1 : (scores[rank] - min) / (max - min))
+                    : weight / (60 + rank);
+                const entry = fused.get(candidate.object.id) || { object: candidate.object, distance: null, score: 0, explain: [] };
+                entry.score += contribution;
+                entry.explain.push(`${label} rank ${rank + 1}`);
+                if (candidate.distance !== null) entry.distance = candidate.distance;
+                fused.set(candidate.object.id, entry);
+            });
+        };
+
+        add(keyword, 1 - alpha, candidate => candidate.score, 'keyword');
+        add(semantic, alpha, candidate => 1 - candidate.distance, 'vector');
+
+        return Array.from(fused.values())
+            .map(({ explain, ...candidate }) => ({
+                ...candidate,
+                explainScore: `(hybrid) ${fusionType}: ${explain.join(', ')}`
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    executeGet(selection) {
+        const entry = this.classEntry(selection.name, 'GetObjectsObj');
+        const args = selection.args;
+
+        // Like Weaviate, the cursor only walks the whole class in id order
+        const cursorConflicts = ['where', 'nearVector', 'nearText', 'bm25', 'hybrid', 'sort', 'offset']
+            .filter(name => args[name] !== undefined);
+        if (args.after !== undefined && cursorConflicts.length > 0) {
+            throw new Error(`cursor api: invalid 'after' parameter: ${cursorConflicts.join(', ')} cannot be set along with after`);
+        }
+
+        let candidates = this.search(entry, args);
+
+        // Without a filter, search or sort, objects come in id order (the
+        // order the cursor continues in)
+        const plainList = cursorConflicts.every(name => name === 'offset');
+        if (args.after !== undefined || plainList) {
+            candidates = candidates
+                .sort((a, b) => a.object.id.localeCompare(b.object.id))
+                .filter(candidate => !args.after || candidate.object.id > args.after);
+        }
+
+        const offset = args.offset || 0;
+        const limit = args.limit === undefined ? 10 : args.limit;
+        return candidates
+            .slice(offset, offset + limit)
+            .map(candidate => this.project(candidate, selection.selections || []));
+    }
+
+    project(candidate, selections) {
+        const { object, distance, score, explainScore } = candidate;
+        const result = {};
+
+        for (const field of selections) {
+            if (field.name === '_additional') {
+                const additional = {};
+                for (const extra of field.selections || []) {
+                    switch (extra.name) {
+                        case 'id': additional.id = object.id; break;
+                        case 'vector': additional.vector = object.vector; break;
+                        case 'distance': additional.distance = distance; break;
+                        case 'certainty': additional.certainty = distance === null ? null : 1 - distance / 2; break;
+                        case 'score': additional.score = score === null ? null : String(score); break;
+                        case 'explainScore': additional.explainScore = explainScore || ''; break;
+                        case 'creationTimeUnix': additional.creationTimeUnix = String(object.creationTimeUnix); break;
+                        case 'lastUpdateTimeUnix': additional.lastUpdateTimeUnix = String(object.lastUpdateTimeUnix); break;
+                        default: additional[extra.name] = null;
+                    }
+                }
+                result._additional = additional;
+            } else if (field.name === '__typename') {
+                result.__typename = object.class;
+            } else {
+                const value = object.properties[field.name];
+                result[field.name] = value === undefined ? null : value;
+            }
+        }
+
+        return result;
+    }
+
+    executeAggregate(selection) {
+        const entry = this.classEntry(selection.name, 'AggregateObjectsObj');
+        const objects = this.search(entry, selection.args).map(candidate => candidate.object);
+
+        const groups = new Map();
+        const groupBy = selection.args.groupBy;
+        if (groupBy) {
+            const key = Array.isArray(groupBy) ? groupBy[0] : groupBy;
+            for (const object of objects) {
+                const value = object.properties[key];
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(object);
+            }
+        } else {
+            groups.set(undefined, objects);
+        }
+
+        return Array.from(groups.entries()).map(([value, members]) => {
+            const result = {};
+            for (const field of selection.selections || []) {
+                if (field.name === 'meta') {
+                    result.meta = { count: members.length };
+                } else if (field.name === 'groupedBy') {
+                    result.groupedBy = { value: value === undefined ? null : String(value), path: [groupBy].flat() };
+                } else {
+                    result[field.name] = { count: members.filter(object => object.properties[field.name] !== undefined).length };
+                }
+            }
+            return result;
+        });
+    }
+
+    embed(req, res) {
+        this.stats.embeddings++;
+        const { texts = [], model = 'embed-english-v3.0', embedding_types: embeddingTypes, input_type: inputType } = req.body || {};
+        const inputTypes = this.stats.embeddingInputTypes;
+        inputTypes[inputType] = (inputTypes[inputType] || 0) + texts.length;
+        const dimensions = MODEL_DIMENSIONS[model] || this.defaultDimensions;
+        const embeddings = texts.map(text => hashedEmbedding(text, dimensions));
+
+        const meta = {
+            api_version: { version: '1' },
+            billed_units: { input_tokens: texts.reduce((sum, text) => sum + String(text).split(/\s+/).length, 0) }
+        };
+
+        if (embeddingTypes) {
+            return res.json({
+                id: crypto.randomUUID(),
+                texts,
+                embeddings: { float: embeddings },
+                meta,
+                response_type: 'embeddings_by_type'
+            });
+        }
+
+        res.json({
+            id: crypto.randomUUID(),
+            texts,
+            embeddings,
+            meta,
+            response_type: 'embeddings_floats'
+        });
+    }
+
+    /**
+     * Relevance is the cosine similarity of the fake embeddings, in [0, 1]
+     */
+    rerank(req, res) {
+        this.stats.reranks++;
+        const { query = '', documents = [], top_n: topN, return_documents: returnDocuments } = req.body || {};
+        const queryVector = hashedEmbedding(query, this.defaultDimensions);
+
+        const results = documents
+            .map((document, index) => {
+                const text = typeof document === 'string' ? document : document.text;
+                return {
+                    index,
+                    relevance_score: Math.max(0, 1 - cosineDistance(queryVector, hashedEmbedding(text, this.defaultDimensions))),
+                    document: returnDocuments ? { text } : undefined
+                };
+            })
+            .sort((a, b) => b.relevance_score - a.relevance_score)
+            .slice(0, topN || documents.length);
+
+        res.json({
+            id: crypto.randomUUID(),
+            results,
+            meta: { api_version: { version: '1' }, billed_units: { search_units: 1 } }
+        });
+    }
+
+    /**
+     * OpenAI /embeddings: input is a string or an array of strings;
+     * `dimensions` shortens the vectors like text-embedding-3 does
+     */
+    openAiEmbeddings(req, res) {
+        this.stats.embeddings++;
+        const { input = [], model = 'text-embedding-3-small', dimensions } = req.body || {};
+        const texts = Array.isArray(input) ? input : [input];
+        const size = dimensions || MODEL_DIMENSIONS[model] || this.defaultDimensions;
+
+        res.json({
+            object: 'list',
+            data: texts.map((text, index) => ({ object: 'embedding', index, embedding: hashedEmbedding(text, size) })),
+            model,
+            usage: {
+                prompt_tokens: texts.reduce((sum, text) => sum + String(text).split(/\s+/).length, 0),
+                total_tokens: texts.reduce((sum, text) => sum + String(text).split(/\s+/).length, 0)
+            }
+        });
+    }
+
+    chatCompletion(req, res) {
+        this.stats.completions++;
+        const { model = 'openrouter/auto', messages = [], stream = false } = req.body || {};
+        const lastUser = [...messages].reverse().find(message => message.role === 'user');
+        const prompt = typeof lastUser?.content === 'string' ? lastUser.content : JSON.stringify(lastUser?.content || '');
+        const content = `[fake ${model}] ${prompt.replace(/\s+/g, ' ').trim().slice(0, 200)}`;
+        const id = `chatcmpl-${crypto.randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            const chunk = (delta, finishReason = null) => res.write(`data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices: [{ index: 0, delta, finish_reason: finishReason }]
+            })}\n\n`);
+            chunk({ role: 'assistant', content });
+            chunk({}, 'stop');
+            res.write('data: [DONE]\n\n');
+            return res.end();
+        }
+
+        res.json({
+            id,
+            object: 'chat.completion',
+            created,
+            model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: 'stop'
+            }],
+            usage: {
+                prompt_tokens: prompt.split(/\s+/).length,
+                completion_tokens: content.split(/\s+/).length,
+                total_tokens: prompt.split(/\s+/).length + content.split(/\s+/).length
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            classes: Object.fromEntries(
+                Array.from(this.classes.entries()).map(([name, entry]) => [name, entry.objects.size])
+            )
+        };
+    }
+}
+
+FakeBackend.embedText = hashedEmbedding;
+FakeBackend.parseGraphQL = parseGraphQL;
+
+module.exports = FakeBackend;
+
+// Standalone: node lib/fake-backend.js, then export the printed variables
+if (require.main === module) {
+    const backend = new FakeBackend({ port: parseInt(process.env.FAKE_BACKEND_PORT, 10) || 8089 });
+    backend.start().then(() => {
+        console.log(`🧪 Fake Weaviate/Cohere/OpenRouter/MCP backend on ${backend.url}`);
+        for (const [name, value] of Object.entries(backend.env())) {
+            console.log(`export ${name}=${value}`);
+        }
+    });
+
+    const shutdown = () => backend.stop().then(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
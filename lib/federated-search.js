@@ -0,0 +1,293 @@
+/**
+ * Federated Search
+ * Searches several Weaviate classes at once (OptimizedDocument, the legacy
+ * Document / Knowledge / CohereKnowledge classes, per-team classes) and
+ * merges the hits with reciprocal rank fusion. RRF only looks at ranks, so
+ * classes with different vectorizers and score scales merge fairly.
+ */
+
+// Fields every hit is normalized to
+const CANONICAL_FIELDS = ['title', 'content', 'source', 'category', 'contentType', 'priority'];
+
+const DEFAULT_FIELDS = {
+    title: 'title',
+    content: 'content',
+    source: 'source',
+    category: 'category'
+};
+
+// vector: nearVector with our embedding from the class's provider;
+// nearText: the class's own vectorizer; keyword: BM25
+const CLASS_SEARCH_TYPES = ['vector', 'nearText', 'keyword'];
+
+const GRAPHQL_NAME = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+function invalidFederatedSearch(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+class FederatedSearch {
+    constructor(options = {}) {
+        this.pool = options.pool;
+        // (text, { className, inputType, signal }) -> embedding vector from the class's
+        // provider, e.g. OptimizedWeaviateClient#generateEmbedding
+        this.embed = options.embed;
+        this.metricsCollector = options.metricsCollector || null;
+        this.maxClasses = options.maxClasses || 10;
+
+        this.stats = {
+            searches: 0,
+            classQueries: 0,
+            classFailures: 0
+        };
+    }
+
+    /**
+     * Validate and default one class spec: "Knowledge" or
+     * { className, fields: { title: 'name', ... }, search, weight, where }
+     */
+    normalizeClass(spec, index) {
+        const classSpec = typeof spec === 'string' ? { className: spec } : spec;
+        if (!classSpec || typeof classSpec !== 'object' || !classSpec.className) {
+            throw invalidFederatedSearch(`classes[${index}] must be a class name or { className, ... }`);
+        }
+        if (!/^[A-Z][_0-9A-Za-z]*$/.test(classSpec.className)) {
+            throw invalidFederatedSearch(`classes[${index}].className "${classSpec.className}" is not a valid Weaviate class name`);
+        }
+
+        const fields = { ...DEFAULT_FIELDS, ...(classSpec.fields || {}) };
+        for (const [canonical, property] of Object.entries(fields)) {
+            if (!CANONICAL_FIELDS.includes(canonical)) {
+                throw invalidFederatedSearch(
+                    `classes[${index}].fields.${canonical} is not a known field. Supported: ${CANONICAL_FIELDS.join(', ')}`
+                );
+            }
+            if (property !== null && !GRAPHQL_NAME.test(property)) {
+                throw invalidFederatedSearch(`classes[${index}].fields.${canonical} must be a property name or null`);
+            }
+        }
+
+        const search = classSpec.search || 'vector';
+        if (!CLASS_SEARCH_TYPES.includes(search)) {
+            throw invalidFederatedSearch(`classes[${index}].search must be one of ${CLASS_SEARCH_TYPES.join(', ')}`);
+        }
+
+        const weight = classSpec.weight === undefined ? 1 : classSpec.weight;
+        if (typeof weight !== 'number' || weight <= 0) {
+            throw invalidFederatedSearch(`classes[${index}].weight must be a positive number`);
+        }
+
+        return {
+            className: classSpec.className,
+            // null drops a field the class doesn't have
+            fields: Object.fromEntries(Object.entries(fields).filter(([, property]) => property)),
+            search,
+            weight,
+            where: classSpec.where
+        };
+    }
+
+    /**
+     * Search the classes in parallel and fuse the results
+     * @param {string} query - Search text
+     * @param {Array} classes - Class names or class specs
+     * @param {Object} options - { limit, perClassLimit, k, dedupe, signal }
+     * @returns {Promise<Object>} - { query, results, classes, timestamp }
+     */
+    async search(query, classes, options = {}) {
+        if (!query || typeof query !== 'string') {
+            throw invalidFederatedSearch('query is required');
+        }
+        if (!Array.isArray(classes) || classes.length === 0) {
+            throw invalidFederatedSearch('classes must be a non-empty array');
+        }
+        if (classes.length > this.maxClasses) {
+            throw invalidFederatedSearch(`At most ${this.maxClasses} classes can be searched at once`);
+        }
+
+        const specs = classes.map((spec, index) => this.normalizeClass(spec, index));
+        const limit = options.limit || 10;
+        const perClassLimit = options.perClassLimit || Math.max(limit, 20);
+        // RRF constant: higher values flatten the advantage of top ranks
+        const k = options.k || 60;
+
+        this.stats.searches++;
+
+        const outcomes = await Promise.all(specs.map(spec =>
+            this.searchClass(spec, query, perClassLimit, options.signal)
+        ));
+
+        if (outcomes.every(outcome => outcome.error)) {
+            const error = new Error(`All classes failed: ${outcomes.map(outcome => `${outcome.className}: ${outcome.error}`).join('; ')}`);
+            error.status = 502;
+            throw error;
+        }
+
+        const results = this.fuse(outcomes, specs, { k, dedupe: options.dedupe !== false }).slice(0, limit);
+
+        return {
+            query,
+            results,
+            classes: outcomes.map(({ className, hits, latency, error }) => ({
+                className,
+                hits: hits.length,
+                latency,
+                error
+            })),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async searchClass(spec, query, limit, signal) {
+        const start = Date.now();
+        this.stats.classQueries++;
+
+        const scoreFields = spec.search === 'keyword' ? 'id score' : 'id distance';
+        const fields = `${Object.values(spec.fields).join(' ')} _additional { ${scoreFields} }`;
+        let vector = null;
+
+        try {
+            // Classes can use different embedding providers (repeats for the
+            // same provider come from the embedding cache); a failing provider
+            // fails only the classes that use it
+            if (spec.search === 'vector') {
+                vector = await this.embed(query, { className: spec.className, inputType: 'query', signal });
+            }
+
+            const result = await this.pool.execute(async (client) => {
+                const builder = client.graphql
+                    .get()
+                    .withClassName(spec.className)
+                    .withFields(fields)
+                    .withLimit(limit);
+
+                if (spec.where) {
+                    builder.withWhere(spec.where);
+                }
+
+                if (spec.search === 'keyword') {
+                    builder.withBm25({ query });
+                } else if (spec.search === 'nearText') {
+                    builder.withNearText({ concepts: [query] });
+                } else {
+                    builder.withNearVector({ vector });
+                }
+
+                return builder.do();
+            });
+
+            const hits = (result?.data?.Get?.[spec.className] || []).map(hit => this.normalizeHit(spec, hit));
+            this.metricsCollector?.recordIntegration('weaviate', true, Date.now() - start);
+            return { className: spec.className, hits: this.normalizeScores(hits), latency: Date.now() - start };
+        } catch (error) {
+            // The caller went away: nobody is waiting for the other classes
+            if (signal?.aborted) {
+                throw error;
+            }
+            this.stats.classFailures++;
+            if (spec.search !== 'vector' || vector) {
+                this.metricsCollector?.recordIntegration('weaviate', false, Date.now() - start);
+            }
+            console.warn(`⚠️ Federated search of ${spec.className} failed: ${error.message}`);
+            return { className: spec.className, hits: [], latency: Date.now() - start, error: error.message };
+        }
+    }
+
+    /**
+     * Map a class's own properties onto the canonical fields
+     */
+    normalizeHit(spec, hit) {
+        const document = {};
+        for (const [canonical, property] of Object.entries(spec.fields)) {
+            document[canonical] = hit[property] ?? null;
+        }
+
+        const additional = hit._additional || {};
+        return {
+            document,
+            id: additional.id,
+            // Higher is better for both: 1 - distance, or the BM25 score
+            rawScore: additional.score !== undefined && additional.score !== null
+                ? parseFloat(additional.score) || 0
+                : 1 - (additional.distance ?? 1),
+            distance: additional.distance,
+            score: additional.score
+        };
+    }
+
+    /**
+     * Min-max normalize a class's scores to 0..1 so they are comparable
+     * for display; fusion itself only uses ranks
+     */
+    normalizeScores(hits) {
+        const scores = hits.map(hit => hit.rawScore);
+        const max = Math.max(...scores);
+        const min = Math.min(...scores);
+        return hits.map(hit => ({
+            ...hit,
+            normalizedScore: max === min ? 1 : (hit.rawScore - min) / (max - min)
+        }));
+    }
+
+    /**
+     * Reciprocal rank fusion: each hit scores weight / (k + rank) per class
+     * it appears in. With dedupe, the same title and content found in
+     * several classes (e.g. migrated copies) add up into one result.
+     */
+    fuse(outcomes, specs, { k, dedupe }) {
+        const fused = new Map();
+
+        outcomes.forEach((outcome, classIndex) => {
+            const { weight } = specs[classIndex];
+
+            outcome.hits.forEach((hit, index) => {
+                const rank = index + 1;
+                const title = String(hit.document.title || '').trim().toLowerCase();
+                const content = String(hit.document.content || '').slice(0, 200);
+                // Hits with neither title nor content have nothing to match on
+                const key = dedupe && (title || content)
+                    ? `${title}|${content}`
+                    : `${outcome.className}:${hit.id}`;
+
+                const source = {
+                    className: outcome.className,
+                    id: hit.id,
+                    rank,
+                    distance: hit.distance,
+                    score: hit.score,
+                    normalizedScore: hit.normalizedScore
+                };
+
+                const entry = fused.get(key);
+                if (entry) {
+                    entry._federated.fusedScore += weight / (k + rank);
+                    entry._federated.sources.push(source);
+                } else {
+                    fused.set(key, {
+                        ...hit.document,
+                        _federated: {
+                            className: outcome.className,
+                            fusedScore: weight / (k + rank),
+                            sources: [source]
+                        }
+                    });
+                }
+            });
+        });
+
+        return Array.from(fused.values()).sort((a, b) => b._federated.fusedScore - a._federated.fusedScore);
+    }
+
+    /**
+     * Get federated search statistics
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+FederatedSearch.CANONICAL_FIELDS = CANONICAL_FIELDS;
+
+module.exports = FederatedSearch;
@@ -0,0 +1,190 @@
+/**
+ * JSON Schema Validator
+ * Checks values against the subset of JSON Schema that MCP tool
+ * `inputSchema`s use in practice: types, required/properties,
+ * additionalProperties, enum/const, numeric and string bounds, patterns,
+ * array items and the anyOf/oneOf/allOf/not combinators. Unknown keywords
+ * (format, $schema, descriptions...) are ignored rather than rejected, and
+ * so are patterns JavaScript can't compile.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'object':
+            return typeOf(value) === 'object';
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+// pattern source -> RegExp, or null when JavaScript can't compile it
+const compiledPatterns = new Map();
+
+/**
+ * Compile a schema pattern once. Patterns written for other regex dialects
+ * (Python named groups, escapes that are invalid in unicode mode) are
+ * retried without the `u` flag, and skipped like an unsupported keyword
+ * when they still don't compile.
+ */
+function compilePattern(source) {
+    if (!compiledPatterns.has(source)) {
+        let compiled = null;
+        for (const flags of ['u', '']) {
+            try {
+                compiled = new RegExp(source, flags);
+                break;
+            } catch (error) {
+                // Try the next flags
+            }
+        }
+        compiledPatterns.set(source, compiled);
+    }
+    return compiledPatterns.get(source);
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describe(path) {
+    return path || 'arguments';
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Location used in messages (e.g. "arguments.limit")
+ * @returns {string[]} - Human readable errors, empty when valid
+ */
+function validate(schema, value, path = '') {
+    if (schema === true || schema === undefined || schema === null) return [];
+    if (schema === false) return [`${describe(path)} is not allowed`];
+
+    const errors = [];
+    const where = describe(path);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            // Nothing below makes sense for a value of the wrong type
+            return [`${where} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+        errors.push(`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if ('const' in schema && !isEqual(schema.const, value)) {
+        errors.push(`${where} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${where} must be <= ${schema.maximum}`);
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(`${where} must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(`${where} must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+            errors.push(`${where} must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(`${where} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(`${where} must be at most ${schema.maxLength} characters`);
+        }
+        const pattern = schema.pattern ? compilePattern(schema.pattern) : null;
+        if (pattern && !pattern.test(value)) {
+            errors.push(`${where} must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            errors.push(`${where} must not contain duplicates`);
+        }
+        if (Array.isArray(schema.items)) {
+            schema.items.forEach((itemSchema, index) => {
+                if (index < value.length) {
+                    errors.push(...validate(itemSchema, value[index], `${where}[${index}]`));
+                }
+            });
+        } else if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(schema.items, item, `${where}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (!(name in value)) {
+                errors.push(`${where}.${name} is required`);
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                errors.push(...validate(properties[name], propertyValue, `${where}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}.${name} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validate(schema.additionalProperties, propertyValue, `${where}.${name}`));
+            }
+        }
+    }
+
+    if (schema.allOf) {
+        for (const subschema of schema.allOf) {
+            errors.push(...validate(subschema, value, path));
+        }
+    }
+    if (schema.anyOf && !schema.anyOf.some(subschema => validate(subschema, value, path).length === 0)) {
+        errors.push(`${where} must match at least one allowed schema`);
+    }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(subschema => validate(subschema, value, path).length === 0).length;
+        if (matches !== 1) {
+            errors.push(`${where} must match exactly one allowed schema`);
+        }
+    }
+    if (schema.not && validate(schema.not, value, path).length === 0) {
+        errors.push(`${where} must not match the excluded schema`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,106 @@
+/**
+ * JSON-RPC Utilities
+ * Helpers for inspecting MCP JSON-RPC envelopes carried over HTTP
+ */
+
+/**
+ * Check whether a body is a single JSON-RPC request (has method and id)
+ */
+function isJsonRpcRequest(body) {
+    return Boolean(
+        body &&
+        !Array.isArray(body) &&
+        body.jsonrpc === '2.0' &&
+        typeof body.method === 'string' &&
+        'id' in body
+    );
+}
+
+/**
+ * Check whether a body looks like any JSON-RPC payload (request,
+ * notification, response or batch)
+ */
+function isJsonRpcPayload(body) {
+    if (Array.isArray(body)) {
+        return body.length > 0 && body.every(message => message && message.jsonrpc === '2.0');
+    }
+    return Boolean(body && body.jsonrpc === '2.0');
+}
+
+/**
+ * Parse a text/event-stream body into its events
+ * @returns {Array<{event: string, data: string, id: string|null}>}
+ */
+function parseSseEvents(text) {
+    const events = [];
+
+    for (const block of String(text).split(/\r?\n\r?\n/)) {
+        const event = { event: 'message', data: '', id: null };
+        const dataLines = [];
+
+        for (const line of block.split(/\r?\n/)) {
+            if (!line || line.startsWith(':')) continue;
+
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'data') dataLines.push(value);
+            else if (field === 'event') event.event = value;
+            else if (field === 'id') event.id = value;
+        }
+
+        if (dataLines.length > 0) {
+            event.data = dataLines.join('\n');
+            events.push(event);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Pull the JSON-RPC response for a request id out of an upstream HTTP
+ * response body, which may be plain JSON or an SSE stream
+ */
+function extractJsonRpcResponse(data, contentType, id) {
+    if (!(contentType || '').includes('text/event-stream')) {
+        return typeof data === 'string' ? JSON.parse(data) : data;
+    }
+
+    let match = null;
+    for (const event of parseSseEvents(data)) {
+        try {
+            const message = JSON.parse(event.data);
+            if (message && message.id === id && ('result' in message || 'error' in message)) {
+                match = message;
+            }
+        } catch (error) {
+            // Non-JSON events are not responses
+        }
+    }
+
+    if (!match) {
+        throw new Error(`No JSON-RPC response for id ${JSON.stringify(id)} in event stream`);
+    }
+
+    return match;
+}
+
+/**
+ * Return a copy of a JSON-RPC response carrying a different id
+ */
+function withId(response, id) {
+    if (!response || typeof response !== 'object' || response.jsonrpc !== '2.0') {
+        return response;
+    }
+    return { ...response, id };
+}
+
+module.exports = {
+    isJsonRpcRequest,
+    isJsonRpcPayload,
+    parseSseEvents,
+    extractJsonRpcResponse,
+    withId
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * MCP Audit Log
+ * Append-only JSON Lines log of tool policy decisions. Writes are
+ * serialized so entries never interleave, and queries stream the file
+ * instead of loading it into memory.
+ */
+class McpAuditLog {
+    constructor(options = {}) {
+        this.filePath = path.resolve(
+            options.filePath || process.env.MCP_AUDIT_LOG_PATH || 'logs/mcp-audit.jsonl'
+        );
+
+        this.writing = Promise.resolve();
+        this.directoryReady = false;
+
+        this.stats = {
+            written: 0,
+            failed: 0
+        };
+    }
+
+    /**
+     * Append an entry. Never throws: an audit failure is logged and counted
+     * but must not take the request down with it.
+     */
+    append(entry) {
+        const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+
+        this.writing = this.writing.then(async () => {
+            try {
+                if (!this.directoryReady) {
+                    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                    this.directoryReady = true;
+                }
+                await fs.promises.appendFile(this.filePath, line);
+                this.stats.written++;
+            } catch (error) {
+                this.stats.failed++;
+                console.error('❌ Failed to write MCP audit entry:', error.message);
+            }
+        });
+
+        return this.writing;
+    }
+
+    /**
+     * Find entries, newest first
+     * @param {Object} filters - { caller, tool, decision, since, limit }
+     */
+    async query(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+
+        // Include entries still waiting to be written
+        await this.writing;
+
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const matches = [];
+        const rl = readline.createInterface({
+            input: fs.createReadStream(this.filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+
+            if (filters.caller && entry.caller !== filters.caller) continue;
+            if (filters.tool && entry.tool !== filters.tool) continue;
+            if (filters.decision && entry.decision !== filters.decision) continue;
+            if (since && new Date(entry.timestamp).getTime() < since) continue;
+
+            matches.push(entry);
+            if (matches.length > limit) {
+                matches.shift();
+            }
+        }
+
+        return matches.reverse();
+    }
+
+    /**
+     * Get audit log statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            filePath: this.filePath
+        };
+    }
+}
+
+module.exports = McpAuditLog;
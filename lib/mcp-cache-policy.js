@@ -0,0 +1,115 @@
+const { isJsonRpcRequest, isJsonRpcPayload } = require('./jsonrpc-utils');
+
+/**
+ * MCP Cache Policy
+ * Decides per JSON-RPC method whether proxied MCP traffic may be cached
+ * or deduplicated. Everything in MCP is a POST to one path, so the
+ * decision is driven by the envelope's `method`, not the HTTP method.
+ */
+class McpCachePolicy {
+    constructor(options = {}) {
+        const listTtl = options.listTtl || parseInt(process.env.MCP_LIST_CACHE_TTL, 10) || 300;
+
+        // Methods whose results are safe to share, with TTL in seconds
+        this.cacheableMethods = options.cacheableMethods || {
+            'tools/list': listTtl,
+            'resources/list': listTtl,
+            'prompts/list': listTtl
+        };
+
+        // tools/call is only cached for tools known to be free of side effects
+        this.idempotentTools = new Set(
+            options.idempotentTools ||
+            (process.env.MCP_IDEMPOTENT_TOOLS || '').split(',').map(name => name.trim()).filter(Boolean)
+        );
+        this.idempotentToolTtl = options.idempotentToolTtl ||
+            parseInt(process.env.MCP_IDEMPOTENT_TOOL_TTL, 10) || 60;
+
+        this.stats = {
+            cacheable: 0,
+            uncacheable: 0,
+            byMethod: {}
+        };
+    }
+
+    /**
+     * Classify a proxied request
+     * @returns {Object} - { kind, method, id, cacheable, dedupable, ttl, keyParts }
+     */
+    decide(req, path) {
+        const body = req.body;
+
+        if (isJsonRpcRequest(body)) {
+            return this.decideJsonRpc(body, path);
+        }
+
+        // Notifications, responses and batches are always forwarded as-is
+        if (isJsonRpcPayload(body)) {
+            this.stats.uncacheable++;
+            return { kind: 'jsonrpc-passthrough', cacheable: false, dedupable: false };
+        }
+
+        // Plain REST traffic: only safe HTTP methods are shared
+        const safe = req.method === 'GET' || req.method === 'HEAD';
+        this.stats[safe ? 'cacheable' : 'uncacheable']++;
+        return {
+            kind: 'rest',
+            cacheable: safe,
+            dedupable: safe,
+            ttl: null,
+            keyParts: [req.method, path, req.query]
+        };
+    }
+
+    decideJsonRpc(message, path) {
+        const { method, id } = message;
+        const params = message.params || {};
+        this.stats.byMethod[method] = (this.stats.byMethod[method] || 0) + 1;
+
+        let ttl = null;
+        if (Object.prototype.hasOwnProperty.call(this.cacheableMethods, method)) {
+            ttl = this.cacheableMethods[method];
+        } else if (method === 'tools/call' && this.idempotentTools.has(params.name)) {
+            ttl = this.idempotentToolTtl;
+        }
+
+        if (ttl === null) {
+            this.stats.uncacheable++;
+            return { kind: 'jsonrpc', method, id, cacheable: false, dedupable: false };
+        }
+
+        this.stats.cacheable++;
+
+        // The request id is deliberately left out so different callers share entries
+        const { _meta, ...keyParams } = params;
+        return {
+            kind: 'jsonrpc',
+            method,
+            id,
+            cacheable: true,
+            dedupable: true,
+            ttl,
+            keyParts: ['POST', path, method, keyParams]
+        };
+    }
+
+    /**
+     * Whether an upstream JSON-RPC response may be stored
+     */
+    isCacheableResponse(response) {
+        return Boolean(response && response.jsonrpc === '2.0' && 'result' in response && !response.error);
+    }
+
+    /**
+     * Get policy statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            cacheableMethods: this.cacheableMethods,
+            idempotentTools: Array.from(this.idempotentTools)
+        };
+    }
+}
+
+module.exports = McpCachePolicy;
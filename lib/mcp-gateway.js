@@ -0,0 +1,343 @@
+const McpServer = require('./mcp-server');
+const { extractJsonRpcResponse } = require('./jsonrpc-utils');
+
+const CATALOG_CACHE_KEY = 'mcp-gateway:catalog';
+
+/**
+ * MCP Gateway
+ * An MCP server whose tool catalog is the union of every upstream MCP
+ * server's tools, namespaced as `<namespace>.<tool>`. Calls are routed to
+ * the owning upstream group through ConnectionManager with failover.
+ */
+class McpGateway extends McpServer {
+    constructor(options = {}) {
+        super({
+            name: options.name || 'max-mcp-gateway',
+            version: options.version,
+            instructions: options.instructions,
+            metricsCollector: options.metricsCollector,
+            policy: options.policy
+        });
+
+        this.connectionManager = options.connectionManager;
+        this.cacheManager = options.cacheManager;
+        this.registry = this.connectionManager.mcpUpstreams;
+        this.separator = options.separator || '.';
+        this.refreshInterval = options.refreshInterval ||
+            parseInt(process.env.MCP_GATEWAY_REFRESH_MS, 10) || 300000;
+
+        // Upstream MCP sessions keyed by upstream name
+        this.sessions = new Map();
+        this.nextRequestId = 1;
+        this.refreshing = null;
+
+        this.catalogStatus = {
+            lastRefresh: null,
+            upstreams: {}
+        };
+    }
+
+    /**
+     * Refresh the catalog now and then periodically
+     */
+    start() {
+        this.refreshCatalog().catch(error => {
+            console.error('❌ MCP gateway catalog refresh failed:', error.message);
+        });
+
+        this.refreshTimer = setInterval(() => {
+            this.refreshCatalog().catch(error => {
+                console.error('❌ MCP gateway catalog refresh failed:', error.message);
+            });
+        }, this.refreshInterval);
+
+        // Don't keep the process alive just for catalog refreshes
+        this.refreshTimer.unref();
+        return this;
+    }
+
+    stop() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /**
+     * Send a JSON-RPC request to an upstream group, opening an MCP session
+     * with whichever upstream serves it
+     */
+    async rpc(route, method, params = {}) {
+        return this.connectionManager.executeMcp(route, async (client, target) => {
+            const upstream = this.registry.get(target.upstream);
+            let session = await this.ensureSession(client, upstream);
+
+            try {
+                return await this.send(client, upstream, session, method, params);
+            } catch (error) {
+                // Upstream forgot the session (restart or expiry): initialize again once
+                if (error.response?.status === 404 && session.sessionId) {
+                    this.sessions.delete(upstream.name);
+                    session = await this.ensureSession(client, upstream);
+                    return this.send(client, upstream, session, method, params);
+                }
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Perform the initialize handshake with an upstream once
+     */
+    async ensureSession(client, upstream) {
+        if (this.sessions.has(upstream.name)) {
+            return this.sessions.get(upstream.name);
+        }
+
+        const pending = (async () => {
+            const { result, headers } = await this.post(client, upstream, {}, 'initialize', {
+                protocolVersion: McpServer.SUPPORTED_PROTOCOL_VERSIONS[0],
+                capabilities: {},
+                clientInfo: { name: this.name, version: this.version }
+            });
+
+            const session = {
+                sessionId: headers['mcp-session-id'] || null,
+                protocolVersion: result.protocolVersion,
+                serverInfo: result.serverInfo || null
+            };
+
+            await this.notify(client, upstream, session, 'notifications/initialized');
+            return session;
+        })();
+
+        this.sessions.set(upstream.name, pending);
+
+        try {
+            const session = await pending;
+            this.sessions.set(upstream.name, session);
+            return session;
+        } catch (error) {
+            this.sessions.delete(upstream.name);
+            throw error;
+        }
+    }
+
+    sessionHeaders(session) {
+        const headers = {};
+        if (session.sessionId) headers['mcp-session-id'] = session.sessionId;
+        if (session.protocolVersion) headers['mcp-protocol-version'] = session.protocolVersion;
+        return headers;
+    }
+
+    async send(client, upstream, session, method, params) {
+        const { result } = await this.post(client, upstream, this.sessionHeaders(session), method, params);
+        return result;
+    }
+
+    async notify(client, upstream, session, method, params) {
+        const message = { jsonrpc: '2.0', method };
+        if (params) message.params = params;
+
+        await client.post(`/${upstream.rpcPath}`, message, {
+            headers: {
+                Accept: 'application/json, text/event-stream',
+                ...this.sessionHeaders(session)
+            }
+        });
+    }
+
+    async post(client, upstream, headers, method, params) {
+        const id = this.nextRequestId++;
+        const response = await client.post(`/${upstream.rpcPath}`, {
+            jsonrpc: '2.0',
+            id,
+            method,
+            params
+        }, {
+            headers: {
+                Accept: 'application/json, text/event-stream',
+                ...headers
+            },
+            responseType: 'text'
+        });
+
+        const message = extractJsonRpcResponse(response.data, response.headers['content-type'], id);
+
+        if (message.error) {
+            // The upstream answered; this is not a transport failure worth failing over
+            const error = this.createError(message.error.code, message.error.message, message.error.data);
+            error.response = { status: response.status, data: message };
+            throw error;
+        }
+
+        return { result: message.result, headers: response.headers };
+    }
+
+    /**
+     * Fetch every upstream group's tools and merge them under namespaced names.
+     * Groups that fail keep their previous tools so a flaky upstream doesn't
+     * vanish from the catalog.
+     */
+    async refreshCatalog() {
+        if (this.refreshing) {
+            return this.refreshing;
+        }
+
+        this.refreshing = (async () => {
+            const previous = (await this.cacheManager.get('metadata', CATALOG_CACHE_KEY)) || { tools: [] };
+
+            const results = await Promise.all(this.registry.groups().map(async (route) => {
+                const start = Date.now();
+                try {
+                    const tools = await this.listUpstreamTools(route);
+                    this.catalogStatus.upstreams[route.namespace] = {
+                        healthy: true,
+                        tools: tools.length,
+                        latency: Date.now() - start,
+                        refreshedAt: new Date().toISOString()
+                    };
+                    return tools.map(tool => this.namespaceTool(route, tool));
+                } catch (error) {
+                    const stale = previous.tools.filter(tool => tool.group === route.group);
+                    this.catalogStatus.upstreams[route.namespace] = {
+                        healthy: false,
+                        error: error.message,
+                        staleTools: stale.length,
+                        failedAt: new Date().toISOString()
+                    };
+                    return stale;
+                }
+            }));
+
+            const catalog = {
+                tools: results.flat(),
+                refreshedAt: new Date().toISOString()
+            };
+
+            // Keep entries around well past the next refresh
+            await this.cacheManager.set(
+                'metadata',
+                CATALOG_CACHE_KEY,
+                catalog,
+                Math.ceil(this.refreshInterval / 1000) * 2
+            );
+            this.catalogStatus.lastRefresh = catalog.refreshedAt;
+
+            return catalog;
+        })();
+
+        try {
+            return await this.refreshing;
+        } finally {
+            this.refreshing = null;
+        }
+    }
+
+    /**
+     * Page through tools/list on one upstream group
+     */
+    async listUpstreamTools(route) {
+        const tools = [];
+        let cursor;
+
+        do {
+            const result = await this.rpc(route, 'tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+
+        return tools;
+    }
+
+    namespaceTool(route, tool) {
+        return {
+            name: `${route.namespace}${this.separator}${tool.name}`,
+            originalName: tool.name,
+            group: route.group,
+            namespace: route.namespace,
+            inputSchema: tool.inputSchema || null,
+            definition: { ...tool, name: `${route.namespace}${this.separator}${tool.name}` }
+        };
+    }
+
+    /**
+     * Validate a tools/call passing through the proxy against the cached
+     * catalog. Tools the catalog doesn't know are left to the upstream.
+     */
+    async validateUpstreamCall(group, originalName, args = {}) {
+        const catalog = await this.cacheManager.get('metadata', CATALOG_CACHE_KEY);
+        const entry = catalog?.tools.find(tool => tool.group === group && tool.originalName === originalName);
+        if (entry) {
+            this.validateArguments(entry.name, entry.inputSchema, args);
+        }
+    }
+
+    async getCatalog() {
+        const cached = await this.cacheManager.get('metadata', CATALOG_CACHE_KEY);
+        return cached || this.refreshCatalog();
+    }
+
+    /**
+     * Local tools plus the merged upstream catalog
+     */
+    async listTools() {
+        const local = await super.listTools();
+        const catalog = await this.getCatalog();
+        return [...local, ...catalog.tools.map(tool => tool.definition)];
+    }
+
+    /**
+     * Find a namespaced tool, refreshing once if it isn't known yet
+     */
+    async resolveTool(name) {
+        let entry = (await this.getCatalog()).tools.find(tool => tool.name === name);
+        if (!entry) {
+            entry = (await this.refreshCatalog()).tools.find(tool => tool.name === name);
+        }
+        return entry || null;
+    }
+
+    async callTool(name, args = {}) {
+        if (this.tools.has(name)) {
+            return super.callTool(name, args);
+        }
+
+        const entry = await this.resolveTool(name);
+        if (!entry) {
+            throw this.createError(McpServer.ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        // Reject bad arguments here instead of spending an upstream round trip
+        this.validateArguments(name, entry.inputSchema, args);
+        this.stats.toolCalls[name] = (this.stats.toolCalls[name] || 0) + 1;
+
+        const route = this.registry.groups().find(group => group.group === entry.group);
+        try {
+            return await this.rpc(route, 'tools/call', { name: entry.originalName, arguments: args });
+        } catch (error) {
+            if (typeof error.code === 'number') {
+                throw error;
+            }
+            throw this.createError(
+                McpServer.ERROR_CODES.INTERNAL_ERROR,
+                `Upstream ${entry.namespace} failed: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Get gateway statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            catalog: this.catalogStatus,
+            sessions: Array.from(this.sessions.entries())
+                .filter(([, session]) => !(session instanceof Promise))
+                .map(([upstream, session]) => ({ upstream, sessionId: session.sessionId }))
+        };
+    }
+}
+
+module.exports = McpGateway;
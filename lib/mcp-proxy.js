@@ -0,0 +1,582 @@
+const axios = require('axios');
+const McpCachePolicy = require('./mcp-cache-policy');
+const McpSessionManager = require('./mcp-session-manager');
+const McpServer = require('./mcp-server');
+const { extractJsonRpcResponse, isJsonRpcRequest, withId } = require('./jsonrpc-utils');
+
+/**
+ * MCP Proxy
+ * Forwards /api/mcp/* requests to the upstream MCP server, either buffered
+ * (with caching and deduplication) or streamed chunk by chunk
+ */
+
+// Request headers passed through to the upstream MCP server
+const FORWARDED_REQUEST_HEADERS = [
+    'accept',
+    'content-type',
+    'last-event-id',
+    'mcp-session-id',
+    'mcp-protocol-version'
+];
+
+// Hop-by-hop and length headers that must not be copied onto the streamed response
+const EXCLUDED_RESPONSE_HEADERS = [
+    'connection',
+    'keep-alive',
+    'transfer-encoding',
+    'content-length',
+    'content-encoding',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'upgrade'
+];
+
+/**
+ * Every tools/call in a body (single or batch), notifications included:
+ * a call without an id still runs the tool upstream
+ */
+function toolCalls(body) {
+    const messages = Array.isArray(body) ? body : [body];
+    return messages.filter(message => message && message.jsonrpc === '2.0' && message.method === 'tools/call');
+}
+
+class McpProxy {
+    constructor(options = {}) {
+        this.connectionManager = options.connectionManager;
+        this.cacheManager = options.cacheManager;
+        this.metricsCollector = options.metricsCollector;
+        this.metricsAggregator = options.metricsAggregator || null;
+        this.circuitBreaker = options.circuitBreaker || null;
+        this.deduplicator = options.deduplicator || null;
+        // Gateway whose cached catalog is used to validate tools/call arguments
+        this.toolCatalog = options.toolCatalog || null;
+        this.policy = options.policy || null;
+        this.cachePolicy = options.cachePolicy || new McpCachePolicy();
+        this.sessions = options.sessionManager || new McpSessionManager({
+            onExpire: (session) => this.closeUpstreamSession(session)
+        });
+
+        // 'auto' streams when the client accepts text/event-stream
+        this.streaming = options.streaming || process.env.MCP_PROXY_STREAMING || 'auto';
+
+        this.stats = {
+            buffered: 0,
+            streamed: 0,
+            clientAborts: 0
+        };
+    }
+
+    /**
+     * Express handler for app.all('/api/mcp/*')
+     */
+    middleware() {
+        return (req, res) => this.handle(req, res);
+    }
+
+    async handle(req, res) {
+        const path = req.params[0];
+        const sessionId = req.get('mcp-session-id') || null;
+
+        // Tell clients of idle-expired sessions to re-initialize
+        if (sessionId && !this.sessions.get(sessionId) && this.sessions.isExpired(sessionId)) {
+            return res.status(404).json({
+                jsonrpc: '2.0',
+                id: req.body?.id ?? null,
+                error: { code: -32001, message: 'Session expired' }
+            });
+        }
+
+        let route;
+        try {
+            route = this.connectionManager.resolveMcpRoute({ path, headers: req.headers });
+        } catch (error) {
+            return this.sendError(res, error, path);
+        }
+
+        // Sessions live on one upstream, so pin them there instead of load balancing
+        const session = sessionId ? this.sessions.touch(sessionId) : null;
+        if (session) {
+            route = this.sessions.pinRoute(route, session);
+        }
+
+        if (req.method === 'DELETE' && sessionId) {
+            res.on('finish', () => {
+                if (res.statusCode < 500) {
+                    this.sessions.close(sessionId);
+                }
+            });
+        }
+
+        const decision = this.cachePolicy.decide(req, path);
+
+        if (this.policy && !this.authorizeToolCalls(req, res, route, sessionId)) {
+            return;
+        }
+
+        if (this.toolCatalog) {
+            try {
+                if (!await this.validateToolCalls(req, res, route)) {
+                    return;
+                }
+            } catch (error) {
+                return this.sendError(res, error, path);
+            }
+        }
+
+        // Never share cache entries or in-flight requests across upstream groups or sessions
+        if (decision.keyParts) {
+            decision.keyParts = [route.group, sessionId, ...decision.keyParts];
+        }
+
+        if (this.shouldStream(req, decision)) {
+            return this.forwardStream(req, res, path, route);
+        }
+
+        return this.forwardBuffered(req, res, path, decision, route);
+    }
+
+    /**
+     * Apply the tool policy to every tools/call in the body (single or batch),
+     * notifications included. A batch with any denied call is rejected as a whole.
+     * @returns {boolean} - false when a denial has been sent
+     */
+    authorizeToolCalls(req, res, route, sessionId) {
+        const calls = toolCalls(req.body);
+        if (calls.length === 0) {
+            return true;
+        }
+
+        const namespace = route.candidates[0]?.namespace || route.group;
+        const separator = this.toolCatalog?.separator || '.';
+        const caller = this.policy.identify(req.headers);
+        const claimed = this.policy.claimedIdentity(req.headers);
+
+        const denials = new Map();
+        for (const call of calls) {
+            const params = call.params || {};
+            const decision = this.policy.authorize({
+                caller,
+                claimed,
+                tool: `${namespace}${separator}${params.name}`,
+                arguments: params.arguments,
+                via: 'proxy',
+                group: route.group,
+                sessionId
+            });
+            if (!decision.allowed) {
+                denials.set(call, decision);
+            }
+        }
+
+        if (denials.size === 0) {
+            return true;
+        }
+
+        const deny = (message) => {
+            const decision = denials.get(message);
+            return {
+                jsonrpc: '2.0',
+                id: message.id ?? null,
+                error: {
+                    code: McpServer.ERROR_CODES.TOOL_DENIED,
+                    message: decision
+                        ? `Tool ${decision.tool} denied by policy`
+                        : 'Batch rejected: it contains a denied tool call',
+                    data: decision ? { rule: decision.rule, reason: decision.reason } : undefined
+                }
+            };
+        };
+
+        res.json(Array.isArray(req.body)
+            ? req.body.filter(message => isJsonRpcRequest(message) || denials.has(message)).map(deny)
+            : deny(req.body));
+        return false;
+    }
+
+    /**
+     * Check the arguments of every tools/call in the body (single or batch,
+     * notifications included) against the cached catalog. A batch with any
+     * invalid call is rejected as a whole.
+     * @returns {Promise<boolean>} - false when an error response has been sent
+     */
+    async validateToolCalls(req, res, route) {
+        const calls = toolCalls(req.body);
+        if (calls.length === 0) {
+            return true;
+        }
+
+        const failures = new Map();
+        for (const call of calls) {
+            const params = call.params || {};
+            try {
+                await this.toolCatalog.validateUpstreamCall(route.group, params.name, params.arguments);
+            } catch (error) {
+                if (typeof error.code !== 'number') {
+                    throw error;
+                }
+                failures.set(call, error);
+            }
+        }
+
+        if (failures.size === 0) {
+            return true;
+        }
+
+        const reject = (message) => {
+            const error = failures.get(message);
+            return {
+                jsonrpc: '2.0',
+                id: message.id ?? null,
+                error: error
+                    ? { code: error.code, message: error.message, data: error.data }
+                    : {
+                        code: McpServer.ERROR_CODES.INVALID_PARAMS,
+                        message: 'Batch rejected: it contains a tool call with invalid arguments'
+                    }
+            };
+        };
+
+        res.json(Array.isArray(req.body)
+            ? req.body.filter(message => isJsonRpcRequest(message) || failures.has(message)).map(reject)
+            : reject(req.body));
+        return false;
+    }
+
+    /**
+     * Start tracking a session the upstream just issued, or adopt a session
+     * we don't know yet (e.g. after a restart) on the upstream that served it
+     */
+    trackSession(req, route, served, issuedId) {
+        if (!served) return;
+
+        if (issuedId) {
+            if (!this.sessions.get(issuedId)) {
+                this.sessions.open(issuedId, { upstream: served.upstream, group: route.group, path: served.path });
+            }
+            return;
+        }
+
+        const sessionId = req.get('mcp-session-id');
+        if (sessionId && req.method !== 'DELETE' && !this.sessions.get(sessionId)) {
+            this.sessions.open(sessionId, { upstream: served.upstream, group: route.group, path: served.path });
+        }
+    }
+
+    /**
+     * Best-effort DELETE of an idle session on its upstream
+     */
+    async closeUpstreamSession(session) {
+        const upstream = this.connectionManager.mcpUpstreams.get(session.upstream);
+        if (!upstream) return;
+
+        const route = { group: session.group, candidates: [upstream], preferred: upstream.name, path: session.path || '' };
+        await this.connectionManager.executeMcp(route, async (client, target) => {
+            return client.delete(`/${target.path}`, {
+                headers: { 'mcp-session-id': session.id }
+            });
+        });
+    }
+
+    /**
+     * Close a tracked session on behalf of an operator
+     * @returns {boolean} - false when the session isn't tracked
+     */
+    async closeSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return false;
+        }
+
+        this.sessions.close(sessionId);
+        await this.closeUpstreamSession(session);
+        return true;
+    }
+
+    /**
+     * Decide whether a request uses the streaming pass-through.
+     * Requests the cache policy can share are always buffered.
+     */
+    shouldStream(req, decision) {
+        if (decision.cacheable || decision.dedupable) return false;
+        if (this.streaming === 'always') return true;
+        if (this.streaming === 'never') return false;
+
+        return (req.get('accept') || '').includes('text/event-stream');
+    }
+
+    /**
+     * Pick the client headers that are forwarded upstream
+     */
+    forwardedHeaders(req) {
+        const headers = {};
+        for (const name of FORWARDED_REQUEST_HEADERS) {
+            const value = req.get(name);
+            if (value) {
+                headers[name] = value;
+            }
+        }
+        return headers;
+    }
+
+    /**
+     * Run an operation through the circuit breaker when one is configured
+     */
+    async guarded(operation, operationName) {
+        if (!this.circuitBreaker) {
+            return operation();
+        }
+
+        // A client that went away says nothing about the upstream's health
+        const outcome = await this.circuitBreaker.execute(async () => {
+            try {
+                return { value: await operation() };
+            } catch (error) {
+                if (axios.isCancel(error)) {
+                    return { error };
+                }
+                throw error;
+            }
+        }, operationName);
+
+        if (outcome.error) {
+            throw outcome.error;
+        }
+        return outcome.value;
+    }
+
+    /**
+     * Buffered mode: wait for the full upstream response and apply the
+     * cache policy's caching and deduplication decision
+     */
+    async forwardBuffered(req, res, path, decision, route) {
+        const start = Date.now();
+        this.stats.buffered++;
+
+        const isJsonRpc = decision.kind === 'jsonrpc';
+        const cacheKey = decision.cacheable
+            ? this.cacheManager.generateKey('mcp', ...decision.keyParts)
+            : null;
+
+        try {
+            let cacheHit = false;
+            let served = null;
+            let issuedSessionId = null;
+
+            const result = await this.guarded(async () => {
+                const fetchResult = async () => {
+                    if (cacheKey) {
+                        const cached = await this.cacheManager.get('mcp', cacheKey);
+                        if (cached) {
+                            cacheHit = true;
+                            this.metricsAggregator?.addMetric('cache_hit_rate', 1);
+                            return cached;
+                        }
+                    }
+
+                    const response = await this.connectionManager.executeMcp(route, async (client, target) => {
+                        served = target;
+                        return await client.request({
+                            method: req.method,
+                            url: `/${target.path}`,
+                            data: req.body,
+                            params: req.query,
+                            headers: this.forwardedHeaders(req),
+                            // Keep SSE bodies as text so the JSON-RPC response can be extracted
+                            responseType: isJsonRpc ? 'text' : 'json'
+                        });
+                    });
+
+                    issuedSessionId = response.headers['mcp-session-id'] || null;
+
+                    const data = isJsonRpc
+                        ? extractJsonRpcResponse(response.data, response.headers['content-type'], decision.id)
+                        : response.data;
+
+                    const storable = isJsonRpc
+                        ? this.cachePolicy.isCacheableResponse(data)
+                        : response.status === 200;
+
+                    if (cacheKey && storable) {
+                        await this.cacheManager.set('mcp', cacheKey, data, decision.ttl);
+                        this.metricsAggregator?.addMetric('cache_hit_rate', 0);
+                    }
+
+                    return data;
+                };
+
+                if (this.deduplicator && decision.dedupable) {
+                    const dedupeKey = `mcp:${this.cacheManager.hashString(JSON.stringify(decision.keyParts))}`;
+                    return this.deduplicator.dedupe(dedupeKey, fetchResult);
+                }
+
+                return fetchResult();
+            }, 'mcp-proxy');
+
+            this.metricsCollector.recordIntegration('mcp', true, Date.now() - start);
+            res.set('X-Cache', cacheHit ? 'HIT' : (cacheKey ? 'MISS' : 'BYPASS'));
+            if (served) {
+                res.set('X-MCP-Upstream', served.upstream);
+            }
+            if (issuedSessionId) {
+                res.set('Mcp-Session-Id', issuedSessionId);
+            }
+            this.trackSession(req, route, served, issuedSessionId);
+
+            // Cached and shared results answer the caller under its own request id
+            res.json(isJsonRpc ? withId(result, decision.id) : result);
+        } catch (error) {
+            this.metricsCollector.recordIntegration('mcp', false, Date.now() - start);
+            this.sendError(res, error, path);
+        }
+    }
+
+    /**
+     * Streaming mode: relay upstream status, headers and body chunks as they
+     * arrive and cancel the upstream request when the client goes away
+     */
+    async forwardStream(req, res, path, route) {
+        const start = Date.now();
+        const controller = new AbortController();
+        let clientGone = false;
+        this.stats.streamed++;
+
+        const onClientClose = () => {
+            if (!res.writableFinished) {
+                clientGone = true;
+                this.stats.clientAborts++;
+                controller.abort();
+            }
+        };
+        res.on('close', onClientClose);
+
+        let response;
+        let served = null;
+        try {
+            response = await this.guarded(async () => {
+                return this.connectionManager.executeMcp(route, async (client, target) => {
+                    if (controller.signal.aborted) {
+                        throw new axios.CanceledError('Client disconnected');
+                    }
+                    served = target;
+                    return await client.request({
+                        method: req.method,
+                        url: `/${target.path}`,
+                        data: ['GET', 'HEAD', 'DELETE'].includes(req.method) ? undefined : req.body,
+                        params: req.query,
+                        headers: this.forwardedHeaders(req),
+                        responseType: 'stream',
+                        signal: controller.signal,
+                        timeout: 0,
+                        // Let 4xx through untouched; 5xx still goes through retry
+                        validateStatus: status => status < 500
+                    });
+                });
+            }, 'mcp-proxy-stream');
+        } catch (error) {
+            // Counted under clientAborts; the upstream call neither succeeded nor failed
+            if (clientGone) {
+                res.off('close', onClientClose);
+                return;
+            }
+
+            // Upstream answered with an error status: relay it as-is
+            if (error.response?.data?.pipe) {
+                response = error.response;
+            } else {
+                res.off('close', onClientClose);
+                this.metricsCollector.recordIntegration('mcp', false, Date.now() - start);
+                return this.sendError(res, error, path);
+            }
+        }
+
+        res.status(response.status);
+        for (const [name, value] of Object.entries(response.headers)) {
+            if (!EXCLUDED_RESPONSE_HEADERS.includes(name.toLowerCase()) && value !== undefined) {
+                res.setHeader(name, value);
+            }
+        }
+        res.setHeader('X-Cache', 'BYPASS');
+        if (served) {
+            res.setHeader('X-MCP-Upstream', served.upstream);
+        }
+        if (response.status < 400) {
+            this.trackSession(req, route, served, response.headers['mcp-session-id']);
+        }
+        res.flushHeaders();
+
+        const upstream = response.data;
+        let finished = false;
+        const finish = (success) => {
+            if (finished) return;
+            finished = true;
+            res.off('close', onClientClose);
+            if (!clientGone) {
+                this.metricsCollector.recordIntegration('mcp', success, Date.now() - start);
+            }
+        };
+
+        upstream.on('data', (chunk) => {
+            if (!res.write(chunk)) {
+                upstream.pause();
+                res.once('drain', () => upstream.resume());
+            }
+            // Push through the compression middleware immediately
+            if (typeof res.flush === 'function') {
+                res.flush();
+            }
+        });
+
+        upstream.on('end', () => {
+            res.end();
+            finish(response.status < 500);
+        });
+
+        upstream.on('error', (error) => {
+            if (clientGone) {
+                finish();
+                return;
+            }
+            console.error(`❌ MCP stream error for ${path}:`, error.message);
+            res.destroy(error);
+            finish(false);
+        });
+
+        res.on('close', () => {
+            if (clientGone) {
+                upstream.destroy();
+                finish();
+            }
+        });
+    }
+
+    sendError(res, error, path) {
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        res.status(error.response?.status || 500).json({
+            status: 'error',
+            message: 'MCP request failed',
+            error: error.message,
+            details: error.response?.data?.pipe ? undefined : error.response?.data,
+            path
+        });
+    }
+
+    /**
+     * Get proxy statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            streaming: this.streaming,
+            cachePolicy: this.cachePolicy.getStats(),
+            sessions: this.sessions.getStats(),
+            policy: this.policy ? this.policy.getStats() : null
+        };
+    }
+}
+
+module.exports = McpProxy;
@@ -0,0 +1,344 @@
+const readline = require('readline');
+const { validate } = require('./json-schema-validator');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Standard JSON-RPC 2.0 error codes
+const ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    // Implementation-defined server errors
+    TOOL_DENIED: -32003
+};
+
+/**
+ * MCP Server
+ * Serves registered tools over JSON-RPC 2.0 using the stdio and
+ * Streamable HTTP transports of the Model Context Protocol
+ */
+class McpServer {
+    constructor(options = {}) {
+        this.name = options.name || 'max-mcp-railway';
+        this.version = options.version || '2.0.0';
+        this.instructions = options.instructions || null;
+        this.metricsCollector = options.metricsCollector || null;
+        this.policy = options.policy || null;
+        this.tools = new Map();
+
+        this.stats = {
+            requests: 0,
+            notifications: 0,
+            errors: 0,
+            invalidArguments: 0,
+            deniedCalls: 0,
+            toolCalls: {}
+        };
+    }
+
+    /**
+     * Register a tool
+     * @param {string} name - Tool name exposed to clients
+     * @param {Object} definition - { description, inputSchema, handler }
+     */
+    registerTool(name, definition) {
+        if (typeof definition.handler !== 'function') {
+            throw new Error(`Tool ${name} must have a handler function`);
+        }
+
+        this.tools.set(name, {
+            name,
+            description: definition.description || '',
+            inputSchema: definition.inputSchema || { type: 'object', properties: {} },
+            handler: definition.handler
+        });
+    }
+
+    /**
+     * List tool definitions as returned by tools/list
+     */
+    async listTools() {
+        return Array.from(this.tools.values()).map(({ name, description, inputSchema }) => ({
+            name,
+            description,
+            inputSchema
+        }));
+    }
+
+    /**
+     * Call a tool and wrap its return value as an MCP tool result
+     */
+    async callTool(name, args = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw this.createError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        this.validateArguments(name, tool.inputSchema, args);
+        this.stats.toolCalls[name] = (this.stats.toolCalls[name] || 0) + 1;
+
+        try {
+            const result = await tool.handler(args);
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                structuredContent: result
+            };
+        } catch (error) {
+            // Tool failures are reported in the result so the model can see them
+            return {
+                content: [{ type: 'text', text: error.message }],
+                isError: true
+            };
+        }
+    }
+
+    /**
+     * Check tool arguments against the tool's inputSchema
+     * @throws {Error} - INVALID_PARAMS with the individual problems in `data.errors`
+     */
+    validateArguments(name, inputSchema, args) {
+        const errors = validate(inputSchema, args);
+        if (errors.length === 0) {
+            return;
+        }
+
+        this.stats.invalidArguments++;
+        this.metricsCollector?.recordError('mcp_invalid_arguments', `${name}: ${errors.join('; ')}`);
+        throw this.createError(ERROR_CODES.INVALID_PARAMS, `Invalid arguments for tool ${name}`, { errors });
+    }
+
+    /**
+     * Check a tool call against the policy, when one is configured
+     * @throws {Error} - TOOL_DENIED with the matching rule in `data`
+     */
+    authorizeToolCall(name, args, context = {}) {
+        if (!this.policy) {
+            return;
+        }
+
+        const decision = this.policy.authorize({
+            caller: this.policy.identify(context.headers),
+            claimed: this.policy.claimedIdentity(context.headers),
+            tool: name,
+            arguments: args,
+            via: this.name
+        });
+
+        if (!decision.allowed) {
+            this.stats.deniedCalls++;
+            throw this.createError(ERROR_CODES.TOOL_DENIED, `Tool ${name} denied by policy`, {
+                rule: decision.rule,
+                reason: decision.reason
+            });
+        }
+    }
+
+    /**
+     * Handle a JSON-RPC payload (single message or batch)
+     * @param {Object} context - Transport details such as { headers }
+     * @returns {Promise<Object|Array|null>} - Response(s), or null when nothing needs answering
+     */
+    async handle(payload, context = {}) {
+        if (Array.isArray(payload)) {
+            if (payload.length === 0) {
+                return this.errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Empty batch');
+            }
+
+            const responses = await Promise.all(payload.map(message => this.handleMessage(message, context)));
+            const answered = responses.filter(Boolean);
+            return answered.length > 0 ? answered : null;
+        }
+
+        return this.handleMessage(payload, context);
+    }
+
+    /**
+     * Handle a single JSON-RPC message
+     */
+    async handleMessage(message, context = {}) {
+        if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            // Responses from the client (e.g. to sampling requests) need no answer
+            if (message && message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) {
+                return null;
+            }
+            return this.errorResponse(message?.id ?? null, ERROR_CODES.INVALID_REQUEST, 'Invalid JSON-RPC request');
+        }
+
+        const isNotification = !('id' in message);
+        if (isNotification) {
+            this.stats.notifications++;
+            return null;
+        }
+
+        this.stats.requests++;
+
+        try {
+            const result = await this.dispatch(message.method, message.params || {}, context);
+            return { jsonrpc: '2.0', id: message.id, result };
+        } catch (error) {
+            this.stats.errors++;
+            return this.errorResponse(
+                message.id,
+                error.code || ERROR_CODES.INTERNAL_ERROR,
+                error.message,
+                error.data
+            );
+        }
+    }
+
+    /**
+     * Route a request to its method implementation
+     */
+    async dispatch(method, params, context = {}) {
+        switch (method) {
+            case 'initialize':
+                return this.initialize(params);
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: await this.listTools() };
+            case 'tools/call':
+                if (!params.name || typeof params.name !== 'string') {
+                    throw this.createError(ERROR_CODES.INVALID_PARAMS, 'Tool name is required');
+                }
+                this.authorizeToolCall(params.name, params.arguments || {}, context);
+                return this.callTool(params.name, params.arguments || {});
+            default:
+                throw this.createError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    /**
+     * Negotiate protocol version and advertise capabilities
+     */
+    initialize(params) {
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+        const result = {
+            protocolVersion,
+            capabilities: {
+                tools: { listChanged: false }
+            },
+            serverInfo: {
+                name: this.name,
+                version: this.version
+            }
+        };
+
+        if (this.instructions) {
+            result.instructions = this.instructions;
+        }
+
+        return result;
+    }
+
+    createError(code, message, data) {
+        const error = new Error(message);
+        error.code = code;
+        if (data !== undefined) {
+            error.data = data;
+        }
+        return error;
+    }
+
+    errorResponse(id, code, message, data) {
+        const error = { code, message };
+        if (data !== undefined) {
+            error.data = data;
+        }
+        return { jsonrpc: '2.0', id, error };
+    }
+
+    /**
+     * Express handler implementing the Streamable HTTP transport.
+     * Responses are returned as plain JSON; the server keeps no session state.
+     */
+    createHttpHandler() {
+        return async (req, res) => {
+            if (req.method !== 'POST') {
+                res.set('Allow', 'POST');
+                return res.status(405).json(
+                    this.errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Method not allowed')
+                );
+            }
+
+            if (!req.is('application/json')) {
+                return res.status(415).json(
+                    this.errorResponse(null, ERROR_CODES.INVALID_REQUEST, 'Content-Type must be application/json')
+                );
+            }
+
+            try {
+                const response = await this.handle(req.body, { headers: req.headers });
+
+                // Notifications and client responses are acknowledged without a body
+                if (response === null) {
+                    return res.status(202).end();
+                }
+
+                res.json(response);
+            } catch (error) {
+                res.status(500).json(
+                    this.errorResponse(null, ERROR_CODES.INTERNAL_ERROR, error.message)
+                );
+            }
+        };
+    }
+
+    /**
+     * Serve newline-delimited JSON-RPC over stdio
+     * @returns {Promise} - Resolves once input closes and in-flight requests finish
+     */
+    listenStdio(input = process.stdin, output = process.stdout) {
+        const rl = readline.createInterface({ input, terminal: false });
+        const inFlight = new Set();
+
+        rl.on('line', (line) => {
+            if (!line.trim()) return;
+
+            let payload;
+            try {
+                payload = JSON.parse(line);
+            } catch (error) {
+                output.write(JSON.stringify(
+                    this.errorResponse(null, ERROR_CODES.PARSE_ERROR, 'Parse error')
+                ) + '\n');
+                return;
+            }
+
+            const pending = this.handle(payload).then(response => {
+                if (response !== null) {
+                    output.write(JSON.stringify(response) + '\n');
+                }
+            });
+
+            inFlight.add(pending);
+            pending.finally(() => inFlight.delete(pending));
+        });
+
+        return new Promise(resolve => {
+            rl.on('close', () => {
+                Promise.allSettled(Array.from(inFlight)).then(() => resolve());
+            });
+        });
+    }
+
+    /**
+     * Get server statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            tools: Array.from(this.tools.keys())
+        };
+    }
+}
+
+McpServer.ERROR_CODES = ERROR_CODES;
+McpServer.SUPPORTED_PROTOCOL_VERSIONS = SUPPORTED_PROTOCOL_VERSIONS;
+
+module.exports = McpServer;
@@ -0,0 +1,158 @@
+/**
+ * MCP Session Manager
+ * Tracks Streamable HTTP sessions (Mcp-Session-Id) seen by the proxy,
+ * pins each session to the upstream that issued it and expires idle ones
+ */
+class McpSessionManager {
+    constructor(options = {}) {
+        this.idleTimeout = options.idleTimeout ||
+            parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS, 10) || 1800000; // 30 minutes
+        this.sweepInterval = options.sweepInterval || 60000;
+        this.onExpire = options.onExpire || null;
+
+        this.sessions = new Map();
+        // Recently expired ids, so clients get a clean 404 instead of a misroute
+        this.expired = new Map();
+
+        this.stats = {
+            opened: 0,
+            closed: 0,
+            expired: 0
+        };
+
+        this.startSweeping();
+    }
+
+    /**
+     * Start tracking a session issued by an upstream
+     */
+    open(sessionId, { upstream, group, path = '' }) {
+        const now = Date.now();
+        const session = {
+            id: sessionId,
+            upstream,
+            group,
+            path,
+            createdAt: now,
+            lastSeen: now,
+            requests: 1
+        };
+
+        this.sessions.set(sessionId, session);
+        this.expired.delete(sessionId);
+        this.stats.opened++;
+        return session;
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    /**
+     * Record activity on a session
+     */
+    touch(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (session) {
+            session.lastSeen = Date.now();
+            session.requests++;
+        }
+        return session || null;
+    }
+
+    /**
+     * Stop tracking a session (client DELETE or admin close)
+     */
+    close(sessionId) {
+        const existed = this.sessions.delete(sessionId);
+        if (existed) {
+            this.stats.closed++;
+        }
+        return existed;
+    }
+
+    isExpired(sessionId) {
+        return this.expired.has(sessionId);
+    }
+
+    /**
+     * Narrow a resolved route to the upstream the session is pinned to
+     */
+    pinRoute(route, session) {
+        const pinned = route.candidates.find(upstream => upstream.name === session.upstream);
+        if (!pinned) {
+            return route;
+        }
+        return { ...route, candidates: [pinned], preferred: pinned.name };
+    }
+
+    startSweeping() {
+        this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Expire idle sessions and forget old expiry markers
+     */
+    sweep() {
+        const now = Date.now();
+
+        for (const [sessionId, session] of this.sessions.entries()) {
+            if (now - session.lastSeen > this.idleTimeout) {
+                this.sessions.delete(sessionId);
+                this.expired.set(sessionId, now);
+                this.stats.expired++;
+
+                if (this.onExpire) {
+                    Promise.resolve(this.onExpire(session)).catch(error => {
+                        console.error(`❌ Failed to close expired MCP session ${sessionId}:`, error.message);
+                    });
+                }
+            }
+        }
+
+        for (const [sessionId, expiredAt] of this.expired.entries()) {
+            if (now - expiredAt > this.idleTimeout) {
+                this.expired.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * List active sessions for the admin endpoint
+     */
+    list() {
+        const now = Date.now();
+        return Array.from(this.sessions.values())
+            .sort((a, b) => b.lastSeen - a.lastSeen)
+            .map(session => ({
+                id: session.id,
+                upstream: session.upstream,
+                group: session.group,
+                requests: session.requests,
+                createdAt: new Date(session.createdAt).toISOString(),
+                lastSeen: new Date(session.lastSeen).toISOString(),
+                idleMs: now - session.lastSeen,
+                expiresIn: Math.max(0, this.idleTimeout - (now - session.lastSeen))
+            }));
+    }
+
+    /**
+     * Get session statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.sessions.size,
+            idleTimeout: this.idleTimeout
+        };
+    }
+
+    shutdown() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+        }
+    }
+}
+
+module.exports = McpSessionManager;
@@ -0,0 +1,225 @@
+const fs = require('fs');
+
+/**
+ * MCP Tool Policy
+ * Decides whether a caller may invoke a tool. Rules are checked in order
+ * and the first match wins, like firewall rules; the default action
+ * applies when nothing matches. Every decision goes to the audit log.
+ *
+ * Callers are named by the API key they present. The identity header is
+ * only a claim: it is audited, but rules see it only with
+ * "trustIdentityHeader" (for a gateway that sets it itself). Admin
+ * endpoints are open to the callers listed in "admins", by API key only.
+ *
+ * {
+ *   "default": "allow",
+ *   "apiKeys": { "<key>": "ci-bot", "<other key>": "ops" },
+ *   "admins": ["ops"],
+ *   "rules": [
+ *     { "tools": ["*.delete_*"], "action": "deny", "reason": "Destructive tool" },
+ *     { "tools": ["fs.*"], "arguments": { "path": "^/etc/" }, "action": "deny" },
+ *     { "callers": ["ci-bot"], "tools": ["github.search_*"], "action": "allow" },
+ *     { "callers": ["ci-bot"], "action": "deny", "reason": "ci-bot is read-only" }
+ *   ]
+ * }
+ */
+class McpToolPolicy {
+    constructor(config = {}, options = {}) {
+        this.defaultAction = config.default === 'deny' ? 'deny' : 'allow';
+        this.identityHeader = (config.identityHeader || 'x-mcp-client').toLowerCase();
+        this.trustIdentityHeader = config.trustIdentityHeader === true;
+        this.apiKeys = new Map(Object.entries(config.apiKeys || {}));
+        this.admins = (config.admins || []).map(glob => this.globToRegExp(glob));
+        this.rules = (config.rules || []).map((rule, index) => this.compileRule(rule, index));
+        this.auditLog = options.auditLog || null;
+
+        this.stats = {
+            allowed: 0,
+            denied: 0,
+            byRule: {}
+        };
+    }
+
+    /**
+     * Load the policy from MCP_TOOL_POLICY (inline JSON) or
+     * MCP_TOOL_POLICY_FILE (path to a JSON file). Without either every
+     * tool is allowed, but calls are still audited.
+     */
+    static fromEnv(options = {}, env = process.env) {
+        let source = null;
+        let raw = null;
+
+        if (env.MCP_TOOL_POLICY) {
+            source = 'MCP_TOOL_POLICY';
+            raw = env.MCP_TOOL_POLICY;
+        } else if (env.MCP_TOOL_POLICY_FILE) {
+            source = env.MCP_TOOL_POLICY_FILE;
+            raw = fs.readFileSync(env.MCP_TOOL_POLICY_FILE, 'utf8');
+        }
+
+        if (!raw) {
+            return new McpToolPolicy({}, options);
+        }
+
+        try {
+            return new McpToolPolicy(JSON.parse(raw), options);
+        } catch (error) {
+            throw new Error(`MCP tool policy from ${source} is invalid: ${error.message}`);
+        }
+    }
+
+    compileRule(rule, index) {
+        if (rule.action !== 'allow' && rule.action !== 'deny') {
+            throw new Error(`Rule ${index} must have action "allow" or "deny"`);
+        }
+
+        const argumentPatterns = Object.entries(rule.arguments || {}).map(([argument, pattern]) => ({
+            argument,
+            pattern: new RegExp(pattern)
+        }));
+
+        return {
+            id: rule.id || `rule-${index}`,
+            action: rule.action,
+            reason: rule.reason || null,
+            callers: (rule.callers || ['*']).map(glob => this.globToRegExp(glob)),
+            tools: (rule.tools || ['*']).map(glob => this.globToRegExp(glob)),
+            argumentPatterns
+        };
+    }
+
+    globToRegExp(glob) {
+        const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`);
+    }
+
+    /**
+     * Caller named by a known API key (X-API-Key or bearer token), or null
+     */
+    authenticate(headers = {}) {
+        const bearer = (headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const apiKey = headers['x-api-key'] || bearer;
+        return (apiKey && this.apiKeys.get(apiKey)) || null;
+    }
+
+    /**
+     * Resolve the caller rules are matched against: a known API key names
+     * it, the identity header only when trusted, otherwise it's anonymous
+     */
+    identify(headers = {}) {
+        const caller = this.authenticate(headers);
+        if (caller) {
+            return caller;
+        }
+        if (this.trustIdentityHeader && headers[this.identityHeader]) {
+            return headers[this.identityHeader];
+        }
+        return 'anonymous';
+    }
+
+    /**
+     * Identity the caller claims in the identity header, for the audit log
+     */
+    claimedIdentity(headers = {}) {
+        return headers[this.identityHeader] || undefined;
+    }
+
+    /**
+     * Express middleware for admin endpoints: 401 without a known API key,
+     * 403 when its caller isn't listed in "admins"
+     */
+    requireAdmin() {
+        return (req, res, next) => {
+            const caller = this.authenticate(req.headers);
+            if (!caller) {
+                return res.status(401).json({ error: 'Admin API key required (X-API-Key or bearer token)' });
+            }
+            if (!this.admins.some(pattern => pattern.test(caller))) {
+                return res.status(403).json({ error: `Caller ${caller} is not an admin` });
+            }
+            req.mcpCaller = caller;
+            next();
+        };
+    }
+
+    /**
+     * Look up a possibly nested argument ("options.path")
+     */
+    argumentValue(args, argument) {
+        const value = argument.split('.').reduce(
+            (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+            args
+        );
+        if (value === undefined) return undefined;
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    matches(rule, caller, tool, args) {
+        if (!rule.callers.some(pattern => pattern.test(caller))) return false;
+        if (!rule.tools.some(pattern => pattern.test(tool))) return false;
+
+        return rule.argumentPatterns.every(({ argument, pattern }) => {
+            const value = this.argumentValue(args, argument);
+            return value !== undefined && pattern.test(value);
+        });
+    }
+
+    /**
+     * Evaluate without side effects
+     * @returns {Object} - { allowed, rule, reason }
+     */
+    evaluate(caller, tool, args = {}) {
+        const rule = this.rules.find(candidate => this.matches(candidate, caller, tool, args));
+        if (!rule) {
+            return { allowed: this.defaultAction === 'allow', rule: 'default', reason: null };
+        }
+        return { allowed: rule.action === 'allow', rule: rule.id, reason: rule.reason };
+    }
+
+    /**
+     * Evaluate a tool call and record the decision
+     * @param {Object} call - { caller, claimed, tool, arguments, via, group, sessionId }
+     * @returns {Object} - { allowed, rule, reason, caller, tool }
+     */
+    authorize(call) {
+        const args = call.arguments || {};
+        const decision = this.evaluate(call.caller, call.tool, args);
+
+        this.stats[decision.allowed ? 'allowed' : 'denied']++;
+        this.stats.byRule[decision.rule] = (this.stats.byRule[decision.rule] || 0) + 1;
+
+        this.auditLog?.append({
+            caller: call.caller,
+            // Unverified identity header value, never used for the decision
+            // unless trustIdentityHeader is set
+            claimed: call.claimed,
+            tool: call.tool,
+            decision: decision.allowed ? 'allow' : 'deny',
+            rule: decision.rule,
+            reason: decision.reason,
+            via: call.via,
+            group: call.group,
+            sessionId: call.sessionId || undefined,
+            // Argument names only: values may carry secrets
+            argumentKeys: Object.keys(args)
+        });
+
+        return { ...decision, caller: call.caller, tool: call.tool };
+    }
+
+    /**
+     * Get policy statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            default: this.defaultAction,
+            rules: this.rules.length,
+            admins: this.admins.length,
+            trustIdentityHeader: this.trustIdentityHeader,
+            audit: this.auditLog ? this.auditLog.getStats() : null
+        };
+    }
+}
+
+module.exports = McpToolPolicy;
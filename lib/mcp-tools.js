@@ -0,0 +1,236 @@
+/**
+ * MCP Tools
+ * Exposes the Weaviate search, query and ingest operations as MCP tools
+ */
+
+const searchModeProperties = {
+    mode: {
+        type: 'string',
+        enum: ['vector', 'keyword', 'hybrid'],
+        default: 'vector',
+        description: 'vector: semantic, keyword: BM25 (exact identifiers, error codes), hybrid: both'
+    },
+    alpha: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        default: 0.5,
+        description: 'Hybrid weighting, 1 = pure vector, 0 = pure keyword'
+    },
+    fusionType: {
+        type: 'string',
+        enum: ['ranked', 'relativeScore'],
+        default: 'ranked',
+        description: 'How hybrid merges the keyword and vector result lists'
+    },
+    properties: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Properties searched by keyword and hybrid, optionally boosted ("title^2")'
+    }
+};
+
+const textFilter = {
+    anyOf: [
+        { type: 'string' },
+        { type: 'array', items: { type: 'string' }, minItems: 1 }
+    ]
+};
+
+// Mirrors lib/search-filters.js; `and` / `or` nest further filter objects
+const filtersSchema = {
+    type: 'object',
+    description: 'Applied inside Weaviate before the limit. Keys are combined with And.',
+    properties: {
+        category: textFilter,
+        contentType: textFilter,
+        source: textFilter,
+        minPriority: { type: 'number' },
+        maxPriority: { type: 'number' },
+        minWordCount: { type: 'integer' },
+        maxWordCount: { type: 'integer' },
+        createdAfter: { type: 'string', description: 'ISO 8601 date' },
+        createdBefore: { type: 'string', description: 'ISO 8601 date' },
+        isActive: { type: 'boolean' },
+        priority: { type: 'object', description: 'Comparisons: eq, gt, gte, lt, lte' },
+        wordCount: { type: 'object', description: 'Comparisons: eq, gt, gte, lt, lte' },
+        createdAt: { type: 'object', description: 'Comparisons: eq, gt, gte, lt, lte (ISO 8601 dates)' },
+        and: { type: 'array', items: { type: 'object' }, minItems: 1 },
+        or: { type: 'array', items: { type: 'object' }, minItems: 1 }
+    },
+    additionalProperties: false
+};
+
+const documentSchema = {
+    type: 'object',
+    properties: {
+        title: { type: 'string' },
+        content: { type: 'string' },
+        source: { type: 'string' },
+        category: { type: 'string' },
+        contentType: { type: 'string' },
+        priority: { type: 'number' }
+    },
+    required: ['title']
+};
+
+/**
+ * Register the Weaviate tools on an McpServer
+ * @param {McpServer} server - Server to register tools on
+ * @param {Object} deps - { weaviateClient, optimizer, federatedSearch (optional) }
+ */
+function registerWeaviateTools(server, { weaviateClient, optimizer, federatedSearch }) {
+    server.registerTool('search', {
+        description: 'Vector, keyword or hybrid search over OptimizedDocument with optional AI-generated insights',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Search text with optional field predicates, e.g. category:docs priority>=0.5 created:>2025-01-01 "exact phrase"'
+                },
+                parseQuery: { type: 'boolean', default: true, description: 'Set false to search the query text as-is' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+                enhance: { type: 'boolean', default: false, description: 'Summarize results with OpenRouter' },
+                model: { type: 'string', description: 'OpenRouter model used when enhance is true' },
+                filters: filtersSchema,
+                rerank: {
+                    anyOf: [
+                        { type: 'boolean' },
+                        {
+                            type: 'object',
+                            properties: {
+                                candidates: { type: 'integer', minimum: 1, maximum: 100 },
+                                model: { type: 'string' }
+                            },
+                            additionalProperties: false
+                        }
+                    ],
+                    description: 'Rerank a wider candidate set with Cohere (BM25 when Cohere is unavailable)'
+                },
+                collapseChunks: { type: 'boolean', default: true, description: 'One result per document instead of per matching chunk' },
+                embeddingProvider: { type: 'string', description: 'Embedding provider (cohere, openai, local); defaults to the one configured for the class' },
+                ...searchModeProperties
+            },
+            required: ['query']
+        },
+        handler: async ({ query, parseQuery, limit, enhance = false, model, filters, rerank, collapseChunks, embeddingProvider, mode, alpha, fusionType, properties }) => {
+            return weaviateClient.enhancedSearch(query, {
+                parseQuery, limit, enhance, model, filters, rerank, collapseChunks, embeddingProvider, mode, alpha, fusionType, properties
+            });
+        }
+    });
+
+    server.registerTool('query', {
+        description: 'Run a vector, keyword or hybrid query against any Weaviate class',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                className: { type: 'string', description: 'Weaviate class to query' },
+                query: { type: 'string', description: 'Text to embed and search for' },
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+                fields: { type: 'string', description: 'GraphQL field selection' },
+                where: { type: 'object', description: 'Weaviate where filter' },
+                filters: filtersSchema,
+                ...searchModeProperties
+            },
+            required: ['className', 'query']
+        },
+        handler: async ({ className, query, limit, fields, where, filters, mode, alpha, fusionType, properties }) => {
+            return weaviateClient.query(className, query, {
+                limit, fields, where, filters, mode, alpha, fusionType, properties
+            });
+        }
+    });
+
+    if (federatedSearch) {
+        server.registerTool('federated_search', {
+            description: 'Search several Weaviate classes at once, merged with reciprocal rank fusion',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string' },
+                    classes: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            anyOf: [
+                                { type: 'string' },
+                                {
+                                    type: 'object',
+                                    properties: {
+                                        className: { type: 'string' },
+                                        fields: { type: 'object', description: 'Canonical field -> class property, e.g. { "title": "name" }' },
+                                        search: { type: 'string', enum: ['vector', 'nearText', 'keyword'] },
+                                        weight: { type: 'number', exclusiveMinimum: 0 },
+                                        where: { type: 'object' }
+                                    },
+                                    required: ['className']
+                                }
+                            ]
+                        }
+                    },
+                    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+                    perClassLimit: { type: 'integer', minimum: 1, maximum: 100 }
+                },
+                required: ['query', 'classes']
+            },
+            handler: async ({ query, classes, limit, perClassLimit }) => {
+                return federatedSearch.search(query, classes, { limit, perClassLimit });
+            }
+        });
+    }
+
+    server.registerTool('ingest', {
+        description: 'Embed and batch insert documents into a Weaviate class',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                className: { type: 'string', default: 'OptimizedDocument' },
+                objects: {
+                    type: 'array',
+                    items: documentSchema,
+                    minItems: 1
+                },
+                idStrategy: {
+                    type: 'string',
+                    enum: ['random', 'key', 'source', 'content'],
+                    default: 'random',
+                    description: 'Deterministic ids make re-ingesting idempotent: key (the idKey property), source (source + chunkIndex) or content (text hash)'
+                },
+                idKey: { type: 'string', default: 'key', description: 'Property holding the caller key for idStrategy "key"' },
+                upsert: { type: 'boolean', default: false, description: 'Replace objects that already exist instead of skipping them' },
+                retryFailed: { type: 'integer', minimum: 0, maximum: 5, default: 0, description: 'Retry rounds for objects Weaviate rejected' },
+                chunking: {
+                    anyOf: [
+                        { type: 'boolean' },
+                        {
+                            type: 'object',
+                            properties: {
+                                chunkSize: { type: 'integer', minimum: 20, maximum: 500 },
+                                chunkOverlap: { type: 'integer', minimum: 0 }
+                            },
+                            additionalProperties: false
+                        }
+                    ],
+                    description: 'Store long documents as linked chunks (sizes in tokens) so all of their text is searchable'
+                },
+                embeddingProvider: { type: 'string', description: 'Embedding provider (cohere, openai, local); defaults to the one configured for the class' }
+            },
+            required: ['objects']
+        },
+        handler: async ({ className = 'OptimizedDocument', objects, idStrategy, idKey, upsert, retryFailed, chunking, embeddingProvider }) => {
+            return weaviateClient.batchInsert(className, objects, { idStrategy, idKey, upsert, retryFailed, chunking, embeddingProvider });
+        }
+    });
+
+    server.registerTool('optimization_stats', {
+        description: 'Document counts for the legacy and optimized Weaviate classes',
+        inputSchema: { type: 'object', properties: {} },
+        handler: async () => optimizer.getOptimizationStats()
+    });
+
+    return server;
+}
+
+module.exports = { registerWeaviateTools };
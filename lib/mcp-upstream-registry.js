@@ -0,0 +1,313 @@
+const axios = require('axios');
+const CircuitBreaker = require('./circuit-breaker');
+
+/**
+ * MCP Upstream Registry
+ * Named MCP backends with their own client, auth and circuit breaker.
+ * Requests are routed by header or path prefix, spread across peers by
+ * weight, and fail over to a healthy peer when an upstream fails.
+ */
+class McpUpstreamRegistry {
+    constructor(definitions = [], options = {}) {
+        this.routingHeader = (options.routingHeader || 'x-mcp-upstream').toLowerCase();
+        this.upstreams = new Map();
+
+        for (const definition of definitions) {
+            this.register(definition);
+        }
+
+        if (this.upstreams.size === 0) {
+            throw new Error('At least one MCP upstream must be configured');
+        }
+    }
+
+    /**
+     * Build a registry from MCP_UPSTREAMS (JSON array), falling back to the
+     * single MCP_ENDPOINT / MCP_API_KEY upstream
+     */
+    static fromEnv(env = process.env) {
+        let definitions;
+
+        if (env.MCP_UPSTREAMS) {
+            try {
+                definitions = JSON.parse(env.MCP_UPSTREAMS);
+            } catch (error) {
+                throw new Error(`MCP_UPSTREAMS is not valid JSON: ${error.message}`);
+            }
+            if (!Array.isArray(definitions)) {
+                throw new Error('MCP_UPSTREAMS must be a JSON array');
+            }
+        } else {
+            definitions = [{
+                name: 'default',
+                url: env.MCP_ENDPOINT,
+                apiKey: env.MCP_API_KEY,
+                rpcPath: env.MCP_RPC_PATH,
+                connectionName: 'mcp'
+            }];
+        }
+
+        return new McpUpstreamRegistry(definitions, {
+            routingHeader: env.MCP_ROUTING_HEADER
+        });
+    }
+
+    /**
+     * Register an upstream
+     * @param {Object} definition - { name, url, prefix, namespace, weight, timeout, apiKey | apiKeyEnv,
+     *                                authHeader, authScheme, headers, retries, healthPath, rpcPath, breaker }
+     */
+    register(definition) {
+        if (!definition.name) {
+            throw new Error('MCP upstream definition requires a name');
+        }
+        if (this.upstreams.has(definition.name)) {
+            throw new Error(`Duplicate MCP upstream: ${definition.name}`);
+        }
+
+        const apiKey = definition.apiKey || (definition.apiKeyEnv && process.env[definition.apiKeyEnv]);
+        const authHeader = definition.authHeader || 'Authorization';
+        const authScheme = definition.authScheme === undefined ? 'Bearer' : definition.authScheme;
+
+        const headers = {
+            'Content-Type': 'application/json',
+            ...(definition.headers || {})
+        };
+        if (apiKey) {
+            headers[authHeader] = authScheme ? `${authScheme} ${apiKey}` : apiKey;
+        }
+
+        const breakerOptions = definition.breaker || {};
+        const upstream = {
+            name: definition.name,
+            url: definition.url,
+            prefix: definition.prefix || null,
+            group: definition.prefix || 'default',
+            namespace: definition.namespace || definition.prefix || definition.name,
+            weight: definition.weight > 0 ? definition.weight : 1,
+            retries: definition.retries,
+            healthPath: definition.healthPath || '/health',
+            rpcPath: (definition.rpcPath || '').replace(/^\/+/, ''),
+            connectionName: definition.connectionName || `mcp:${definition.name}`,
+            client: axios.create({
+                baseURL: definition.url,
+                timeout: definition.timeout || 30000,
+                headers
+            }),
+            breaker: new CircuitBreaker({
+                threshold: breakerOptions.threshold || 5,
+                timeout: breakerOptions.timeout || 30000
+            }),
+            stats: {
+                requests: 0,
+                failures: 0,
+                failovers: 0,
+                cancelled: 0
+            }
+        };
+
+        this.upstreams.set(upstream.name, upstream);
+        return upstream;
+    }
+
+    get(name) {
+        return this.upstreams.get(name);
+    }
+
+    list() {
+        return Array.from(this.upstreams.values());
+    }
+
+    /**
+     * Upstreams reachable without a prefix or header
+     */
+    defaultGroup() {
+        const unprefixed = this.list().filter(upstream => !upstream.prefix);
+        return unprefixed.length > 0 ? unprefixed : this.list();
+    }
+
+    /**
+     * Resolve which upstreams may serve a request
+     * @param {Object} request - { path, headers }
+     * @returns {Object} - { group, candidates, preferred, path }
+     */
+    resolve({ path = '', headers = {} } = {}) {
+        const normalizedPath = String(path).replace(/^\/+/, '');
+        const headerValue = headers[this.routingHeader];
+
+        // Explicit routing header naming an upstream or a prefix group
+        if (headerValue) {
+            const named = this.upstreams.get(headerValue);
+            if (named) {
+                return {
+                    group: named.group,
+                    candidates: this.list().filter(upstream => upstream.group === named.group),
+                    preferred: named.name,
+                    path: normalizedPath
+                };
+            }
+
+            const grouped = this.list().filter(upstream => upstream.prefix === headerValue);
+            if (grouped.length > 0) {
+                return { group: headerValue, candidates: grouped, preferred: null, path: normalizedPath };
+            }
+
+            const error = new Error(`Unknown MCP upstream: ${headerValue}`);
+            error.response = { status: 404 };
+            throw error;
+        }
+
+        // Path prefix routing: /api/mcp/<prefix>/rest-of-path
+        const [firstSegment, ...rest] = normalizedPath.split('/');
+        const prefixed = this.list().filter(upstream => upstream.prefix && upstream.prefix === firstSegment);
+        if (prefixed.length > 0) {
+            return { group: firstSegment, candidates: prefixed, preferred: null, path: rest.join('/') };
+        }
+
+        return { group: 'default', candidates: this.defaultGroup(), preferred: null, path: normalizedPath };
+    }
+
+    /**
+     * One route per upstream group, addressing the group's JSON-RPC endpoint.
+     * Used by the gateway, which treats each group as one MCP server.
+     */
+    groups() {
+        const groups = new Map();
+        for (const upstream of this.upstreams.values()) {
+            if (!groups.has(upstream.group)) {
+                groups.set(upstream.group, {
+                    group: upstream.group,
+                    namespace: upstream.namespace,
+                    candidates: [],
+                    preferred: null,
+                    path: upstream.rpcPath
+                });
+            }
+            groups.get(upstream.group).candidates.push(upstream);
+        }
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Whether an upstream's breaker currently rejects calls
+     */
+    isAvailable(upstream) {
+        return !(upstream.breaker.state === 'OPEN' && Date.now() < upstream.breaker.nextAttempt);
+    }
+
+    /**
+     * Order candidates for an attempt: preferred first, then available
+     * upstreams in weighted random order, then those with open breakers
+     */
+    order(route) {
+        const available = route.candidates.filter(upstream => this.isAvailable(upstream));
+        const unavailable = route.candidates.filter(upstream => !this.isAvailable(upstream));
+
+        const ordered = [];
+        const pool = [...available];
+        while (pool.length > 0) {
+            const total = pool.reduce((sum, upstream) => sum + upstream.weight, 0);
+            let pick = Math.random() * total;
+            let index = 0;
+            while (pick >= pool[index].weight && index < pool.length - 1) {
+                pick -= pool[index].weight;
+                index++;
+            }
+            ordered.push(pool.splice(index, 1)[0]);
+        }
+
+        if (route.preferred) {
+            const preferredIndex = ordered.findIndex(upstream => upstream.name === route.preferred);
+            if (preferredIndex > 0) {
+                ordered.unshift(ordered.splice(preferredIndex, 1)[0]);
+            }
+        }
+
+        return [...ordered, ...unavailable];
+    }
+
+    /**
+     * Errors worth retrying on a peer (network failures, 5xx, open breaker).
+     * A cancelled request (the client went away) is not the upstream's fault.
+     */
+    isFailoverError(error) {
+        if (axios.isCancel(error)) {
+            return false;
+        }
+        return !error.response || error.response.status >= 500;
+    }
+
+    /**
+     * Execute an operation against the route's upstreams with failover
+     * @param {Object} route - Result of resolve()
+     * @param {Function} operation - async (upstream) => result
+     */
+    async execute(route, operation) {
+        const attempts = this.order(route);
+        let lastError;
+
+        for (let i = 0; i < attempts.length; i++) {
+            const upstream = attempts[i];
+            upstream.stats.requests++;
+
+            try {
+                const outcome = await upstream.breaker.execute(async () => {
+                    try {
+                        return { value: await operation(upstream) };
+                    } catch (error) {
+                        // Client errors and cancellations are passed back without counting against the upstream
+                        if (!this.isFailoverError(error)) {
+                            return { error };
+                        }
+                        throw error;
+                    }
+                }, `mcp-upstream:${upstream.name}`);
+
+                if (outcome.error) {
+                    throw outcome.error;
+                }
+                return outcome.value;
+            } catch (error) {
+                lastError = error;
+                if (axios.isCancel(error)) {
+                    upstream.stats.cancelled++;
+                    break;
+                }
+                upstream.stats.failures++;
+
+                if (!this.isFailoverError(error) || i === attempts.length - 1) {
+                    break;
+                }
+
+                upstream.stats.failovers++;
+                console.log(`⚠️ MCP upstream ${upstream.name} failed (${error.message}), failing over to ${attempts[i + 1].name}`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Get registry statistics
+     */
+    getStats() {
+        const upstreams = {};
+        for (const upstream of this.upstreams.values()) {
+            upstreams[upstream.name] = {
+                url: upstream.url,
+                prefix: upstream.prefix,
+                weight: upstream.weight,
+                available: this.isAvailable(upstream),
+                circuit: upstream.breaker.getStatus(),
+                ...upstream.stats
+            };
+        }
+
+        return {
+            routingHeader: this.routingHeader,
+            upstreams
+        };
+    }
+}
+
+module.exports = McpUpstreamRegistry;
@@ -13,7 +13,8 @@ class MetricsCollector {
                     generated: 0,
                     cached: 0,
                     avgTime: 0,
-                    times: []
+                    times: [],
+                    byInputType: {}
                 },
                 searches: {
                     total: 0,
@@ -31,6 +32,11 @@ class MetricsCollector {
                 weaviate: { queries: 0, errors: 0, avgLatency: 0 },
                 cohere: { embeddings: 0, errors: 0, tokensUsed: 0 },
                 openrouter: { completions: 0, errors: 0, modelsUsed: {} }
+            },
+            errors: {
+                total: 0,
+                byType: {},
+                recent: []
             }
         };
 
@@ -109,7 +115,16 @@ class MetricsCollector {
         }
     }
 
-    recordEmbedding(duration, cached = false) {
+    /**
+     * @param {number} duration - Generation time in ms
+     * @param {boolean} cached - Served from the embedding cache
+     * @param {string} inputType - 'document' or 'query'
+     */
+    recordEmbedding(duration, cached = false, inputType = 'document') {
+        const byInputType = this.metrics.performance.embeddings.byInputType;
+        byInputType[inputType] = byInputType[inputType] || { generated: 0, cached: 0 };
+        byInputType[inputType][cached ? 'cached' : 'generated']++;
+
         if (cached) {
             this.metrics.performance.embeddings.cached++;
         } else {
@@ -166,6 +181,22 @@ class MetricsCollector {
         }
     }
 
+    recordError(type, detail) {
+        this.metrics.errors.total++;
+        this.metrics.errors.byType[type] = (this.metrics.errors.byType[type] || 0) + 1;
+
+        this.metrics.errors.recent.push({
+            timestamp: Date.now(),
+            type,
+            detail: detail instanceof Error ? detail.message : String(detail)
+        });
+
+        // Keep only last 50 errors
+        if (this.metrics.errors.recent.length > 50) {
+            this.metrics.errors.recent.shift();
+        }
+    }
+
     calculateAverage(numbers) {
         if (numbers.length === 0) return 0;
         return numbers.reduce((a, b) => a + b, 0) / numbers.length;
@@ -212,7 +243,8 @@ class MetricsCollector {
                            (this.metrics.performance.embeddings.generated + 
                             this.metrics.performance.embeddings.cached)) * 100
                         : 0,
-                    avgGenerationTime: Math.round(this.metrics.performance.embeddings.avgTime)
+                    avgGenerationTime: Math.round(this.metrics.performance.embeddings.avgTime),
+                    byInputType: this.metrics.performance.embeddings.byInputType
                 },
                 searches: {
                     total: this.metrics.performance.searches.total,
@@ -231,7 +263,12 @@ class MetricsCollector {
                 },
                 uptime: Math.round(process.uptime())
             },
-            integrations: this.metrics.integrations
+            integrations: this.metrics.integrations,
+            errors: {
+                total: this.metrics.errors.total,
+                byType: this.metrics.errors.byType,
+                recent: this.metrics.errors.recent.slice(-10)
+            }
         };
     }
 
@@ -250,7 +287,8 @@ class MetricsCollector {
                 generated: 0,
                 cached: 0,
                 avgTime: 0,
-                times: []
+                times: [],
+                byInputType: {}
             },
             searches: {
                 total: 0,
@@ -266,6 +304,12 @@ class MetricsCollector {
             cohere: { embeddings: 0, errors: 0, tokensUsed: 0 },
             openrouter: { completions: 0, errors: 0, modelsUsed: {} }
         };
+
+        this.metrics.errors = {
+            total: 0,
+            byType: {},
+            recent: []
+        };
     }
 }
 
@@ -0,0 +1,343 @@
+const { compileFilters, combineWhere } = require('./search-filters');
+
+/**
+ * Object Exporter
+ * Walks a whole class with Weaviate's `after` cursor, which pages in id
+ * order without the offset cap (QUERY_MAXIMUM_RESULTS) and without getting
+ * slower on later pages. Weaviate won't combine the cursor with a where
+ * filter, so a filtered export pages through ids with the cursor and fetches
+ * each page's matching objects with a second query restricted to those ids.
+ *
+ * The cursor token (the last id walked, tied to the class) lets a broken
+ * download resume where it stopped.
+ */
+
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const MAX_PAGE_SIZE = 500;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Property types GraphQL can select without a sub-selection
+const PRIMITIVE_TYPES = new Set([
+    'text', 'string', 'int', 'number', 'boolean', 'date', 'uuid',
+    'text[]', 'string[]', 'int[]', 'number[]', 'boolean[]', 'date[]', 'uuid[]'
+]);
+
+function invalidExport(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * One CSV field: quoted when needed, arrays and objects as JSON
+ */
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ObjectExporter {
+    constructor(options = {}) {
+        this.pool = options.pool;
+        this.pageSize = options.pageSize || 100;
+    }
+
+    encodeCursor(className, after) {
+        return Buffer.from(JSON.stringify({ className, after })).toString('base64url');
+    }
+
+    /**
+     * @returns {string} - The id to continue after
+     * @throws {Error} - status 400 for a malformed cursor or one from another class
+     */
+    decodeCursor(token, className) {
+        let cursor;
+        try {
+            cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw invalidExport('cursor is not a valid export cursor');
+        }
+        if (!cursor || typeof cursor.after !== 'string' || !UUID.test(cursor.after)) {
+            throw invalidExport('cursor is not a valid export cursor');
+        }
+        if (cursor.className !== className) {
+            throw invalidExport(`cursor belongs to an export of ${cursor.className}, not ${className}`);
+        }
+        return cursor.after;
+    }
+
+    /**
+     * Validate export options before anything is streamed
+     * @param {string} className - Class to export
+     * @param {Object} options - { properties, includeVector, where, filters, format, cursor, limit, pageSize }
+     * @returns {Promise<Object>} - Normalized plan for objects()
+     */
+    async plan(className, options = {}) {
+        if (!/^[A-Z][_0-9A-Za-z]*$/.test(className || '')) {
+            throw invalidExport(`"${className}" is not a valid Weaviate class name`);
+        }
+
+        const format = options.format || 'jsonl';
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw invalidExport(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+        }
+
+        const pageSize = options.pageSize === undefined ? this.pageSize : options.pageSize;
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+            throw invalidExport(`pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+        }
+        if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 1)) {
+            throw invalidExport('limit must be a positive whole number');
+        }
+
+        const properties = await this.resolveProperties(className, options.properties);
+        const where = combineWhere(options.where, compileFilters(options.filters));
+
+        return {
+            className,
+            format,
+            pageSize,
+            properties,
+            where,
+            includeVector: options.includeVector === true,
+            limit: options.limit,
+            after: options.cursor ? this.decodeCursor(options.cursor, className) : undefined
+        };
+    }
+
+    /**
+     * The requested properties, checked against the schema; all primitive
+     * properties when none are requested
+     */
+    async resolveProperties(className, requested) {
+        let schema;
+        try {
+            schema = await this.pool.execute(client => client.schema.classGetter().withClassName(className).do());
+        } catch (error) {
+            if (/\(404\)|not found/i.test(error.message)) {
+                const notFound = new Error(`Class ${className} not found`);
+                notFound.status = 404;
+                throw notFound;
+            }
+            throw error;
+        }
+
+        const available = (schema?.properties || [])
+            .filter(property => PRIMITIVE_TYPES.has(property.dataType?.[0]))
+            .map(property => property.name);
+
+        if (requested === undefined || requested.length === 0) {
+            return available;
+        }
+
+        const unknown = requested.filter(name => !available.includes(name));
+        if (unknown.length > 0) {
+            throw invalidExport(
+                `Unknown or non-exportable properties: ${unknown.join(', ')}. Available: ${available.join(', ') || 'none'}`
+            );
+        }
+        return requested;
+    }
+
+    fields(plan) {
+        return `${plan.properties.join(' ')} _additional { id ${plan.includeVector ? 'vector' : ''} }`;
+    }
+
+    /**
+     * Walk the class page by page
+     * @param {Object} plan - From plan()
+     * @returns {AsyncGenerator<Object>} - Pages of { objects, cursor, done }; the
+     *   cursor resumes right after the page's last exported object, done is
+     *   true once the end of the class is reached
+     */
+    async *objects(plan) {
+        let after = plan.after;
+        let remaining = plan.limit === undefined ? Infinity : plan.limit;
+
+        while (remaining > 0) {
+            const requested = plan.where ? plan.pageSize : Math.min(plan.pageSize, remaining);
+
+            // Unfiltered: one cursor query returns the objects themselves
+            const page = await this.pool.execute(client => {
+                const builder = client.graphql
+                    .get()
+                    .withClassName(plan.className)
+                    .withFields(plan.where ? '_additional { id }' : this.fields(plan))
+                    .withLimit(requested);
+                if (after) {
+                    builder.withAfter(after);
+                }
+                return builder.do();
+            });
+
+            const walked = page?.data?.Get?.[plan.className] || [];
+            if (walked.length === 0) {
+                yield { objects: [], cursor: after ? this.encodeCursor(plan.className, after) : null, done: true };
+                return;
+            }
+
+            let hits = walked;
+            if (plan.where) {
+                // Filtered: the matching objects among the ids just walked
+                const ids = walked.map(object => object._additional.id);
+                const matches = await this.pool.execute(client => client.graphql
+                    .get()
+                    .withClassName(plan.className)
+                    .withFields(this.fields(plan))
+                    .withWhere(combineWhere(plan.where, { path: ['id'], operator: 'ContainsAny', valueTextArray: ids }))
+                    .withLimit(ids.length)
+                    .do());
+                // Keep cursor (id) order
+                hits = (matches?.data?.Get?.[plan.className] || [])
+                    .sort((a, b) => a._additional.id.localeCompare(b._additional.id));
+            }
+
+            const objects = hits.slice(0, remaining).map(hit => this.toObject(plan, hit));
+            remaining -= objects.length;
+
+            // Cut short by the limit: resume after the last object sent
+            after = objects.length < hits.length
+                ? objects[objects.length - 1].id
+                : walked[walked.length - 1]._additional.id;
+
+            const done = walked.length < requested;
+            yield { objects, cursor: this.encodeCursor(plan.className, after), done };
+
+            if (done) {
+                return;
+            }
+        }
+    }
+
+    toObject(plan, hit) {
+        const { _additional: additional, ...properties } = hit;
+        return {
+            id: additional.id,
+            class: plan.className,
+            properties,
+            ...(plan.includeVector && { vector: additional.vector })
+        };
+    }
+
+    /**
+     * CSV header: id, the properties, then vector
+     */
+    csvHeader(plan) {
+        return ['id', ...plan.properties, ...(plan.includeVector ? ['vector'] : [])].map(csvField).join(',') + '\n';
+    }
+
+    /**
+     * Serialize one object in the export format, newline terminated
+     */
+    formatObject(plan, object) {
+        if (plan.format === 'jsonl') {
+            return JSON.stringify(object) + '\n';
+        }
+        const row = [object.id, ...plan.properties.map(name => object.properties[name])];
+        if (plan.includeVector) {
+            row.push(object.vector);
+        }
+        return row.map(csvField).join(',') + '\n';
+    }
+
+    /**
+     * Final line with the cursor to resume from. JSONL gets a JSON object
+     * with `_export`; CSV a `#` comment line, which CSV readers can skip.
+     * @param {Object} trailer - { cursor, exported, complete, error }
+     */
+    formatTrailer(plan, trailer) {
+        if (plan.format === 'jsonl') {
+            return JSON.stringify({ _export: trailer }) + '\n';
+        }
+        const fields = Object.entries(trailer)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${value}`);
+        return `# ${fields.join(' ')}\n`;
+    }
+
+    /**
+     * Stream an export to an HTTP response, ending with the trailer line.
+     * Errors after the first byte go into the trailer (with the cursor of
+     * the last complete page) instead of a status code.
+     */
+    async stream(plan, res) {
+        res.writeHead(200, {
+            'Content-Type': plan.format === 'jsonl' ? 'application/x-ndjson' : 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${plan.className}.${plan.format}"`,
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        let closed = false;
+        res.on('close', () => {
+            closed = true;
+        });
+
+        if (plan.format === 'csv') {
+            res.write(this.csvHeader(plan));
+        }
+
+        let cursor = plan.after ? this.encodeCursor(plan.className, plan.after) : null;
+        let exported = 0;
+        let complete = false;
+
+        try {
+            for await (const page of this.objects(plan)) {
+                if (closed) {
+                    console.log(`ℹ️ Export of ${plan.className} stopped: client disconnected after ${exported} objects`);
+                    return;
+                }
+
+                const chunk = page.objects.map(object => this.formatObject(plan, object)).join('');
+                if (chunk && !res.write(chunk)) {
+                    // Backpressure: wait for the client to catch up
+                    await new Promise(resolve => {
+                        res.once('drain', resolve);
+                        res.once('close', resolve);
+                    });
+                }
+
+                exported += page.objects.length;
+                cursor = page.cursor || cursor;
+                complete = page.done;
+            }
+
+            res.end(this.formatTrailer(plan, { cursor, exported, complete }));
+        } catch (error) {
+            console.error('Export error:', error);
+            res.end(this.formatTrailer(plan, { cursor, exported, complete: false, error: error.message }));
+        }
+    }
+
+    /**
+     * Export options from a query string: properties=a,b includeVector=true
+     * format=csv where={json} filters={json} cursor=... limit=N pageSize=N
+     */
+    static optionsFromQuery(query = {}) {
+        const json = (name) => {
+            if (query[name] === undefined) return undefined;
+            try {
+                return JSON.parse(query[name]);
+            } catch (error) {
+                throw invalidExport(`${name} must be JSON`);
+            }
+        };
+        const integer = (name) => (query[name] === undefined ? undefined : Number(query[name]));
+
+        return {
+            properties: query.properties ? String(query.properties).split(',').map(name => name.trim()).filter(Boolean) : undefined,
+            includeVector: query.includeVector === 'true',
+            format: query.format,
+            where: json('where'),
+            filters: json('filters'),
+            cursor: query.cursor,
+            limit: integer('limit'),
+            pageSize: integer('pageSize')
+        };
+    }
+}
+
+ObjectExporter.EXPORT_FORMATS = EXPORT_FORMATS;
+ObjectExporter.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
+
+module.exports = ObjectExporter;
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { generateUuid5 } = require('weaviate-ts-client');
+
+/**
+ * Object IDs
+ * Deterministic UUIDv5 ids for inserted objects, so re-running an import
+ * or migration overwrites the same objects instead of duplicating them:
+ *
+ *   key     - a caller-supplied key property (options.idKey, default "key")
+ *   source  - source plus chunk index (chunkIndex, else the position among
+ *             objects with the same source)
+ *   content - hash of the embedded text; identical documents share an id
+ *   random  - let Weaviate assign ids (the default)
+ *
+ * The class name is the UUID namespace, so the same key in two classes
+ * gives two ids.
+ */
+
+const ID_STRATEGIES = ['random', 'key', 'source', 'content'];
+
+function invalidIdOption(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * SHA-256 of the text an object is embedded from; equal hashes mean the
+ * existing vector can be reused
+ */
+function contentHash(text) {
+    return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+/**
+ * Id for a caller-supplied key
+ */
+function keyId(className, key) {
+    return generateUuid5(`key:${key}`, className);
+}
+
+/**
+ * Id of a document chunk. Chunk 0 keeps the document's own id, so a
+ * document stored before chunking is replaced rather than duplicated.
+ */
+function chunkId(className, parentId, chunkIndex) {
+    return chunkIndex === 0 ? parentId : generateUuid5(`chunk:${parentId}#${chunkIndex}`, className);
+}
+
+/**
+ * Compute ids for a list of objects
+ * @param {string} className - Target class (the UUID namespace)
+ * @param {Array} objects - Objects to insert
+ * @param {Object} options - { idStrategy, idKey, textOf }; textOf(obj) is the embedded text
+ * @returns {Array<string|undefined>} - One id per object, undefined for random.
+ *   Content ids may repeat (see duplicateIndexes); key and source ids that
+ *   collide are rejected, as they would overwrite each other.
+ */
+function objectIds(className, objects, options = {}) {
+    const strategy = options.idStrategy || 'random';
+    if (!ID_STRATEGIES.includes(strategy)) {
+        throw invalidIdOption(`idStrategy must be one of ${ID_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'random') {
+        return objects.map(() => undefined);
+    }
+
+    const idKey = options.idKey || 'key';
+    const chunkCounters = new Map();
+
+    const ids = objects.map((obj, index) => {
+        switch (strategy) {
+            case 'key': {
+                const key = obj[idKey];
+                if (key === undefined || key === null || key === '') {
+                    throw invalidIdOption(`objects[${index}].${idKey} is required with idStrategy "key"`);
+                }
+                return keyId(className, key);
+            }
+            case 'source': {
+                if (!obj.source) {
+                    throw invalidIdOption(`objects[${index}].source is required with idStrategy "source"`);
+                }
+                const position = chunkCounters.get(obj.source) || 0;
+                chunkCounters.set(obj.source, position + 1);
+                const chunkIndex = obj.chunkIndex ?? position;
+                return generateUuid5(`source:${obj.source}#${chunkIndex}`, className);
+            }
+            default:
+                return generateUuid5(`content:${contentHash(options.textOf(obj))}`, className);
+        }
+    });
+
+    if (strategy === 'content') {
+        return ids;
+    }
+
+    const seen = new Map();
+    ids.forEach((id, index) => {
+        if (seen.has(id)) {
+            throw invalidIdOption(`objects[${seen.get(id)}] and objects[${index}] map to the same id ${id}`);
+        }
+        seen.set(id, index);
+    });
+
+    return ids;
+}
+
+/**
+ * Objects whose id an earlier object already has
+ * @param {Array<string|undefined>} ids - From objectIds()
+ * @returns {Map<number, number>} - index -> index of the first object with that id
+ */
+function duplicateIndexes(ids) {
+    const first = new Map();
+    const duplicates = new Map();
+    ids.forEach((id, index) => {
+        if (id === undefined) return;
+        if (first.has(id)) {
+            duplicates.set(index, first.get(id));
+        } else {
+            first.set(id, index);
+        }
+    });
+    return duplicates;
+}
+
+/**
+ * Look up which ids already exist, with their content hash and vector
+ * @param {Object} client - Weaviate client
+ * @param {string} className - Class to look in
+ * @param {Array<string>} ids - Object ids
+ * @param {Function} textOf - Embedded text of an object's properties
+ * @returns {Promise<Map>} - id -> { hash, vector }
+ */
+async function fetchExisting(client, className, ids, textOf) {
+    if (ids.length === 0) {
+        return new Map();
+    }
+
+    let result;
+    try {
+        result = await client.graphql
+            .get()
+            .withClassName(className)
+            .withFields('title content _additional { id vector }')
+            .withWhere({ path: ['id'], operator: 'ContainsAny', valueTextArray: ids })
+            .withLimit(ids.length)
+            .do();
+    } catch (error) {
+        // The class doesn't exist yet (first insert creates it): nothing stored
+        if (String(error.message).includes(`Cannot query field "${className}"`)) {
+            return new Map();
+        }
+        throw error;
+    }
+
+    const existing = new Map();
+    for (const object of result?.data?.Get?.[className] || []) {
+        existing.set(object._additional.id, {
+            hash: contentHash(textOf(object)),
+            vector: object._additional.vector
+        });
+    }
+    return existing;
+}
+
+module.exports = {
+    objectIds,
+    duplicateIndexes,
+    keyId,
+    chunkId,
+    fetchExisting,
+    contentHash,
+    ID_STRATEGIES
+};
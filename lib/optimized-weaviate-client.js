@@ -1,12 +1,48 @@
 const ConnectionManager = require('./connection-manager');
 const CacheManager = require('./cache-manager');
 const MetricsCollector = require('./metrics-collector');
+const { compileFilters, combineWhere } = require('./search-filters');
+const { parseSearchQuery } = require('./query-parser');
+const SearchReranker = require('./search-reranker');
+const crypto = require('crypto');
+const { objectIds, duplicateIndexes, chunkId, fetchExisting, contentHash } = require('./object-ids');
+const { objectError, retryRounds, writeBatch } = require('./batch-results');
+const DocumentChunker = require('./document-chunker');
+const EmbeddingProviderRegistry = require('./embedding-provider-registry');
+const EmbeddingStore = require('./embedding-store');
+
+// vector: nearVector on an embedding from the class's provider; keyword: BM25 over the inverted
+// index; hybrid: both, fused and weighted by alpha (1 = pure vector)
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+const FUSION_TYPES = {
+    ranked: 'rankedFusion',
+    relativeScore: 'relativeScoreFusion'
+};
+
+function invalidSearchOption(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
 
 class OptimizedWeaviateClient {
-    constructor() {
+    constructor(options = {}) {
         this.connectionManager = new ConnectionManager();
-        this.cacheManager = new CacheManager();
+        this.embeddingProviders = options.embeddingProviders ||
+            EmbeddingProviderRegistry.fromEnv(process.env, { connectionManager: this.connectionManager });
+        // Share the application's manager so embeddings have one byte budget
+        this.cacheManager = options.cacheManager || new CacheManager();
+        // Persistent embeddings behind the cache (null when EMBEDDING_STORE=off)
+        this.embeddingStore = options.embeddingStore !== undefined ? options.embeddingStore : EmbeddingStore.shared();
         this.metricsCollector = new MetricsCollector();
+        this.reranker = new SearchReranker({
+            connectionManager: this.connectionManager,
+            metricsCollector: this.metricsCollector
+        });
+        this.chunker = new DocumentChunker();
+        // className -> { available, checkedAt }, see hasChunkFields()
+        this.chunkFields = new Map();
         
         // Batch processing configuration
         this.batchConfig = {
@@ -17,9 +53,75 @@ class OptimizedWeaviateClient {
         };
     }
 
+    /**
+     * Validate and default the search mode options
+     * @returns {Object} - { mode, alpha, fusionType, properties }
+     */
+    resolveSearchMode(options = {}) {
+        const mode = options.mode || 'vector';
+        if (!SEARCH_MODES.includes(mode)) {
+            throw invalidSearchOption(`mode must be one of ${SEARCH_MODES.join(', ')} (got ${mode})`);
+        }
+
+        const alpha = options.alpha === undefined ? 0.5 : Number(options.alpha);
+        if (Number.isNaN(alpha) || alpha < 0 || alpha > 1) {
+            throw invalidSearchOption(`alpha must be a number between 0 and 1 (got ${options.alpha})`);
+        }
+
+        const fusionType = options.fusionType || 'ranked';
+        if (!FUSION_TYPES[fusionType]) {
+            throw invalidSearchOption(`fusionType must be one of ${Object.keys(FUSION_TYPES).join(', ')} (got ${fusionType})`);
+        }
+
+        return {
+            mode,
+            alpha,
+            fusionType: FUSION_TYPES[fusionType],
+            properties: options.properties
+        };
+    }
+
+    /**
+     * Where clause for a query: options.where combined with the compiled
+     * options.filters
+     * @throws {FilterValidationError} - Unknown filter key or bad value (status 400)
+     */
+    buildWhere(options = {}) {
+        return combineWhere(options.where, compileFilters(options.filters));
+    }
+
+    /**
+     * Embedding options for a class: options.embeddingProvider overrides the
+     * class's configured provider
+     * @param {string} inputType - 'document' for stored objects, 'query' for search text
+     * @throws {Error} - Unknown provider (status 400)
+     */
+    embeddingOptions(className, options = {}, inputType = 'document') {
+        const embedOptions = { provider: options.embeddingProvider, className, inputType };
+        this.embeddingProviders.resolve(embedOptions);
+        // Queue lane and AbortSignal, used where embeddings go through an EmbeddingQueue
+        if (options.lane) {
+            embedOptions.lane = options.lane;
+        }
+        if (options.signal) {
+            embedOptions.signal = options.signal;
+        }
+        return embedOptions;
+    }
+
     async query(className, queryText, options = {}) {
         const start = Date.now();
-        const cacheKey = this.cacheManager.generateKey('search', className, queryText, options);
+        const search = this.resolveSearchMode(options);
+        if (search.mode !== 'vector' && !queryText) {
+            throw invalidSearchOption(`${search.mode} search needs query text`);
+        }
+        const where = this.buildWhere(options);
+        // Search text is always embedded as a query
+        const embedOptions = this.embeddingOptions(className, options, 'query');
+
+        // Scoped by class so writes can invalidate just that class's searches
+        const { signal, ...cacheOptions } = options;
+        const cacheKey = this.cacheManager.generateKey(`search:${className}`, queryText, cacheOptions);
         
         try {
             // Check cache first
@@ -31,24 +133,39 @@ class OptimizedWeaviateClient {
 
             // Execute query with retry logic
             const result = await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                const defaultFields = search.mode === 'vector'
+                    ? '_additional { id distance }'
+                    : '_additional { id score explainScore }';
+
                 const query = client.graphql
                     .get()
                     .withClassName(className)
-                    .withFields(options.fields || '_additional { id distance }')
+                    .withFields(options.fields || defaultFields)
                     .withLimit(options.limit || 10);
 
-                // Add where filter if provided
-                if (options.where) {
-                    query.withWhere(options.where);
+                // Filters run in Weaviate, before the limit applies
+                if (where) {
+                    query.withWhere(where);
                 }
 
-                // Add near text search if query text provided
-                if (queryText) {
+                if (search.mode === 'keyword') {
+                    query.withBm25({ query: queryText, properties: search.properties });
+                } else if (search.mode === 'hybrid') {
+                    // Embed ourselves: the class has no vectorizer module
+                    const embedding = await this.generateEmbedding(queryText, embedOptions);
+                    query.withHybrid({
+                        query: queryText,
+                        vector: embedding,
+                        alpha: search.alpha,
+                        fusionType: search.fusionType,
+                        properties: search.properties
+                    });
+                } else if (queryText) {
                     // Generate embedding
-                    const embedding = await this.generateEmbedding(queryText);
+                    const embedding = await this.generateEmbedding(queryText, embedOptions);
                     query.withNearVector({ vector: embedding });
                 } else if (options.nearText) {
-                    const embedding = await this.generateEmbedding(options.nearText.concepts[0]);
+                    const embedding = await this.generateEmbedding(options.nearText.concepts[0], embedOptions);
                     query.withNearVector({ vector: embedding });
                 }
 
@@ -68,100 +185,229 @@ class OptimizedWeaviateClient {
         }
     }
 
-    async generateEmbedding(text) {
+    /**
+     * Cache key of an embedding: vectors from different providers, models or
+     * input types never share an entry
+     */
+    embeddingCacheKey(provider, inputType, text) {
+        return this.cacheManager.generateKey('embedding', provider.name, provider.model, inputType, text);
+    }
+
+    /**
+     * Embedding store descriptor of a provider and input type
+     */
+    embeddingStoreEntry(provider, inputType) {
+        return { provider: provider.name, model: provider.model, inputType };
+    }
+
+    /**
+     * Embed the texts the cache and store don't have. The enhanced server
+     * batches them through its EmbeddingQueue instead.
+     * @param {Object} options - { inputType, lane, signal }
+     */
+    async embedTexts(texts, provider, options = {}) {
+        return this.embeddingProviders.embed(texts, { provider: provider.name, inputType: options.inputType });
+    }
+
+    /**
+     * Embed one text with the provider for the request or class
+     * @param {string} text - Text to embed
+     * @param {Object} options - { provider, className, inputType: 'document' (default) | 'query',
+     *   lane, signal }
+     */
+    async generateEmbedding(text, options = {}) {
         const start = Date.now();
-        const cacheKey = this.cacheManager.generateKey('embedding', text);
+        const provider = this.embeddingProviders.resolve(options);
+        const inputType = options.inputType || 'document';
+        const cacheKey = this.embeddingCacheKey(provider, inputType, text);
         
         // Check cache
         const cached = await this.cacheManager.get('embeddings', cacheKey);
         if (cached) {
-            this.metricsCollector.recordEmbedding(0, true);
+            this.metricsCollector.recordEmbedding(0, true, inputType);
             return cached;
         }
 
+        // Then the persistent store
+        const storeEntry = this.embeddingStoreEntry(provider, inputType);
+        const stored = this.embeddingStore && await this.embeddingStore.get(storeEntry, text);
+        if (stored) {
+            await this.cacheManager.set('embeddings', cacheKey, stored);
+            this.metricsCollector.recordEmbedding(0, true, inputType);
+            return stored;
+        }
+
         try {
-            // Generate with Cohere
-            const result = await this.connectionManager.executeWithRetry('cohere', async (client) => {
-                const response = await client.embed({
-                    texts: [text],
-                    model: 'embed-english-v3.0',
-                    inputType: 'search_document'
-                });
-                return response.embeddings[0];
-            });
+            const [result] = await this.embedTexts([text], provider, { ...options, inputType });
 
-            // Cache the embedding
+            // Cache and store the embedding
             await this.cacheManager.set('embeddings', cacheKey, result);
+            if (this.embeddingStore) {
+                await this.embeddingStore.set(storeEntry, text, result);
+            }
             
             const duration = Date.now() - start;
-            this.metricsCollector.recordEmbedding(duration, false);
-            this.metricsCollector.recordIntegration('cohere', true, duration);
+            this.metricsCollector.recordEmbedding(duration, false, inputType);
+            this.metricsCollector.recordIntegration(provider.name, true, duration);
             
             return result;
         } catch (error) {
-            this.metricsCollector.recordIntegration('cohere', false, Date.now() - start);
+            this.metricsCollector.recordIntegration(provider.name, false, Date.now() - start);
             throw error;
         }
     }
 
-    async batchInsert(className, objects) {
+    /**
+     * Insert objects with embeddings, in slices of 50
+     * @param {string} className - Target class
+     * @param {Array} objects - Object properties
+     * @param {Object} options - { idStrategy, idKey, upsert, retryFailed, chunking }.
+     *   With a deterministic idStrategy (see lib/object-ids.js), objects that
+     *   already exist are skipped, or replaced with upsert; an upsert whose
+     *   embedded text is unchanged reuses the stored vector instead of
+     *   re-embedding. retryFailed re-sends only the objects Weaviate rejected.
+     *   chunking (true or { chunkSize, chunkOverlap }) stores each document as
+     *   one object per chunk (see lib/document-chunker.js); counts are then per chunk.
+     *   embeddingProvider overrides the class's embedding provider.
+     *   With idStrategy "content", repeats of a document are stored once and
+     *   the rest counted as skipped.
+     * @returns {Promise<Object>} - { successful, failed, skipped, embeddingsReused,
+     *   retried, errors: [{ index, chunkIndex, id, error, attempts }], ids, chunks,
+     *   duplicates: [{ index, duplicateOf }] }
+     */
+    async batchInsert(className, objects, options = {}) {
         const start = Date.now();
         const batchSize = 50; // Optimal batch size for Weaviate
         const results = {
             successful: 0,
             failed: 0,
+            skipped: 0,
+            embeddingsReused: 0,
+            retried: 0,
             errors: []
         };
 
+        const deterministic = (options.idStrategy || 'random') !== 'random';
+        if (options.upsert && !deterministic) {
+            throw invalidSearchOption('upsert needs a deterministic idStrategy (key, source or content)');
+        }
+        const ids = objectIds(className, objects, { ...options, textOf: obj => this.embeddingText(obj) });
+        const retries = retryRounds(options.retryFailed);
+        const chunker = options.chunking ? this.chunkerFor(options.chunking) : null;
+        const embedOptions = this.embeddingOptions(className, options);
+
+        // Chunked documents need an id up front to link their chunks to
+        const parentIds = chunker ? ids.map(id => id || crypto.randomUUID()) : ids;
+        const allUnits = chunker
+            ? this.chunkObjects(className, objects, parentIds, chunker)
+            : objects.map((obj, index) => ({ index, id: ids[index], properties: obj }));
+
+        // Identical documents get the same content id: store the first one only
+        const duplicates = duplicateIndexes(ids);
+        const units = allUnits.filter(unit => !duplicates.has(unit.index));
+        results.skipped += allUnits.length - units.length;
+        if (duplicates.size > 0) {
+            results.duplicates = Array.from(duplicates, ([index, duplicateOf]) => ({ index, duplicateOf }));
+        }
+
         try {
             // Process in batches
-            for (let i = 0; i < objects.length; i += batchSize) {
-                const batch = objects.slice(i, i + batchSize);
-                
-                // Generate embeddings for batch
-                const textsToEmbed = batch.map(obj => 
-                    obj.title + ' ' + (obj.content || '').substring(0, 1000)
+            for (let i = 0; i < units.length; i += batchSize) {
+                const batch = units.slice(i, i + batchSize);
+
+                // Objects already stored under these ids
+                const existing = deterministic
+                    ? await this.connectionManager.executeWithRetry('weaviate', client =>
+                        fetchExisting(client, className, batch.map(obj => obj.id), item => this.embeddingText(item)))
+                    : new Map();
+
+                const toWrite = [];
+                for (const obj of batch) {
+                    const current = existing.get(obj.id);
+                    if (!current) {
+                        toWrite.push(obj);
+                    } else if (!options.upsert) {
+                        results.skipped++;
+                    } else if (current.vector && current.hash === contentHash(this.embeddingText(obj.properties))) {
+                        toWrite.push({ ...obj, vector: current.vector });
+                        results.embeddingsReused++;
+                    } else {
+                        toWrite.push(obj);
+                    }
+                }
+
+                // Generate embeddings for objects without a reusable vector
+                const needEmbedding = toWrite.filter(obj => !obj.vector);
+                const embeddings = await this.batchGenerateEmbeddings(
+                    needEmbedding.map(obj => this.embeddingText(obj.properties)),
+                    embedOptions
                 );
-                
-                const embeddings = await this.batchGenerateEmbeddings(textsToEmbed);
-                
-                // Prepare batch with embeddings
-                const batchWithVectors = batch.map((obj, idx) => ({
-                    ...obj,
-                    _additional: { vector: embeddings[idx] }
-                }));
+                needEmbedding.forEach((obj, idx) => {
+                    obj.vector = embeddings[idx];
+                });
 
-                // Insert batch
-                try {
-                    await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                // Insert batch; Weaviate reports success or an error per object
+                const { failures, retried } = await writeBatch(toWrite, async (pending) => {
+                    return this.connectionManager.executeWithRetry('weaviate', async (client) => {
                         const batcher = client.batch.objectsBatcher();
-                        
-                        for (const obj of batchWithVectors) {
+
+                        for (const obj of pending) {
                             batcher.withObject({
                                 class: className,
-                                properties: obj,
-                                vector: obj._additional.vector
+                                ...(obj.id && { id: obj.id }),
+                                properties: obj.properties,
+                                vector: obj.vector
                             });
                         }
-                        
+
                         return await batcher.do();
                     });
-                    
-                    results.successful += batch.length;
-                } catch (error) {
-                    results.failed += batch.length;
+                }, { retries });
+
+                results.successful += toWrite.length - failures.length;
+                results.failed += failures.length;
+                results.retried += retried;
+                for (const { item, id, error, attempts } of failures) {
                     results.errors.push({
-                        batch: `${i}-${i + batch.length}`,
-                        error: error.message
+                        index: item.index,
+                        ...(chunker && { chunkIndex: item.properties.chunkIndex }),
+                        id: item.id || id || null,
+                        error,
+                        attempts
                     });
                 }
 
                 // Progress update
                 if ((i + batchSize) % 500 === 0) {
-                    console.log(`📊 Batch insert progress: ${i + batchSize}/${objects.length}`);
+                    console.log(`📊 Batch insert progress: ${i + batchSize}/${units.length}`);
+                }
+            }
+
+            if (chunker) {
+                results.chunks = units.length;
+                this.chunkFields.set(className, { available: true, checkedAt: Date.now() });
+                // A shorter new version leaves the old version's last chunks behind
+                if (options.upsert) {
+                    const parents = new Map(units.map(({ index, properties }) => [
+                        index,
+                        { parentId: properties.parentId, chunkCount: properties.chunkCount }
+                    ]));
+                    await this.deleteStaleChunks(className, Array.from(parents.values()));
                 }
             }
 
+            if (deterministic || chunker) {
+                results.ids = parentIds;
+            }
+
+            if (results.successful > 0) {
+                await this.invalidateSearches(className);
+            }
+
+            if (results.failed > 0) {
+                console.warn(`⚠️ Batch insert into ${className}: ${results.failed} of ${units.length} objects failed`);
+            }
+
             const duration = Date.now() - start;
             console.log(`✅ Batch insert completed in ${duration}ms`);
             
@@ -172,53 +418,348 @@ class OptimizedWeaviateClient {
         }
     }
 
-    async batchGenerateEmbeddings(texts) {
+    /**
+     * Text a document is embedded from. Cohere reads about this much (512
+     * tokens); longer documents should be inserted with chunking.
+     */
+    embeddingText(obj) {
+        return obj.title + ' ' + (obj.content || '').substring(0, 2500);
+    }
+
+    /**
+     * Chunker for a chunking option: true for the defaults, or { chunkSize, chunkOverlap }
+     */
+    chunkerFor(chunking) {
+        if (chunking === true) {
+            return this.chunker;
+        }
+        if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+            throw invalidSearchOption('chunking must be true or an object { chunkSize, chunkOverlap }');
+        }
+        return new DocumentChunker(chunking);
+    }
+
+    /**
+     * One write per chunk: the document's properties with the chunk as
+     * content, linked to the document by parentId
+     */
+    chunkObjects(className, objects, parentIds, chunker) {
+        return objects.flatMap((obj, index) => {
+            const chunks = chunker.chunk(obj.content, { contentType: obj.contentType });
+            return chunks.map(chunk => ({
+                index,
+                id: chunkId(className, parentIds[index], chunk.index),
+                properties: {
+                    ...obj,
+                    content: chunk.text,
+                    parentId: parentIds[index],
+                    chunkIndex: chunk.index,
+                    chunkCount: chunks.length
+                }
+            }));
+        });
+    }
+
+    /**
+     * Delete chunks past each document's current chunkCount
+     * @param {Array<Object>} parents - [{ parentId, chunkCount }]
+     */
+    async deleteStaleChunks(className, parents) {
+        for (let i = 0; i < parents.length; i += 50) {
+            const where = DocumentChunker.staleChunksWhere(parents.slice(i, i + 50));
+            const response = await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                return await client.batch
+                    .objectsBatchDeleter()
+                    .withClassName(className)
+                    .withWhere(where)
+                    .do();
+            });
+
+            const deleted = response?.results?.successful || 0;
+            if (deleted > 0) {
+                console.log(`🧹 Deleted ${deleted} stale chunks from ${className}`);
+            }
+        }
+    }
+
+    /**
+     * Whether a class stores chunk links (parentId, chunkIndex, chunkCount),
+     * so searches can ask for them. Misses are re-checked after 5 minutes.
+     */
+    async hasChunkFields(className) {
+        const known = this.chunkFields.get(className);
+        if (known && (known.available || Date.now() - known.checkedAt < 5 * 60 * 1000)) {
+            return known.available;
+        }
+
+        let available = false;
+        try {
+            const schema = await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                return await client.schema.classGetter().withClassName(className).do();
+            });
+            available = (schema?.properties || []).some(property => property.name === 'parentId');
+        } catch (error) {
+            console.warn(`⚠️ Could not read the ${className} schema: ${error.message}`);
+        }
+
+        this.chunkFields.set(className, { available, checkedAt: Date.now() });
+        return available;
+    }
+
+    /**
+     * Drop cached searches of a class after a write, so edits show up
+     * immediately instead of after the searches TTL
+     */
+    async invalidateSearches(className) {
+        const deleted = await this.cacheManager.invalidate('searches', `search:${className}:`);
+        if (deleted > 0) {
+            console.log(`🧹 Invalidated ${deleted} cached ${className} searches`);
+        }
+        return deleted;
+    }
+
+    validateObjectRef(className, id) {
+        if (!/^[A-Z][_0-9A-Za-z]*$/.test(className || '')) {
+            throw invalidSearchOption(`"${className}" is not a valid Weaviate class name`);
+        }
+        if (id !== undefined && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+            throw invalidSearchOption(`"${id}" is not a valid object id (UUID)`);
+        }
+    }
+
+    /**
+     * Get one object
+     * @returns {Promise<Object|null>} - The object, null when it doesn't exist
+     */
+    async getObject(className, id, options = {}) {
+        this.validateObjectRef(className, id);
+
+        try {
+            return await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                const getter = client.data.getterById().withClassName(className).withId(id);
+                if (options.includeVector) {
+                    getter.withVector();
+                }
+                return await getter.do();
+            });
+        } catch (error) {
+            if (ConnectionManager.errorStatus(error) === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write an object with a vector. This client's updater can't send
+     * vectors, so a single-object batch upserts by id instead.
+     */
+    async upsertWithVector(className, id, properties, vector) {
+        const [result] = await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+            return await client.batch
+                .objectsBatcher()
+                .withObject({ class: className, id, properties, vector })
+                .do();
+        });
+
+        const message = objectError(result);
+        if (message) {
+            const error = new Error(message);
+            error.status = 422;
+            throw error;
+        }
+        return { class: className, id, properties };
+    }
+
+    /**
+     * Replace an object's properties and re-embed it
+     * @param {Object} options - { embeddingProvider, lane }
+     * @returns {Promise<Object>} - { object, created }
+     */
+    async replaceObject(className, id, properties, options = {}) {
+        this.validateObjectRef(className, id);
+        if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+            throw invalidSearchOption('properties must be an object');
+        }
+
+        // Someone is waiting on a single object: don't queue it behind bulk imports
+        const embedOptions = this.embeddingOptions(className, { lane: 'interactive', ...options });
+        const existing = await this.getObject(className, id);
+        const vector = await this.generateEmbedding(this.embeddingText(properties), embedOptions);
+        const object = await this.upsertWithVector(className, id, properties, vector);
+
+        await this.invalidateSearches(className);
+        return { object, created: !existing };
+    }
+
+    /**
+     * Merge properties into an object. Changing title or content re-embeds it.
+     * @param {Object} options - { embeddingProvider, lane }
+     * @returns {Promise<Object|null>} - { object, reembedded }, null when it doesn't exist
+     */
+    async patchObject(className, id, properties, options = {}) {
+        this.validateObjectRef(className, id);
+        if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+            throw invalidSearchOption('properties must be an object');
+        }
+
+        // Someone is waiting on a single object: don't queue it behind bulk imports
+        const embedOptions = this.embeddingOptions(className, { lane: 'interactive', ...options });
+        const existing = await this.getObject(className, id);
+        if (!existing) {
+            return null;
+        }
+
+        const merged = { ...existing.properties, ...properties };
+        const textChanged = ['title', 'content'].some(field =>
+            field in properties && properties[field] !== existing.properties?.[field]
+        );
+
+        if (textChanged) {
+            const vector = await this.generateEmbedding(this.embeddingText(merged), embedOptions);
+            await this.upsertWithVector(className, id, merged, vector);
+        } else {
+            await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                return await client.data.merger()
+                    .withClassName(className)
+                    .withId(id)
+                    .withProperties(properties)
+                    .do();
+            });
+        }
+
+        await this.invalidateSearches(className);
+        return { object: { class: className, id, properties: merged }, reembedded: textChanged };
+    }
+
+    /**
+     * Delete one object
+     * @returns {Promise<boolean>} - false when it didn't exist
+     */
+    async deleteObject(className, id) {
+        this.validateObjectRef(className, id);
+
+        try {
+            await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+                return await client.data.deleter().withClassName(className).withId(id).do();
+            });
+        } catch (error) {
+            if (ConnectionManager.errorStatus(error) === 404) {
+                return false;
+            }
+            throw error;
+        }
+
+        await this.invalidateSearches(className);
+        return true;
+    }
+
+    /**
+     * Delete every object matching filters (see lib/search-filters.js) and/or
+     * a raw where clause. Refuses to run without any filter.
+     * @param {Object} options - { filters, where, dryRun }
+     * @returns {Promise<Object>} - { matches, successful, failed, dryRun, objects }
+     */
+    async deleteWhere(className, options = {}) {
+        this.validateObjectRef(className);
+
+        const where = this.buildWhere(options);
+        if (!where) {
+            throw invalidSearchOption('Delete by filter needs filters or where; delete the class to remove everything');
+        }
+
+        const dryRun = options.dryRun === true;
+        const response = await this.connectionManager.executeWithRetry('weaviate', async (client) => {
+            return await client.batch
+                .objectsBatchDeleter()
+                .withClassName(className)
+                .withWhere(where)
+                .withOutput('verbose')
+                .withDryRun(dryRun)
+                .do();
+        });
+
+        const results = response?.results || {};
+        if (!dryRun && results.successful > 0) {
+            await this.invalidateSearches(className);
+        }
+
+        return {
+            matches: results.matches || 0,
+            successful: results.successful || 0,
+            failed: results.failed || 0,
+            dryRun,
+            objects: (results.objects || []).map(object => ({ id: object.id, status: object.status }))
+        };
+    }
+
+    /**
+     * Embed many texts with the provider for the request or class
+     * @param {Array<string>} texts - Texts to embed
+     * @param {Object} options - { provider, className, inputType: 'document' (default) | 'query',
+     *   lane, signal }
+     */
+    async batchGenerateEmbeddings(texts, options = {}) {
         const start = Date.now();
+        const provider = this.embeddingProviders.resolve(options);
+        const inputType = options.inputType || 'document';
         const embeddings = [];
         const uncachedTexts = [];
         const uncachedIndices = [];
 
         // Check cache for each text
         for (let i = 0; i < texts.length; i++) {
-            const cacheKey = this.cacheManager.generateKey('embedding', texts[i]);
+            const cacheKey = this.embeddingCacheKey(provider, inputType, texts[i]);
             const cached = await this.cacheManager.get('embeddings', cacheKey);
             
             if (cached) {
                 embeddings[i] = cached;
-                this.metricsCollector.recordEmbedding(0, true);
+                this.metricsCollector.recordEmbedding(0, true, inputType);
             } else {
                 uncachedTexts.push(texts[i]);
                 uncachedIndices.push(i);
             }
         }
 
+        // Then the persistent store
+        const storeEntry = this.embeddingStoreEntry(provider, inputType);
+        if (this.embeddingStore && uncachedTexts.length > 0) {
+            const stored = await this.embeddingStore.getMany(storeEntry, uncachedTexts);
+            for (let i = stored.length - 1; i >= 0; i--) {
+                if (stored[i]) {
+                    const originalIndex = uncachedIndices[i];
+                    embeddings[originalIndex] = stored[i];
+                    await this.cacheManager.set('embeddings', this.embeddingCacheKey(provider, inputType, texts[originalIndex]), stored[i]);
+                    this.metricsCollector.recordEmbedding(0, true, inputType);
+                    uncachedTexts.splice(i, 1);
+                    uncachedIndices.splice(i, 1);
+                }
+            }
+        }
+
         // Generate embeddings for uncached texts
         if (uncachedTexts.length > 0) {
             try {
-                const result = await this.connectionManager.executeWithRetry('cohere', async (client) => {
-                    const response = await client.embed({
-                        texts: uncachedTexts,
-                        model: 'embed-english-v3.0',
-                        inputType: 'search_document'
-                    });
-                    return response.embeddings;
-                });
+                const result = await this.embedTexts(uncachedTexts, provider, { ...options, inputType });
+                if (this.embeddingStore) {
+                    await this.embeddingStore.setMany(storeEntry, uncachedTexts, result);
+                }
 
                 // Cache and assign embeddings
                 for (let i = 0; i < result.length; i++) {
                     const originalIndex = uncachedIndices[i];
-                    const cacheKey = this.cacheManager.generateKey('embedding', texts[originalIndex]);
+                    const cacheKey = this.embeddingCacheKey(provider, inputType, texts[originalIndex]);
                     
                     embeddings[originalIndex] = result[i];
                     await this.cacheManager.set('embeddings', cacheKey, result[i]);
                     
                     const duration = Date.now() - start;
-                    this.metricsCollector.recordEmbedding(duration / uncachedTexts.length, false);
+                    this.metricsCollector.recordEmbedding(duration / uncachedTexts.length, false, inputType);
                 }
 
-                this.metricsCollector.recordIntegration('cohere', true, Date.now() - start);
+                this.metricsCollector.recordIntegration(provider.name, true, Date.now() - start);
             } catch (error) {
-                this.metricsCollector.recordIntegration('cohere', false, Date.now() - start);
+                this.metricsCollector.recordIntegration(provider.name, false, Date.now() - start);
                 throw error;
             }
         }
@@ -226,13 +767,56 @@ class OptimizedWeaviateClient {
         return embeddings;
     }
 
+    /**
+     * Split field predicates out of a search box query (see lib/query-parser.js)
+     * and merge them with options.filters. `parseQuery: false` searches the
+     * string as-is.
+     * @returns {Object} - { text, filters, parsed }
+     */
+    parseQuery(query, options = {}) {
+        if (options.parseQuery === false) {
+            return { text: query, filters: options.filters, parsed: null };
+        }
+
+        const parsed = parseSearchQuery(query);
+        const filters = parsed.filters && options.filters
+            ? { and: [options.filters, parsed.filters] }
+            : parsed.filters || options.filters;
+        return { text: parsed.text, filters, parsed };
+    }
+
     async enhancedSearch(query, options = {}) {
         const start = Date.now();
         
         try {
-            // Perform vector search
-            const searchResults = await this.query('OptimizedDocument', query, {
-                limit: options.limit || 10,
+            const { mode } = this.resolveSearchMode(options);
+            const additional = mode === 'vector'
+                ? 'id distance certainty'
+                : 'id score explainScore';
+
+            // Predicates become filters; only the remaining text is embedded
+            const { text, filters, parsed } = this.parseQuery(query, options);
+
+            // Reranking picks the final results from a wider candidate set
+            const limit = options.limit || 10;
+            const rerank = options.rerank ? this.rerankOptions(options.rerank, limit) : null;
+            const wanted = rerank ? rerank.candidates : limit;
+
+            // Chunks of one document collapse into one result, so fetch
+            // extra hits to still fill the limit
+            const chunked = await this.hasChunkFields('OptimizedDocument');
+            const collapse = chunked && options.collapseChunks !== false;
+            const fetchLimit = collapse ? Math.min(wanted * 3, 100) : wanted;
+
+            const searchResults = await this.query('OptimizedDocument', text, {
+                limit: fetchLimit,
+                filters,
+                mode,
+                alpha: options.alpha,
+                fusionType: options.fusionType,
+                properties: options.properties,
+                embeddingProvider: options.embeddingProvider,
+                signal: options.signal,
                 fields: `
                     title
                     content
@@ -240,64 +824,91 @@ class OptimizedWeaviateClient {
                     category
                     contentType
                     priority
+                    ${chunked ? 'parentId chunkIndex chunkCount' : ''}
                     _additional {
-                        id
-                        distance
-                        certainty
+                        ${additional}
                     }
                 `
             });
 
             // Filter and rank results
-            const documents = this.processSearchResults(searchResults, options);
+            let documents = this.processSearchResults(searchResults, {
+                ...options,
+                limit: fetchLimit
+            });
+
+            if (collapse) {
+                documents = DocumentChunker.collapseChunks(documents, doc => this.relevanceOf(doc)).slice(0, wanted);
+            }
+
+            let rerankInfo;
+            if (rerank && documents.length > 0) {
+                const reranked = await this.reranker.rerank(text || query, documents, {
+                    topN: limit,
+                    model: rerank.model
+                });
+                rerankInfo = {
+                    source: reranked.source,
+                    model: reranked.model,
+                    candidates: documents.length,
+                    fallbackReason: reranked.fallbackReason
+                };
+                documents = reranked.documents;
+            }
 
             // Enhance with AI if requested
             if (options.enhance !== false && documents.length > 0) {
                 const enhanced = await this.enhanceWithAI(query, documents, options.model);
                 
                 this.metricsCollector.recordSearch(Date.now() - start, true);
-                return enhanced;
+                return { ...enhanced, parsedQuery: parsed, rerank: rerankInfo };
             }
 
             this.metricsCollector.recordSearch(Date.now() - start, false);
-            return { documents, query, timestamp: new Date().toISOString() };
+            return { documents, query, parsedQuery: parsed, rerank: rerankInfo, timestamp: new Date().toISOString() };
         } catch (error) {
             console.error('Enhanced search error:', error);
             throw error;
         }
     }
 
+    /**
+     * Normalize the rerank option: true, or { candidates, model }
+     * @returns {Object} - { candidates, model }
+     */
+    rerankOptions(rerank, limit) {
+        const settings = rerank === true ? {} : rerank;
+        if (!settings || typeof settings !== 'object') {
+            throw invalidSearchOption('rerank must be true or an object { candidates, model }');
+        }
+
+        // Weaviate caps a Get at 100 without extra config
+        const candidates = settings.candidates === undefined
+            ? Math.min(Math.max(limit * 4, 50), 100)
+            : settings.candidates;
+        if (!Number.isInteger(candidates) || candidates < limit || candidates > 100) {
+            throw invalidSearchOption(`rerank.candidates must be an integer between ${limit} and 100`);
+        }
+
+        return { candidates, model: settings.model };
+    }
+
     processSearchResults(searchResults, options) {
         if (!searchResults?.data?.Get?.OptimizedDocument) {
             return [];
         }
 
-        let documents = searchResults.data.Get.OptimizedDocument;
-
-        // Apply additional filtering
-        if (options.filters) {
-            if (options.filters.category) {
-                documents = documents.filter(doc => 
-                    doc.category === options.filters.category
-                );
-            }
-            if (options.filters.contentType) {
-                documents = documents.filter(doc => 
-                    doc.contentType === options.filters.contentType
-                );
-            }
-            if (options.filters.minPriority) {
-                documents = documents.filter(doc => 
-                    doc.priority >= options.filters.minPriority
-                );
-            }
-        }
+        // options.filters already applied by Weaviate in query()
+        const documents = [...searchResults.data.Get.OptimizedDocument];
 
         // Sort by relevance and priority
+        // Ties within 1%: ranked fusion scores are around 0.016, not 0..1
         documents.sort((a, b) => {
-            const distanceDiff = (a._additional.distance || 0) - (b._additional.distance || 0);
-            if (Math.abs(distanceDiff) > 0.01) {
-                return distanceDiff;
+            const relevanceA = this.relevanceOf(a);
+            const relevanceB = this.relevanceOf(b);
+            const relevanceDiff = relevanceB - relevanceA;
+            if (Math.abs(relevanceDiff) > 0.01 * Math.max(Math.abs(relevanceA), Math.abs(relevanceB))) {
+                return relevanceDiff;
             }
             return (b.priority || 0) - (a.priority || 0);
         });
@@ -305,12 +916,24 @@ class OptimizedWeaviateClient {
         return documents.slice(0, options.limit || 10);
     }
 
+    /**
+     * Higher is better: 1 - distance for vector results, the fused or BM25
+     * score (returned as a string) for keyword and hybrid results
+     */
+    relevanceOf(doc) {
+        const additional = doc._additional || {};
+        if (additional.score !== undefined && additional.score !== null) {
+            return parseFloat(additional.score) || 0;
+        }
+        return 1 - (additional.distance || 0);
+    }
+
     async enhanceWithAI(query, documents, model = 'openrouter/auto') {
         const start = Date.now();
         
         try {
             const context = documents.map((doc, idx) => 
-                `[${idx + 1}] ${doc.title}\nSource: ${doc.source}\nRelevance: ${(1 - doc._additional.distance).toFixed(3)}\nContent: ${doc.content?.substring(0, 300)}...`
+                `[${idx + 1}] ${doc.title}\nSource: ${doc.source}\nRelevance: ${this.relevanceOf(doc).toFixed(3)}\nContent: ${doc.content?.substring(0, 300)}...`
             ).join('\n\n');
 
             const result = await this.connectionManager.executeWithRetry('openrouter', async (client) => {
@@ -370,10 +993,15 @@ class OptimizedWeaviateClient {
         return {
             connections: weaviateHealth,
             cache: cacheStats,
+            embeddingStore: this.embeddingStore ? this.embeddingStore.getStats() : null,
+            rerank: this.reranker.getStats(),
             metrics,
             timestamp: new Date().toISOString()
         };
     }
 }
 
+OptimizedWeaviateClient.SEARCH_MODES = SEARCH_MODES;
+OptimizedWeaviateClient.FUSION_TYPES = FUSION_TYPES;
+
 module.exports = OptimizedWeaviateClient;
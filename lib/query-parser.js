@@ -0,0 +1,259 @@
+/**
+ * Query Parser
+ * Splits a search box string into free text, quoted phrases and field
+ * predicates on OptimizedDocument properties:
+ *
+ *   category:documentation priority>=0.5 created:>2025-01-01 "connection pooling"
+ *
+ * Predicates become search filters (see lib/search-filters.js); the free
+ * text and phrases are what gets embedded. `name:value` with a name that
+ * isn't a known field stays free text, so "Note: ..." still searches.
+ */
+
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'QuerySyntaxError';
+        this.status = 400;
+        this.position = position;
+    }
+}
+
+// Field names and aliases (lowercase) -> property and value type
+const FIELDS = {
+    category: { property: 'category', type: 'text' },
+    type: { property: 'contentType', type: 'text' },
+    contenttype: { property: 'contentType', type: 'text' },
+    source: { property: 'source', type: 'text' },
+    priority: { property: 'priority', type: 'number' },
+    words: { property: 'wordCount', type: 'int' },
+    wordcount: { property: 'wordCount', type: 'int' },
+    created: { property: 'createdAt', type: 'date' },
+    createdat: { property: 'createdAt', type: 'date' },
+    active: { property: 'isActive', type: 'boolean' },
+    isactive: { property: 'isActive', type: 'boolean' }
+};
+
+// Longest first so ">=" wins over ">"
+const OPERATORS = [
+    [':>=', 'gte'], [':<=', 'lte'], [':>', 'gt'], [':<', 'lt'], [':=', 'eq'],
+    ['>=', 'gte'], ['<=', 'lte'], ['>', 'gt'], ['<', 'lt'], ['=', 'eq'], [':', 'eq']
+];
+
+const BOOLEAN_VALUES = { true: true, yes: true, false: false, no: false };
+
+/**
+ * Read a double-quoted string starting at `start`
+ * @returns {Object} - { value, end }
+ */
+function readQuoted(raw, start) {
+    let value = '';
+    let index = start + 1;
+
+    while (index < raw.length) {
+        const char = raw[index];
+        if (char === '\\' && index + 1 < raw.length) {
+            value += raw[index + 1];
+            index += 2;
+        } else if (char === '"') {
+            return { value, end: index + 1 };
+        } else {
+            value += char;
+            index++;
+        }
+    }
+
+    throw new QuerySyntaxError('Unterminated quote', start);
+}
+
+/**
+ * Split into word and phrase tokens with their positions. A word may end
+ * in a quoted value (source:"Internal Wiki").
+ */
+function tokenize(raw) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < raw.length) {
+        if (/\s/.test(raw[index])) {
+            index++;
+            continue;
+        }
+
+        const start = index;
+        if (raw[index] === '"') {
+            const { value, end } = readQuoted(raw, index);
+            tokens.push({ kind: 'phrase', value, position: start });
+            index = end;
+            continue;
+        }
+
+        let word = '';
+        let quotedValue = null;
+        while (index < raw.length && !/\s/.test(raw[index])) {
+            if (raw[index] === '"') {
+                const { value, end } = readQuoted(raw, index);
+                quotedValue = { value, position: index };
+                index = end;
+                break;
+            }
+            word += raw[index];
+            index++;
+        }
+        tokens.push({ kind: 'word', value: word, quotedValue, position: start });
+    }
+
+    return tokens;
+}
+
+function splitPredicate(token) {
+    const match = /^([A-Za-z][A-Za-z_]*)(.*)$/s.exec(token.value);
+    if (!match) return null;
+
+    const field = FIELDS[match[1].toLowerCase()];
+    const rest = match[2];
+    const operator = OPERATORS.find(([symbol]) => rest.startsWith(symbol));
+    if (!field || !operator) return null;
+
+    const [symbol, comparison] = operator;
+    const inline = rest.slice(symbol.length);
+    const valuePosition = token.position + match[1].length + symbol.length;
+
+    if (token.quotedValue && inline) {
+        throw new QuerySyntaxError(`Unexpected quote in value of ${match[1]}`, token.quotedValue.position);
+    }
+
+    return {
+        name: match[1],
+        field,
+        symbol,
+        comparison,
+        value: token.quotedValue ? token.quotedValue.value : inline,
+        quoted: Boolean(token.quotedValue),
+        position: token.position,
+        valuePosition
+    };
+}
+
+function parseValue(predicate) {
+    const { name, field, symbol, comparison, value, valuePosition } = predicate;
+
+    if (value === '' && !predicate.quoted) {
+        throw new QuerySyntaxError(`Expected a value after "${name}${symbol}"`, valuePosition);
+    }
+
+    if ((field.type === 'text' || field.type === 'boolean') && comparison !== 'eq') {
+        throw new QuerySyntaxError(`Operator "${symbol}" is not supported for ${field.type} field ${name}`, predicate.position + name.length);
+    }
+
+    switch (field.type) {
+        case 'text':
+            return value;
+        case 'boolean': {
+            const parsed = BOOLEAN_VALUES[value.toLowerCase()];
+            if (parsed === undefined) {
+                throw new QuerySyntaxError(`Expected true or false for ${name}, got "${value}"`, valuePosition);
+            }
+            return parsed;
+        }
+        case 'number':
+        case 'int': {
+            const parsed = Number(value);
+            if (!/^-?\d+(\.\d+)?$|^-?\.\d+$/.test(value) || !Number.isFinite(parsed)) {
+                throw new QuerySyntaxError(`Expected a number for ${name}, got "${value}"`, valuePosition);
+            }
+            if (field.type === 'int' && !Number.isInteger(parsed)) {
+                throw new QuerySyntaxError(`Expected a whole number for ${name}, got "${value}"`, valuePosition);
+            }
+            return parsed;
+        }
+        case 'date': {
+            if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) || Number.isNaN(Date.parse(value))) {
+                throw new QuerySyntaxError(`Expected a date like 2025-01-31 for ${name}, got "${value}"`, valuePosition);
+            }
+            return new Date(value).toISOString();
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Fold predicates into a filters object. Text fields repeated match any of
+ * their values; comparisons on one property are combined (a range).
+ */
+function toFilters(predicates) {
+    if (predicates.length === 0) return null;
+
+    const filters = {};
+    for (const { property, type, comparison, value } of predicates) {
+        if (type === 'text') {
+            filters[property] = filters[property] === undefined
+                ? value
+                : [].concat(filters[property], value);
+        } else if (type === 'boolean') {
+            filters[property] = value;
+        } else {
+            filters[property] = { ...(filters[property] || {}), [comparison]: value };
+        }
+    }
+    return filters;
+}
+
+/**
+ * Parse a raw search string
+ * @param {string} raw - What the user typed
+ * @returns {Object} - { text, terms, phrases, predicates, filters }
+ * @throws {QuerySyntaxError} - Bad syntax, with the character position (status 400)
+ */
+function parseSearchQuery(raw) {
+    if (typeof raw !== 'string') {
+        throw new QuerySyntaxError('Query must be a string', 0);
+    }
+
+    const terms = [];
+    const phrases = [];
+    const predicates = [];
+    const text = [];
+
+    for (const token of tokenize(raw)) {
+        if (token.kind === 'phrase') {
+            if (token.value.trim()) {
+                phrases.push(token.value);
+                text.push(token.value);
+            }
+            continue;
+        }
+
+        const predicate = splitPredicate(token);
+        if (!predicate) {
+            const word = token.quotedValue ? `${token.value}${token.quotedValue.value}` : token.value;
+            terms.push(word);
+            text.push(word);
+            continue;
+        }
+
+        predicates.push({
+            field: predicate.name,
+            property: predicate.field.property,
+            type: predicate.field.type,
+            comparison: predicate.comparison,
+            value: parseValue(predicate),
+            position: predicate.position
+        });
+    }
+
+    return {
+        text: text.join(' '),
+        terms,
+        phrases,
+        predicates,
+        filters: toFilters(predicates)
+    };
+}
+
+module.exports = {
+    parseSearchQuery,
+    QuerySyntaxError,
+    QUERY_FIELDS: FIELDS
+};
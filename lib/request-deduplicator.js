@@ -14,36 +14,87 @@ class RequestDeduplicator {
     /**
      * Deduplicate requests based on a unique key
      * @param {string} key - Unique identifier for the request
-     * @param {Function} requestFn - Async function that makes the request
+     * @param {Function} requestFn - Async function that makes the request; it
+     *   gets an AbortSignal that aborts once every caller has aborted
+     * @param {AbortSignal} signal - This caller's signal: aborting it rejects
+     *   this caller's promise right away
      * @returns {Promise} - Result of the request
      */
-    async dedupe(key, requestFn) {
+    async dedupe(key, requestFn, signal = null) {
         this.stats.total++;
         
         // If there's already a pending request with this key, return it
-        if (this.pending.has(key)) {
+        let entry = this.pending.get(key);
+        if (entry) {
             this.stats.deduped++;
             console.log(`🔄 Deduplicating request: ${key}`);
-            return this.pending.get(key);
+            return this.follow(entry, signal);
         }
 
+        entry = { controller: new AbortController(), callers: 0, abortable: true };
+
+        // Only forget this entry: once aborted, a newer request may hold the key
+        const forget = () => {
+            if (this.pending.get(key) === entry) {
+                this.pending.delete(key);
+            }
+        };
+
+        // An aborted request is never joined, even before it settles
+        entry.controller.signal.addEventListener('abort', forget, { once: true });
+
         // Create new request promise
-        const promise = requestFn()
+        entry.promise = requestFn(entry.controller.signal)
             .then(result => {
                 // Clean up on success
-                this.pending.delete(key);
+                forget();
                 return result;
             })
             .catch(error => {
                 // Clean up on error
-                this.pending.delete(key);
+                forget();
                 throw error;
             });
 
-        // Store the promise
-        this.pending.set(key, promise);
+        // Store the request
+        this.pending.set(key, entry);
         
-        return promise;
+        return this.follow(entry, signal);
+    }
+
+    /**
+     * One caller's view of a shared request
+     */
+    follow(entry, signal) {
+        entry.callers++;
+        // A caller that can't abort keeps the request alive
+        if (!signal) {
+            entry.abortable = false;
+            return entry.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                const error = new Error('Request aborted');
+                error.name = 'AbortError';
+                error.status = 499;
+                reject(error);
+
+                entry.callers--;
+                if (entry.callers === 0 && entry.abortable) {
+                    entry.controller.abort();
+                }
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
     }
 
     /**
@@ -0,0 +1,196 @@
+/**
+ * Search Filters
+ * Compiles the `filters` search option into a Weaviate `where` clause so
+ * filtering happens in Weaviate, before `limit` applies.
+ *
+ * {
+ *   category: 'docs',                  // or ['docs', 'faq'] for any of
+ *   minPriority: 5,
+ *   createdAfter: '2024-01-01',
+ *   wordCount: { gt: 100, lte: 2000 },  // comparisons: eq, gt, gte, lt, lte
+ *   or: [{ contentType: 'guide' }, { isActive: true, maxWordCount: 500 }]
+ * }
+ *
+ * Keys at one level are combined with And; `and` / `or` take lists of
+ * nested filter objects.
+ */
+
+class FilterValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterValidationError';
+        this.status = 400;
+    }
+}
+
+// Equality filters on text properties
+const EQUALITY_FILTERS = {
+    category: 'category',
+    contentType: 'contentType',
+    source: 'source'
+};
+
+// Range filters: key -> [property, operator, value type]
+const RANGE_FILTERS = {
+    minPriority: ['priority', 'GreaterThanEqual', 'number'],
+    maxPriority: ['priority', 'LessThanEqual', 'number'],
+    minWordCount: ['wordCount', 'GreaterThanEqual', 'int'],
+    maxWordCount: ['wordCount', 'LessThanEqual', 'int'],
+    createdAfter: ['createdAt', 'GreaterThanEqual', 'date'],
+    createdBefore: ['createdAt', 'LessThanEqual', 'date']
+};
+
+// Comparison objects on typed properties: { priority: { gt: 0.5 } }
+const COMPARISON_PROPERTIES = {
+    priority: 'number',
+    wordCount: 'int',
+    createdAt: 'date'
+};
+
+const COMPARISON_OPERATORS = {
+    eq: 'Equal',
+    gt: 'GreaterThan',
+    gte: 'GreaterThanEqual',
+    lt: 'LessThan',
+    lte: 'LessThanEqual'
+};
+
+const SUPPORTED_FILTERS = [
+    ...Object.keys(EQUALITY_FILTERS),
+    ...Object.keys(RANGE_FILTERS),
+    ...Object.keys(COMPARISON_PROPERTIES),
+    'isActive',
+    'and',
+    'or'
+];
+
+function equalityOperand(key, value, path) {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(item => typeof item !== 'string')) {
+        throw new FilterValidationError(`${path}${key} must be a string or a non-empty array of strings`);
+    }
+
+    const operands = values.map(item => ({
+        path: [EQUALITY_FILTERS[key]],
+        operator: 'Equal',
+        valueText: item
+    }));
+    return operands.length === 1 ? operands[0] : { operator: 'Or', operands };
+}
+
+function rangeOperand(key, value, path) {
+    const [property, operator, type] = RANGE_FILTERS[key];
+    return typedOperand(property, operator, type, value, `${path}${key}`);
+}
+
+function comparisonOperands(key, value, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+        throw new FilterValidationError(
+            `${path}${key} must be an object of comparisons (${Object.keys(COMPARISON_OPERATORS).join(', ')})`
+        );
+    }
+
+    return Object.entries(value).map(([comparison, operand]) => {
+        const operator = COMPARISON_OPERATORS[comparison];
+        if (!operator) {
+            throw new FilterValidationError(
+                `Unknown comparison "${path}${key}.${comparison}". Supported: ${Object.keys(COMPARISON_OPERATORS).join(', ')}`
+            );
+        }
+        return typedOperand(key, operator, COMPARISON_PROPERTIES[key], operand, `${path}${key}.${comparison}`);
+    });
+}
+
+function typedOperand(property, operator, type, value, label) {
+    if (type === 'date') {
+        const time = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+        if (Number.isNaN(time)) {
+            throw new FilterValidationError(`${label} must be an ISO 8601 date`);
+        }
+        return { path: [property], operator, valueDate: new Date(time).toISOString() };
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new FilterValidationError(`${label} must be a number`);
+    }
+    if (type === 'int') {
+        if (!Number.isInteger(value)) {
+            throw new FilterValidationError(`${label} must be an integer`);
+        }
+        return { path: [property], operator, valueInt: value };
+    }
+    return { path: [property], operator, valueNumber: value };
+}
+
+function nestedOperands(key, value, path) {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new FilterValidationError(`${path}${key} must be a non-empty array of filter objects`);
+    }
+    return value.map((filters, index) => compile(filters, `${path}${key}[${index}].`));
+}
+
+function compile(filters, path) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new FilterValidationError(`${path.replace(/\.$/, '')} must be an object`);
+    }
+
+    const operands = [];
+    for (const [key, value] of Object.entries(filters)) {
+        if (value === undefined) continue;
+
+        if (EQUALITY_FILTERS[key]) {
+            operands.push(equalityOperand(key, value, path));
+        } else if (RANGE_FILTERS[key]) {
+            operands.push(rangeOperand(key, value, path));
+        } else if (COMPARISON_PROPERTIES[key]) {
+            operands.push(...comparisonOperands(key, value, path));
+        } else if (key === 'isActive') {
+            if (typeof value !== 'boolean') {
+                throw new FilterValidationError(`${path}isActive must be a boolean`);
+            }
+            operands.push({ path: ['isActive'], operator: 'Equal', valueBoolean: value });
+        } else if (key === 'and' || key === 'or') {
+            const nested = nestedOperands(key, value, path).filter(Boolean);
+            if (nested.length > 0) {
+                operands.push(nested.length === 1
+                    ? nested[0]
+                    : { operator: key === 'and' ? 'And' : 'Or', operands: nested });
+            }
+        } else {
+            throw new FilterValidationError(
+                `Unknown filter "${path}${key}". Supported filters: ${SUPPORTED_FILTERS.join(', ')}`
+            );
+        }
+    }
+
+    if (operands.length === 0) return null;
+    return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
+/**
+ * Compile search filters into a Weaviate where clause
+ * @param {Object} filters - Filter object, see above
+ * @returns {Object|null} - Where clause, null when nothing filters
+ * @throws {FilterValidationError} - Unknown key or invalid value (status 400)
+ */
+function compileFilters(filters) {
+    if (filters === undefined || filters === null) return null;
+    return compile(filters, 'filters.');
+}
+
+/**
+ * Combine where clauses with And, skipping empty ones
+ */
+function combineWhere(...clauses) {
+    const operands = clauses.filter(Boolean);
+    if (operands.length === 0) return null;
+    return operands.length === 1 ? operands[0] : { operator: 'And', operands };
+}
+
+module.exports = {
+    compileFilters,
+    COMPARISON_OPERATORS,
+    combineWhere,
+    FilterValidationError,
+    SUPPORTED_FILTERS
+};
@@ -0,0 +1,125 @@
+const CircuitBreaker = require('./circuit-breaker');
+const { bm25Scores } = require('./bm25');
+
+/**
+ * Search Reranker
+ * Reorders search candidates by relevance to the query with Cohere rerank.
+ * When Cohere fails or its circuit is open, BM25 over title and content
+ * ranks them locally instead, so search keeps working offline. Cohere gets
+ * one attempt with a short timeout: falling back is cheaper than waiting.
+ */
+class SearchReranker {
+    constructor(options = {}) {
+        this.connectionManager = options.connectionManager;
+        this.metricsCollector = options.metricsCollector || null;
+        this.model = options.model || process.env.COHERE_RERANK_MODEL || 'rerank-english-v3.0';
+        this.timeout = options.timeout || parseInt(process.env.COHERE_RERANK_TIMEOUT_MS, 10) || 5000;
+        // Separate from the embedding breaker: rerank outages shouldn't block embeddings
+        this.circuitBreaker = options.circuitBreaker || new CircuitBreaker({ threshold: 3, timeout: 30000 });
+
+        this.stats = {
+            cohere: 0,
+            fallback: 0
+        };
+    }
+
+    /**
+     * Text Cohere and BM25 see for a document
+     */
+    documentText(doc) {
+        return [doc.title, doc.content].filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * Rerank documents, most relevant first
+     * @param {string} query - Search text
+     * @param {Array} documents - Candidates in their original order
+     * @param {Object} options - { topN, model }
+     * @returns {Promise<Object>} - { documents, source, model, fallbackReason }
+     *   Each document gets _rerank { position, originalPosition, score } (1-based positions)
+     */
+    async rerank(query, documents, options = {}) {
+        const topN = Math.min(options.topN || documents.length, documents.length);
+        if (documents.length === 0) {
+            return { documents: [], source: null, model: null };
+        }
+
+        let ranking;
+        let source = 'cohere';
+        let fallbackReason;
+
+        try {
+            ranking = await this.cohereRanking(query, documents, topN, options.model || this.model);
+            this.stats.cohere++;
+        } catch (error) {
+            console.warn(`⚠️ Cohere rerank unavailable, falling back to BM25: ${error.message}`);
+            this.metricsCollector?.recordError('rerank_fallback', error);
+            ranking = this.bm25Ranking(query, documents);
+            source = 'bm25';
+            fallbackReason = error.message;
+            this.stats.fallback++;
+        }
+
+        const reranked = ranking.slice(0, topN).map(({ index, score }, position) => ({
+            ...documents[index],
+            _rerank: {
+                position: position + 1,
+                originalPosition: index + 1,
+                score
+            }
+        }));
+
+        return {
+            documents: reranked,
+            source,
+            model: source === 'cohere' ? options.model || this.model : 'bm25',
+            fallbackReason
+        };
+    }
+
+    async cohereRanking(query, documents, topN, model) {
+        const start = Date.now();
+        const response = await this.circuitBreaker.execute(
+            () => this.connectionManager.executeWithRetry('cohere', client => client.rerank({
+                model,
+                query,
+                documents: documents.map(doc => this.documentText(doc)),
+                topN
+            }, {
+                // The SDK retries twice by default
+                maxRetries: 0,
+                timeoutInSeconds: this.timeout / 1000
+            }), { retries: 0 }),
+            'cohere-rerank'
+        );
+
+        this.metricsCollector?.recordIntegration('cohere', true, Date.now() - start);
+        return response.results.map(result => ({ index: result.index, score: result.relevanceScore }));
+    }
+
+    bm25Ranking(query, documents) {
+        const scores = bm25Scores(query, documents.map(doc => [
+            { text: doc.title, boost: 2 },
+            { text: doc.content, boost: 1 }
+        ]));
+
+        // Stable: ties keep the original order
+        return scores
+            .map((score, index) => ({ index, score }))
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+    }
+
+    /**
+     * Get reranker statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            model: this.model,
+            timeout: this.timeout,
+            circuit: this.circuitBreaker.getStatus()
+        };
+    }
+}
+
+module.exports = SearchReranker;
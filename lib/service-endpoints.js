@@ -0,0 +1,53 @@
+/**
+ * Service Endpoints
+ * Where the outbound clients connect. Production values are the defaults;
+ * the environment can point them elsewhere, e.g. at lib/fake-backend.js.
+ */
+
+const DEFAULT_OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const DEFAULT_OPENAI_EMBEDDING_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Weaviate client connection params from an endpoint URL. Accepts
+ * "https://host/", "http://localhost:8080" or a bare host.
+ * @returns {Object} - { scheme, host }
+ */
+function weaviateConnectionParams(endpoint = process.env.WEAVIATE_ENDPOINT) {
+    if (!endpoint) {
+        throw new Error('WEAVIATE_ENDPOINT is not set');
+    }
+
+    const url = new URL(/^[a-z]+:\/\//i.test(endpoint) ? endpoint : `https://${endpoint}`);
+    return {
+        scheme: url.protocol.replace(':', ''),
+        host: url.host
+    };
+}
+
+/**
+ * Cohere API base URL override (COHERE_BASE_URL), undefined for the default
+ */
+function cohereEnvironment() {
+    return process.env.COHERE_BASE_URL || undefined;
+}
+
+/**
+ * OpenRouter API base URL (OPENROUTER_BASE_URL)
+ */
+function openRouterBaseUrl() {
+    return process.env.OPENROUTER_BASE_URL || DEFAULT_OPENROUTER_BASE_URL;
+}
+
+/**
+ * OpenAI-compatible embeddings API base URL (OPENAI_EMBEDDING_BASE_URL)
+ */
+function openAiEmbeddingBaseUrl() {
+    return process.env.OPENAI_EMBEDDING_BASE_URL || DEFAULT_OPENAI_EMBEDDING_BASE_URL;
+}
+
+module.exports = {
+    weaviateConnectionParams,
+    cohereEnvironment,
+    openRouterBaseUrl,
+    openAiEmbeddingBaseUrl
+};
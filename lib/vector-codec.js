@@ -0,0 +1,150 @@
+/**
+ * Vector Codec
+ * Compact in-memory forms of embedding vectors, for the embeddings cache:
+ *
+ *   none     - the JS array as-is (8 bytes per value plus array overhead)
+ *   float32  - Float32Array, 4 bytes per value; what the providers compute in
+ *   float16  - half floats in a Uint16Array, 2 bytes per value; ~3 significant digits
+ *   int8     - Int8Array scaled by the vector's largest magnitude, 1 byte per
+ *              value; cosine similarity stays within about 1% for embeddings
+ *
+ * decodeVector() always returns a plain array of numbers.
+ */
+
+const VECTOR_FORMATS = ['none', 'float32', 'float16', 'int8'];
+
+// Rough V8 cost of a JS array of doubles and of a typed array, beyond the values
+const ARRAY_OVERHEAD = 32;
+const TYPED_ARRAY_OVERHEAD = 96;
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+/**
+ * Half float bits of a number, rounded to nearest
+ */
+function toHalf(value) {
+    floatView[0] = value;
+    const x = bitsView[0];
+
+    let bits = (x >> 16) & 0x8000;
+    let mantissa = (x >> 12) & 0x07ff;
+    const exponent = (x >> 23) & 0xff;
+
+    // Too small: signed zero
+    if (exponent < 103) {
+        return bits;
+    }
+    // Too large, infinite or NaN
+    if (exponent > 142) {
+        bits |= 0x7c00;
+        bits |= (exponent === 255 && (x & 0x007fffff)) ? 1 : 0;
+        return bits;
+    }
+    // Subnormal half
+    if (exponent < 113) {
+        mantissa |= 0x0800;
+        bits |= (mantissa >> (114 - exponent)) + ((mantissa >> (113 - exponent)) & 1);
+        return bits;
+    }
+
+    bits |= ((exponent - 112) << 10) | (mantissa >> 1);
+    bits += mantissa & 1;
+    return bits;
+}
+
+function fromHalf(bits) {
+    const sign = bits & 0x8000 ? -1 : 1;
+    const exponent = (bits >> 10) & 0x1f;
+    const fraction = bits & 0x03ff;
+
+    if (exponent === 0) {
+        return sign * Math.pow(2, -14) * (fraction / 1024);
+    }
+    if (exponent === 31) {
+        return fraction ? NaN : sign * Infinity;
+    }
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Whether a value is an embedding (a non-empty array of numbers)
+ */
+function isVector(value) {
+    return Array.isArray(value) && value.length > 0 && typeof value[0] === 'number';
+}
+
+/**
+ * @param {Array<number>} vector - Embedding
+ * @param {string} format - One of VECTOR_FORMATS
+ * @returns {Array<number>|Object} - The array for 'none', else { format, data, scale }
+ */
+function encodeVector(vector, format) {
+    switch (format) {
+        case 'none':
+            return vector;
+        case 'float32':
+            return { format, data: Float32Array.from(vector) };
+        case 'float16': {
+            const data = new Uint16Array(vector.length);
+            for (let i = 0; i < vector.length; i++) {
+                data[i] = toHalf(vector[i]);
+            }
+            return { format, data };
+        }
+        case 'int8': {
+            let largest = 0;
+            for (const value of vector) {
+                largest = Math.max(largest, Math.abs(value));
+            }
+            const scale = largest > 0 ? largest / 127 : 1;
+            const data = new Int8Array(vector.length);
+            for (let i = 0; i < vector.length; i++) {
+                data[i] = Math.round(vector[i] / scale);
+            }
+            return { format, data, scale };
+        }
+        default:
+            throw new Error(`Unknown vector format ${format}; use one of ${VECTOR_FORMATS.join(', ')}`);
+    }
+}
+
+/**
+ * @returns {Array<number>} - The vector, dequantized
+ */
+function decodeVector(encoded) {
+    if (Array.isArray(encoded)) {
+        return encoded;
+    }
+
+    const { format, data, scale } = encoded;
+    const vector = new Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+        if (format === 'float16') {
+            vector[i] = fromHalf(data[i]);
+        } else if (format === 'int8') {
+            vector[i] = data[i] * scale;
+        } else {
+            vector[i] = data[i];
+        }
+    }
+    return vector;
+}
+
+/**
+ * Approximate heap bytes of an encoded vector
+ */
+function vectorBytes(encoded) {
+    if (Array.isArray(encoded)) {
+        return encoded.length * 8 + ARRAY_OVERHEAD;
+    }
+    return encoded.data.byteLength + TYPED_ARRAY_OVERHEAD;
+}
+
+module.exports = {
+    VECTOR_FORMATS,
+    isVector,
+    encodeVector,
+    decodeVector,
+    vectorBytes
+};
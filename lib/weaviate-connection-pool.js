@@ -1,4 +1,6 @@
 const weaviate = require('weaviate-ts-client').default;
+const Cassette = require('./cassette');
+const { weaviateConnectionParams } = require('./service-endpoints');
 
 /**
  * Weaviate Connection Pool
@@ -9,6 +11,7 @@ class WeaviateConnectionPool {
         this.poolSize = options.poolSize || 5;
         this.url = options.url || process.env.WEAVIATE_ENDPOINT || process.env.WEAVIATE_URL;
         this.apiKey = options.apiKey || process.env.WEAVIATE_API_KEY;
+        this.cassette = options.cassette !== undefined ? options.cassette : Cassette.shared();
         
         this.pool = [];
         this.currentIndex = 0;
@@ -51,8 +54,7 @@ class WeaviateConnectionPool {
      */
     createConnection() {
         return weaviate.client({
-            scheme: 'https',
-            host: this.url.replace('https://', ''),
+            ...weaviateConnectionParams(this.url),
             apiKey: new weaviate.ApiKey(this.apiKey),
             headers: {
                 'X-Cohere-Api-Key': process.env.COHERE_API_KEY
@@ -109,9 +111,12 @@ class WeaviateConnectionPool {
      */
     async execute(operation) {
         const connection = this.getConnection();
+        const client = this.cassette
+            ? this.cassette.wrap('weaviate', connection.client)
+            : connection.client;
         
         try {
-            const result = await operation(connection.client);
+            const result = await operation(client);
             connection.release();
             return result;
         } catch (error) {
@@ -130,7 +135,8 @@ class WeaviateConnectionPool {
         for (let i = 0; i < this.pool.length; i++) {
             try {
                 const conn = this.pool[i];
-                const meta = await conn.client.misc.metaGetter().do();
+                const client = this.cassette ? this.cassette.wrap('weaviate', conn.client) : conn.client;
+                const meta = await client.misc.metaGetter().do();
                 results.push({
                     index: i,
                     healthy: true,
@@ -0,0 +1,130 @@
+/**
+ * Weaviate `where` filter evaluation
+ * Applies a Weaviate where clause to a plain object in memory, with the
+ * same operators and value types Weaviate accepts
+ */
+
+const VALUE_KEYS = [
+    'valueText', 'valueString', 'valueInt', 'valueNumber', 'valueBoolean', 'valueDate',
+    'valueTextArray', 'valueStringArray', 'valueIntArray', 'valueNumberArray',
+    'valueBooleanArray', 'valueDateArray'
+];
+
+function filterValue(where) {
+    const key = VALUE_KEYS.find(name => where[name] !== undefined);
+    if (!key) {
+        return { key: null, value: undefined };
+    }
+
+    const value = where[key];
+    if (key.startsWith('valueDate')) {
+        return { key, value: Array.isArray(value) ? value.map(Date.parse) : Date.parse(value) };
+    }
+    return { key, value };
+}
+
+/**
+ * Resolve a filter path against an object. `id` and `_id` address the
+ * object id, anything else a property.
+ */
+function resolvePath(path, properties, meta) {
+    const [name] = Array.isArray(path) ? path : [path];
+    if (name === 'id' || name === '_id') {
+        return meta.id;
+    }
+    if (name === '_creationTimeUnix') return meta.creationTimeUnix;
+    if (name === '_lastUpdateTimeUnix') return meta.lastUpdateTimeUnix;
+    return properties ? properties[name] : undefined;
+}
+
+function normalize(value, isDate) {
+    if (value === null || value === undefined) return value;
+    if (isDate) return typeof value === 'number' ? value : Date.parse(value);
+    return value;
+}
+
+function likeToRegExp(pattern) {
+    const escaped = String(pattern)
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function compare(operator, actual, expected) {
+    switch (operator) {
+        case 'Equal':
+            return actual === expected;
+        case 'NotEqual':
+            return actual !== expected;
+        case 'GreaterThan':
+            return actual > expected;
+        case 'GreaterThanEqual':
+            return actual >= expected;
+        case 'LessThan':
+            return actual < expected;
+        case 'LessThanEqual':
+            return actual <= expected;
+        case 'Like':
+            return typeof actual === 'string' && likeToRegExp(expected).test(actual);
+        default:
+            throw new Error(`Unsupported where operator: ${operator}`);
+    }
+}
+
+/**
+ * Check whether an object satisfies a where clause
+ * @param {Object} where - Weaviate where filter
+ * @param {Object} properties - Object properties
+ * @param {Object} meta - { id, creationTimeUnix, lastUpdateTimeUnix }
+ */
+function matchesWhere(where, properties, meta = {}) {
+    if (!where) return true;
+
+    switch (where.operator) {
+        case 'And':
+            return (where.operands || []).every(operand => matchesWhere(operand, properties, meta));
+        case 'Or':
+            return (where.operands || []).some(operand => matchesWhere(operand, properties, meta));
+        case 'Not':
+            return !(where.operands || []).every(operand => matchesWhere(operand, properties, meta));
+        default:
+            break;
+    }
+
+    const { key, value: expected } = filterValue(where);
+    const isDate = Boolean(key && key.startsWith('valueDate'));
+    const raw = resolvePath(where.path, properties, meta);
+    const actual = Array.isArray(raw) ? raw.map(item => normalize(item, isDate)) : normalize(raw, isDate);
+
+    if (where.operator === 'IsNull') {
+        const isNull = actual === null || actual === undefined;
+        return expected === false ? !isNull : isNull;
+    }
+
+    if (actual === null || actual === undefined) {
+        return where.operator === 'NotEqual';
+    }
+
+    if (where.operator === 'ContainsAny' || where.operator === 'ContainsAll') {
+        const wanted = Array.isArray(expected) ? expected : [expected];
+        const present = Array.isArray(actual) ? actual : [actual];
+        return where.operator === 'ContainsAny'
+            ? wanted.some(item => present.includes(item))
+            : wanted.every(item => present.includes(item));
+    }
+
+    // Array properties match when any element does, as in Weaviate
+    if (Array.isArray(actual)) {
+        return where.operator === 'NotEqual'
+            ? !actual.includes(expected)
+            : actual.some(item => compare(where.operator, item, expected));
+    }
+
+    return compare(where.operator, actual, expected);
+}
+
+module.exports = {
+    matchesWhere,
+    VALUE_KEYS
+};
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+
+// stdout carries the JSON-RPC stream, so route all logging to stderr
+console.log = console.error;
+console.info = console.error;
+
+require('dotenv').config();
+
+const McpServer = require('./lib/mcp-server');
+const { registerWeaviateTools } = require('./lib/mcp-tools');
+const OptimizedWeaviateClient = require('./lib/optimized-weaviate-client');
+const WeaviateOptimizer = require('./weaviate-optimizer');
+const MetricsCollector = require('./lib/metrics-collector');
+const CacheManager = require('./lib/cache-manager');
+
+const server = new McpServer({
+    version: require('./package.json').version,
+    metricsCollector: new MetricsCollector()
+});
+// One cache manager, so embeddings share one byte budget
+const cacheManager = new CacheManager();
+registerWeaviateTools(server, {
+    weaviateClient: new OptimizedWeaviateClient({ cacheManager }),
+    optimizer: new WeaviateOptimizer({ cacheManager })
+});
+
+// Exit once the client closes stdin and pending calls are answered
+server.listenStdio().then(() => process.exit(0));
+
+console.error('🧰 Max MCP server listening on stdio');
@@ -0,0 +1,85 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const weaviate = require('weaviate-ts-client').default;
+const FakeBackend = require('../lib/fake-backend');
+const { weaviateConnectionParams } = require('../lib/service-endpoints');
+const { objectError, retryRounds, writeBatch, MAX_RETRIES } = require('../lib/batch-results');
+
+const rejected = message => ({ result: { errors: { error: [{ message }] } } });
+
+test('objectError reads the messages of a rejected object', () => {
+    assert.strictEqual(objectError({ id: 'a', result: {} }), null);
+    assert.strictEqual(objectError({ result: { errors: { error: [] } } }), null);
+    assert.strictEqual(objectError({
+        result: { errors: { error: [{ message: 'bad vector' }, { message: 'bad type' }] } }
+    }), 'bad vector; bad type');
+});
+
+test('retryRounds accepts booleans and small whole numbers', () => {
+    assert.strictEqual(retryRounds(undefined), 0);
+    assert.strictEqual(retryRounds(false), 0);
+    assert.strictEqual(retryRounds(true), 1);
+    assert.strictEqual(retryRounds(MAX_RETRIES), MAX_RETRIES);
+
+    for (const invalid of [-1, 1.5, MAX_RETRIES + 1, '2']) {
+        assert.throws(() => retryRounds(invalid), error => error.status === 400);
+    }
+});
+
+test('writeBatch re-sends only the rejected objects', async () => {
+    const sent = [];
+    const { failures, retried } = await writeBatch(['a', 'b', 'c'], async items => {
+        sent.push(items);
+        return items.map(item => (item === 'b' && sent.length === 1 ? rejected('transient') : { result: {} }));
+    }, { retries: 2 });
+
+    assert.deepStrictEqual(sent, [['a', 'b', 'c'], ['b']]);
+    assert.deepStrictEqual(failures, []);
+    assert.strictEqual(retried, 1);
+});
+
+test('writeBatch reports what is still rejected after the last retry', async () => {
+    let calls = 0;
+    const { failures, retried } = await writeBatch(['a', 'b'], async items => {
+        calls++;
+        return items.map(item => (item === 'a' ? { id: 'id-a', ...rejected('invalid number') } : { result: {} }));
+    }, { retries: 1 });
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(retried, 1);
+    assert.deepStrictEqual(failures, [{ item: 'a', id: 'id-a', error: 'invalid number', attempts: 2 }]);
+});
+
+test('a request that fails as a whole fails every object, and missing results count as failures', async () => {
+    const whole = await writeBatch(['a', 'b'], async () => {
+        throw new Error('socket hang up');
+    });
+    assert.deepStrictEqual(whole.failures.map(failure => failure.error), ['socket hang up', 'socket hang up']);
+
+    const short = await writeBatch(['a', 'b'], async () => [{ result: {} }]);
+    assert.deepStrictEqual(short.failures.map(failure => [failure.item, failure.error]), [['b', 'No result returned for object']]);
+});
+
+describe('writeBatch against the fake backend', () => {
+    let backend;
+    let client;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0, dimensions: 8 }).start();
+        client = weaviate.client(weaviateConnectionParams(backend.url));
+    });
+
+    after(() => backend.stop());
+
+    test('retries objects Weaviate rejected in a batch that succeeded', async () => {
+        backend.failBatchObjects(2);
+        const objects = ['one', 'two', 'three'].map(title => ({ class: 'Note', properties: { title } }));
+        const send = items => client.batch.objectsBatcher().withObjects(...items).do();
+
+        const { failures, retried } = await writeBatch(objects, send, { retries: 1 });
+
+        assert.deepStrictEqual(failures, []);
+        assert.strictEqual(retried, 2);
+        assert.strictEqual(backend.getStats().classes.Note, 3);
+    });
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { bm25Scores, tokenize } = require('../lib/bm25');
+const SearchReranker = require('../lib/search-reranker');
+
+const doc = (title, content) => [{ text: title, boost: 2 }, { text: content, boost: 1 }];
+
+test('tokenize lowercases words and keeps identifiers whole', () => {
+    assert.deepStrictEqual(tokenize('Retry ERR_CONN-42, then Café!'), ['retry', 'err_conn-42', 'then', 'café']);
+    assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('documents without query terms score 0', () => {
+    const scores = bm25Scores('pooling', [doc('Apple pie', 'Bake it'), doc('Pooling', 'Reuse connections')]);
+
+    assert.strictEqual(scores[0], 0);
+    assert.ok(scores[1] > 0);
+});
+
+test('rarer terms and boosted fields weigh more', () => {
+    const documents = [
+        doc('Connection pooling', 'Reuse connections'),
+        doc('Timeouts', 'Connection pooling reduces latency'),
+        doc('Connection limits', 'Raise the limit')
+    ];
+    const [titleMatch, contentMatch, commonTermOnly] = bm25Scores('connection pooling', documents);
+
+    assert.ok(titleMatch > contentMatch, 'a title match outranks a content match');
+    assert.ok(contentMatch > commonTermOnly, '"pooling" is rarer than "connection"');
+});
+
+test('repeated query terms count once', () => {
+    const documents = [doc('Pooling', 'x'), doc('Other', 'y')];
+
+    assert.deepStrictEqual(bm25Scores('pooling pooling', documents), bm25Scores('pooling', documents));
+});
+
+test('the reranker falls back to BM25 after a single failed Cohere attempt', async () => {
+    const attempts = [];
+    const reranker = new SearchReranker({
+        connectionManager: {
+            executeWithRetry: async (name, operation, options) => {
+                attempts.push({ name, options });
+                throw new Error('Cohere is down');
+            }
+        }
+    });
+
+    const result = await reranker.rerank('pooling', [
+        { title: 'Apple pie', content: 'Bake it' },
+        { title: 'Connection pooling', content: 'Reuse connections' }
+    ], { topN: 1 });
+
+    assert.deepStrictEqual(attempts, [{ name: 'cohere', options: { retries: 0 } }]);
+    assert.strictEqual(result.source, 'bm25');
+    assert.strictEqual(result.fallbackReason, 'Cohere is down');
+    assert.strictEqual(result.documents.length, 1);
+    assert.strictEqual(result.documents[0].title, 'Connection pooling');
+    assert.deepStrictEqual(
+        { position: result.documents[0]._rerank.position, originalPosition: result.documents[0]._rerank.originalPosition },
+        { position: 1, originalPosition: 2 }
+    );
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Cassette = require('../lib/cassette');
+
+const counter = prefix => {
+    let calls = 0;
+    return { next: async () => `${prefix}${++calls}` };
+};
+
+test('repeated calls replay in recorded order per connection', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'positions.json');
+
+    const recorder = new Cassette({ mode: 'record', filePath });
+    const cohere = recorder.wrap('cohere', counter('c'));
+    const openai = recorder.wrap('openai', counter('o'));
+    for (const client of [cohere, openai, cohere, openai]) {
+        await client.next();
+    }
+    await recorder.close();
+
+    const player = new Cassette({ mode: 'replay', filePath });
+    const replayedCohere = player.wrap('cohere', {});
+    const replayedOpenai = player.wrap('openai', {});
+    const replayed = [];
+    for (const client of [replayedCohere, replayedOpenai, replayedCohere, replayedOpenai, replayedCohere]) {
+        replayed.push(await client.next());
+    }
+
+    // The last recorded outcome repeats once a connection's entries run out
+    assert.deepStrictEqual(replayed, ['c1', 'o1', 'c2', 'o2', 'c2']);
+    assert.strictEqual(player.getStats().replayed, 5);
+});
+
+test('a call that was never recorded is a cassette miss', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const filePath = path.join(directory, 'miss.json');
+
+    const recorder = new Cassette({ mode: 'record', filePath });
+    await recorder.wrap('cohere', counter('c')).next();
+    await recorder.close();
+
+    const player = new Cassette({ mode: 'replay', filePath });
+    await assert.rejects(async () => player.wrap('openai', {}).next(), { code: 'CASSETTE_MISS' });
+    assert.strictEqual(player.getStats().misses, 1);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentChunker = require('../lib/document-chunker');
+const { matchesWhere } = require('../lib/where-filter');
+
+const { estimateTokens, staleChunksWhere, collapseChunks } = DocumentChunker;
+
+const sentences = (prefix, count) => Array.from(
+    { length: count },
+    (_, index) => `${prefix} sentence number ${index} talks about connection pooling.`
+).join(' ');
+
+test('estimateTokens counts words per 5 characters and punctuation separately', () => {
+    assert.strictEqual(estimateTokens(''), 0);
+    assert.strictEqual(estimateTokens('pool'), 1);
+    assert.strictEqual(estimateTokens('connections'), 3);
+    assert.strictEqual(estimateTokens('a.b();'), 6);
+});
+
+test('short documents stay one chunk, empty ones too', () => {
+    const chunker = new DocumentChunker({ chunkSize: 50, chunkOverlap: 10 });
+
+    assert.deepStrictEqual(chunker.chunk('Short text'), [{ text: 'Short text', index: 0, tokens: 2 }]);
+    assert.deepStrictEqual(chunker.chunk(undefined), [{ text: '', index: 0, tokens: 0 }]);
+});
+
+test('long prose splits into chunks within the size that overlap their neighbours', () => {
+    const chunker = new DocumentChunker({ chunkSize: 40, chunkOverlap: 15 });
+    const text = `${sentences('First', 6)}\n\n${sentences('Second', 6)}`;
+
+    const chunks = chunker.chunk(text);
+
+    assert.ok(chunks.length > 2);
+    chunks.forEach((chunk, index) => {
+        assert.strictEqual(chunk.index, index);
+        assert.ok(chunk.tokens <= 40, `chunk ${index} has ${chunk.tokens} tokens`);
+    });
+    for (let i = 1; i < chunks.length; i++) {
+        const previousEnd = chunks[i - 1].text.split(/(?<=\.)\s+/).pop();
+        assert.ok(chunks[i].text.startsWith(previousEnd), `chunk ${i} repeats the end of chunk ${i - 1}`);
+    }
+    assert.ok(chunks.at(-1).text.endsWith('Second sentence number 5 talks about connection pooling.'));
+});
+
+test('without overlap the chunks cover the text exactly once', () => {
+    const chunker = new DocumentChunker({ chunkSize: 40, chunkOverlap: 0 });
+    const text = sentences('Only', 12);
+
+    const words = chunker.chunk(text).flatMap(chunk => chunk.text.split(/\s+/));
+
+    assert.deepStrictEqual(words, text.split(/\s+/));
+});
+
+test('a heading starts a new chunk once the current one is half full', () => {
+    const chunker = new DocumentChunker({ chunkSize: 60, chunkOverlap: 10 });
+    const text = `# Setup\n\n${sentences('Setup', 3)}\n\n# Tuning\n\n${sentences('Tuning', 3)}`;
+
+    const chunks = chunker.chunk(text);
+
+    assert.ok(chunks.some(chunk => chunk.text.startsWith('# Tuning')));
+    assert.ok(chunks.every(chunk => !chunk.text.includes('Setup') || !chunk.text.includes('# Tuning')));
+});
+
+test('code splits on top-level declarations and keeps indentation', () => {
+    const chunker = new DocumentChunker({ chunkSize: 40, chunkOverlap: 0 });
+    const fn = name => `function ${name}(pool) {\n    const client = pool.acquire();\n    return client.query('select 1');\n}\n`;
+    const code = [fn('first'), fn('second'), fn('third')].join('\n');
+
+    const chunks = chunker.chunk(code, { contentType: 'code' });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => /^function \w+\(pool\)/.test(chunk.text)));
+    assert.ok(chunks[0].text.includes('\n    const client'));
+});
+
+test('text without separators is cut by length', () => {
+    const chunker = new DocumentChunker({ chunkSize: 20, chunkOverlap: 0 });
+
+    const chunks = chunker.chunk('x'.repeat(250));
+
+    assert.deepStrictEqual(chunks.map(chunk => chunk.text.length), [100, 100, 50]);
+});
+
+test('punctuation-dense text without separators is cut to fit the token budget', () => {
+    const chunker = new DocumentChunker();
+    const text = 'a.b(c);d.e(f);'.repeat(400);
+
+    const chunks = chunker.chunk(text, { contentType: 'code' });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => estimateTokens(chunk.text) <= chunker.chunkSize));
+});
+
+test('invalid sizes are rejected with status 400', () => {
+    for (const options of [{ chunkSize: 10 }, { chunkSize: 501 }, { chunkSize: 100, chunkOverlap: 51 }, { chunkSize: 1.5 }]) {
+        assert.throws(() => new DocumentChunker(options), error => error.status === 400);
+    }
+});
+
+test('staleChunksWhere matches chunks past each document\'s new chunk count', () => {
+    const where = staleChunksWhere([{ parentId: 'a', chunkCount: 2 }, { parentId: 'b', chunkCount: 1 }]);
+    const matches = properties => matchesWhere(where, properties, {});
+
+    assert.strictEqual(matches({ parentId: 'a', chunkIndex: 1 }), false);
+    assert.strictEqual(matches({ parentId: 'a', chunkIndex: 2 }), true);
+    assert.strictEqual(matches({ parentId: 'b', chunkIndex: 1 }), true);
+    assert.strictEqual(matches({ parentId: 'c', chunkIndex: 5 }), false);
+});
+
+test('collapseChunks keeps one result per document at its best chunk\'s place', () => {
+    const hits = [
+        { title: 'Guide', parentId: 'g', chunkIndex: 2, content: 'best', score: 0.9 },
+        { title: 'Plain', _additional: { id: 'p' }, score: 0.8 },
+        { title: 'Guide', parentId: 'g', chunkIndex: 0, content: 'other', score: 0.5 }
+    ];
+
+    const collapsed = collapseChunks(hits, hit => hit.score);
+
+    assert.deepStrictEqual(collapsed.map(doc => doc.title), ['Guide', 'Plain']);
+    assert.strictEqual(collapsed[0].content, 'best');
+    assert.deepStrictEqual(collapsed[0]._chunks, [
+        { chunkIndex: 2, content: 'best', relevance: 0.9 },
+        { chunkIndex: 0, content: 'other', relevance: 0.5 }
+    ]);
+    assert.strictEqual(collapsed[1]._chunks, undefined);
+});
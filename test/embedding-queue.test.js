@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const EmbeddingQueue = require('../lib/embedding-queue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Queue whose processor embeds a text as [its length] after `delay` ms
+ * and records every batch it was sent
+ */
+function createQueue(options = {}, delay = 10) {
+    const queue = new EmbeddingQueue({ maxWait: 5, ...options });
+    queue.sent = [];
+    queue.setBatchProcessor(async (items) => {
+        queue.sent.push(items.map(item => item.text));
+        await sleep(delay);
+        items.forEach(item => item.resolve([item.text.length]));
+    });
+    return queue;
+}
+
+const rejectsWith = (promise, expected) => assert.rejects(promise, error => {
+    for (const [key, value] of Object.entries(expected)) {
+        assert.strictEqual(error[key], value, key);
+    }
+    return true;
+});
+
+test('batches texts with the same options and answers each caller', async () => {
+    const queue = createQueue({ batchSize: 10 });
+
+    const results = await Promise.all([
+        queue.add('a'),
+        queue.addBatch(['bb', 'ccc']),
+        queue.add('q', { inputType: 'query' })
+    ]);
+
+    assert.deepStrictEqual(results, [[1], [[2], [3]], [1]]);
+    // The query goes first (interactive lane) and is never mixed with documents
+    assert.deepStrictEqual(queue.sent, [['q'], ['a', 'bb', 'ccc']]);
+});
+
+test('the interactive lane is drained before bulk', async () => {
+    const queue = createQueue({ batchSize: 3 });
+
+    const bulk = queue.addBatch(['d1', 'd2']);
+    const interactive = queue.add('q1', {}, { lane: 'interactive' });
+    await Promise.all([bulk, interactive]);
+
+    assert.deepStrictEqual(queue.sent, [['q1', 'd1', 'd2']]);
+});
+
+test('an unknown lane is rejected with status 400', async () => {
+    const queue = createQueue();
+
+    await rejectsWith(queue.add('a', {}, { lane: 'urgent' }), { status: 400, code: 'EMBEDDING_LANE' });
+});
+
+test('a batch larger than a lane is rejected with 413 before anything is queued', async () => {
+    const queue = createQueue({ maxDepth: 3 });
+
+    await rejectsWith(queue.addBatch(['a', 'b', 'c', 'd']), { status: 413, code: 'EMBEDDING_BATCH_TOO_LARGE' });
+    assert.strictEqual(queue.size, 0);
+    assert.deepStrictEqual(queue.sent, []);
+});
+
+test('a batch that only partly fits is rejected whole with 503', async () => {
+    const queue = createQueue({ maxDepth: 3 });
+
+    const first = queue.addBatch(['a', 'b']);
+    await rejectsWith(queue.addBatch(['c', 'd']), { status: 503, code: 'EMBEDDING_QUEUE_FULL' });
+
+    assert.strictEqual((await first).length, 2);
+    assert.deepStrictEqual(queue.sent.flat(), ['a', 'b']);
+    assert.strictEqual(queue.getStats().lanes.bulk.rejected, 1);
+});
+
+test('with overflow block a batch waits until there is room for all of it', async () => {
+    const queue = createQueue({ maxDepth: 3, overflow: 'block', batchSize: 2 });
+
+    const first = queue.addBatch(['a', 'b']);
+    const second = queue.addBatch(['c', 'd']);
+    assert.strictEqual(queue.getStats().lanes.bulk.blocked, 1);
+
+    assert.deepStrictEqual(await Promise.all([first, second]), [[[1], [1]], [[1], [1]]]);
+    assert.deepStrictEqual(queue.sent, [['a', 'b'], ['c', 'd']]);
+});
+
+test('a blocked caller gives up after blockTimeout', async () => {
+    const queue = createQueue({ maxDepth: 1, overflow: 'block', blockTimeout: 20, maxWait: 1000 });
+
+    const first = queue.add('a');
+    await rejectsWith(queue.add('b'), { status: 503, code: 'EMBEDDING_QUEUE_FULL' });
+
+    queue.clear();
+    await assert.rejects(first, /Queue cleared/);
+});
+
+test('when one text of a batch fails, its unsent siblings are dropped', async () => {
+    const queue = new EmbeddingQueue({ maxWait: 5, batchSize: 1 });
+    const sent = [];
+    queue.setBatchProcessor(async (items) => {
+        sent.push(items[0].text);
+        await sleep(5);
+        if (items[0].text === 'a') {
+            items.forEach(item => item.reject(new Error('provider failed')));
+        } else {
+            items.forEach(item => item.resolve([1]));
+        }
+    });
+
+    await assert.rejects(queue.addBatch(['a', 'b', 'c']), /provider failed/);
+    await sleep(50);
+
+    assert.deepStrictEqual(sent, ['a']);
+    assert.strictEqual(queue.size, 0);
+    assert.strictEqual(queue.reserved.bulk, 0);
+});
+
+test('aborting drops texts not sent yet and frees their slots', async () => {
+    const queue = createQueue({ maxDepth: 2, maxWait: 50 });
+    const controller = new AbortController();
+
+    const pending = queue.addBatch(['a', 'b'], {}, { signal: controller.signal });
+    controller.abort();
+    await rejectsWith(pending, { status: 499, name: 'AbortError' });
+
+    assert.strictEqual(queue.size, 0);
+    assert.strictEqual(queue.getStats().lanes.bulk.aborted, 2);
+    // The lane has room again
+    assert.deepStrictEqual(await queue.addBatch(['c', 'd']), [[1], [1]]);
+    assert.deepStrictEqual(queue.sent, [['c', 'd']]);
+
+    await rejectsWith(queue.add('e', {}, { signal: AbortSignal.abort() }), { status: 499 });
+});
+
+test('stored embeddings skip the queue and new ones are stored', async () => {
+    const stored = new Map([['known', [42]]]);
+    const store = {
+        getMany: async (options, texts) => texts.map(text => stored.get(text) || null),
+        setMany: async (options, texts, embeddings) => {
+            texts.forEach((text, index) => stored.set(text, embeddings[index]));
+        }
+    };
+    const queue = createQueue({ store });
+
+    assert.deepStrictEqual(await queue.addBatch(['known', 'new']), [[42], [3]]);
+    assert.deepStrictEqual(queue.sent, [['new']]);
+    assert.deepStrictEqual(stored.get('new'), [3]);
+    assert.strictEqual(queue.getStats().storeHits, 1);
+});
+
+test('clear rejects queued texts and blocked callers', async () => {
+    const queue = createQueue({ maxDepth: 1, overflow: 'block', maxWait: 1000 });
+
+    const queued = queue.add('a');
+    const blocked = queue.add('b');
+    await sleep(0);
+    assert.strictEqual(queue.size, 1);
+
+    queue.clear();
+
+    await Promise.all([
+        assert.rejects(queued, /Queue cleared/),
+        assert.rejects(blocked, /Queue cleared/)
+    ]);
+    assert.strictEqual(queue.size, 0);
+    assert.deepStrictEqual(queue.sent, []);
+});
@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const FakeBackend = require('../lib/fake-backend');
+
+let backend;
+let http;
+
+before(async () => {
+    backend = await new FakeBackend({ port: 0, dimensions: 8 }).start();
+    http = axios.create({ baseURL: backend.url, validateStatus: () => true });
+});
+
+after(() => backend.stop());
+
+beforeEach(() => backend.reset());
+
+test('batch inserts declare missing properties typed from their values', async () => {
+    const response = await http.post('/v1/batch/objects', {
+        objects: [{
+            class: 'Note',
+            properties: {
+                title: 'Apple pie',
+                rating: 4.5,
+                published: true,
+                createdAt: '2024-05-01T10:00:00Z',
+                tags: ['dessert']
+            }
+        }]
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.data[0].result, {});
+
+    const schema = await http.get('/v1/schema/Note');
+    const types = Object.fromEntries(schema.data.properties.map(property => [property.name, property.dataType[0]]));
+    assert.deepStrictEqual(types, {
+        title: 'text',
+        rating: 'number',
+        published: 'boolean',
+        createdAt: 'date',
+        tags: 'text[]'
+    });
+});
+
+test('batch objects that contradict the declared types are rejected per object', async () => {
+    backend.seed('Note', [{ title: 'First', rating: 1 }]);
+
+    const response = await http.post('/v1/batch/objects', {
+        objects: [
+            { class: 'Note', properties: { title: 'Ok', rating: 2 } },
+            { class: 'Note', properties: { title: 'Bad', rating: 'high' } }
+        ]
+    });
+
+    assert.deepStrictEqual(response.data[0].result, {});
+    assert.match(response.data[1].result.errors.error[0].message, /invalid number property 'rating'/);
+    assert.strictEqual(backend.getStats().classes.Note, 2);
+});
+
+test('failBatchObjects rejects only the next objects', async () => {
+    backend.failBatchObjects(1, 'try again');
+
+    const response = await http.post('/v1/batch/objects', {
+        objects: [
+            { class: 'Note', properties: { title: 'a' } },
+            { class: 'Note', properties: { title: 'b' } }
+        ]
+    });
+
+    assert.strictEqual(response.data[0].result.errors.error[0].message, 'try again');
+    assert.deepStrictEqual(response.data[1].result, {});
+});
+
+test('the MCP endpoint opens a session and serves the fake tools', async () => {
+    const initialize = await http.post('/mcp', {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test' } }
+    });
+    assert.match(initialize.headers['mcp-session-id'], /^fake-session-\d+$/);
+    assert.strictEqual(initialize.data.result.serverInfo.name, 'fake-mcp');
+
+    const list = await http.post('/mcp', { jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    assert.deepStrictEqual(list.data.result.tools.map(tool => tool.name), ['echo', 'delete_note', 'lookup']);
+
+    const call = await http.post('/mcp', {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'echo', arguments: { text: 'hello' } }
+    });
+    assert.deepStrictEqual(call.data.result.structuredContent, { text: 'hello' });
+    assert.strictEqual(backend.getStats().mcpToolCalls.echo, 1);
+});
@@ -0,0 +1,164 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const weaviate = require('weaviate-ts-client').default;
+const FakeBackend = require('../lib/fake-backend');
+const FederatedSearch = require('../lib/federated-search');
+const { weaviateConnectionParams } = require('../lib/service-endpoints');
+
+const hit = (id, title, content = '') => ({ id, document: { title, content }, distance: 0.1, normalizedScore: 1 });
+
+describe('fuse', () => {
+    const federated = new FederatedSearch();
+    const specs = [{ weight: 1 }, { weight: 1 }];
+
+    test('scores each hit weight / (k + rank) and sorts by the fused score', () => {
+        const results = federated.fuse([
+            { className: 'A', hits: [hit('a1', 'First'), hit('a2', 'Second')] },
+            { className: 'B', hits: [hit('b1', 'Third')] }
+        ], specs, { k: 60, dedupe: true });
+
+        assert.deepStrictEqual(results.map(result => result.title), ['First', 'Third', 'Second']);
+        assert.strictEqual(results[0]._federated.fusedScore, 1 / 61);
+        assert.strictEqual(results[2]._federated.fusedScore, 1 / 62);
+        assert.deepStrictEqual(results[2]._federated.sources.map(source => [source.className, source.rank]), [['A', 2]]);
+    });
+
+    test('with dedupe, copies found in several classes add up into one result', () => {
+        const outcomes = [
+            { className: 'A', hits: [hit('a1', 'Only in A'), hit('a2', 'Pooling', 'Reuse connections')] },
+            { className: 'B', hits: [hit('b1', ' pooling ', 'Reuse connections')] }
+        ];
+
+        const deduped = federated.fuse(outcomes, specs, { k: 60, dedupe: true });
+        assert.strictEqual(deduped.length, 2);
+        assert.strictEqual(deduped[0].title, 'Pooling');
+        assert.strictEqual(deduped[0]._federated.fusedScore, 1 / 62 + 1 / 61);
+        assert.deepStrictEqual(deduped[0]._federated.sources.map(source => source.id), ['a2', 'b1']);
+
+        assert.strictEqual(federated.fuse(outcomes, specs, { k: 60, dedupe: false }).length, 3);
+    });
+
+    test('hits without title or content are never merged', () => {
+        const results = federated.fuse([
+            { className: 'A', hits: [hit('a1', ''), { id: 'a2', document: {}, distance: 0.2 }] },
+            { className: 'B', hits: [hit('b1', '   ')] }
+        ], specs, { k: 60, dedupe: true });
+
+        assert.deepStrictEqual(results.map(result => result._federated.sources[0].id).sort(), ['a1', 'a2', 'b1']);
+    });
+
+    test('class weights scale their contribution', () => {
+        const results = federated.fuse([
+            { className: 'A', hits: [hit('a1', 'From A')] },
+            { className: 'B', hits: [hit('b1', 'From B')] }
+        ], [{ weight: 1 }, { weight: 3 }], { k: 60, dedupe: true });
+
+        assert.deepStrictEqual(results.map(result => result.title), ['From B', 'From A']);
+        assert.strictEqual(results[0]._federated.fusedScore, 3 / 61);
+    });
+});
+
+describe('normalizeClass', () => {
+    const federated = new FederatedSearch();
+
+    test('defaults the fields, search type and weight', () => {
+        assert.deepStrictEqual(federated.normalizeClass('Knowledge', 0), {
+            className: 'Knowledge',
+            fields: { title: 'title', content: 'content', source: 'source', category: 'category' },
+            search: 'vector',
+            weight: 1,
+            where: undefined
+        });
+    });
+
+    test('maps and drops fields per class', () => {
+        const spec = federated.normalizeClass({ className: 'Wiki', fields: { title: 'name', category: null } }, 0);
+        assert.deepStrictEqual(spec.fields, { title: 'name', content: 'content', source: 'source' });
+    });
+
+    test('rejects invalid specs with status 400', () => {
+        const rejects = (spec, message) => assert.throws(() => federated.normalizeClass(spec, 1), error => {
+            assert.strictEqual(error.status, 400);
+            assert.match(error.message, message);
+            return true;
+        });
+
+        rejects({ className: 'lowercase' }, /classes\[1\]\.className "lowercase" is not a valid/);
+        rejects({ className: 'Wiki', fields: { body: 'text' } }, /classes\[1\]\.fields\.body is not a known field/);
+        rejects({ className: 'Wiki', fields: { title: 'name }' } }, /must be a property name or null/);
+        rejects({ className: 'Wiki', search: 'fuzzy' }, /classes\[1\]\.search must be one of/);
+        rejects({ className: 'Wiki', weight: 0 }, /classes\[1\]\.weight must be a positive number/);
+    });
+});
+
+describe('search against the fake backend', () => {
+    let backend;
+    let federated;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0 }).start();
+        const client = weaviate.client(weaviateConnectionParams(backend.url));
+        federated = new FederatedSearch({
+            pool: { execute: operation => operation(client) },
+            embed: async text => FakeBackend.embedText(text, backend.defaultDimensions)
+        });
+
+        backend.seed('Knowledge', [
+            { title: 'Connection pooling', content: 'Reuse connections between requests' },
+            { title: 'Apple pie', content: 'Bake it for an hour' }
+        ]);
+        backend.seed('Wiki', [
+            { name: 'Connection pooling', content: 'Reuse connections between requests' },
+            { name: 'Pool sizing', content: 'Size the connection pool to the workload' }
+        ]);
+    });
+
+    after(() => backend.stop());
+
+    test('merges keyword and vector hits from several classes', async () => {
+        const response = await federated.search('connection pooling', [
+            { className: 'Knowledge', search: 'keyword' },
+            { className: 'Wiki', fields: { title: 'name', source: null, category: null } }
+        ], { limit: 3 });
+
+        assert.deepStrictEqual(response.classes.map(({ className, error }) => [className, error]), [
+            ['Knowledge', undefined],
+            ['Wiki', undefined]
+        ]);
+        assert.strictEqual(response.results[0].title, 'Connection pooling');
+        assert.deepStrictEqual(response.results[0]._federated.sources.map(source => source.className), ['Knowledge', 'Wiki']);
+        assert.ok(response.results.length <= 3);
+    });
+
+    test('a failing class is reported without failing the search', async () => {
+        const response = await federated.search('pooling', [
+            { className: 'Knowledge', search: 'keyword' },
+            { className: 'Missing', search: 'keyword' }
+        ]);
+
+        assert.strictEqual(response.classes[0].error, undefined);
+        assert.ok(response.classes[1].error);
+        assert.strictEqual(response.results[0].title, 'Connection pooling');
+    });
+
+    test('an embedding failure fails only the classes searched by vector', async () => {
+        const client = weaviate.client(weaviateConnectionParams(backend.url));
+        const failing = new FederatedSearch({
+            pool: { execute: operation => operation(client) },
+            embed: async () => {
+                throw new Error('Provider unavailable');
+            }
+        });
+
+        const response = await failing.search('pooling', [
+            { className: 'Wiki', fields: { title: 'name', source: null, category: null } },
+            { className: 'Knowledge', search: 'keyword' }
+        ]);
+
+        assert.deepStrictEqual(response.classes.map(({ className, error }) => [className, error]), [
+            ['Wiki', 'Provider unavailable'],
+            ['Knowledge', undefined]
+        ]);
+        assert.strictEqual(response.results[0].title, 'Connection pooling');
+    });
+});
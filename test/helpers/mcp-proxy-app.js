@@ -0,0 +1,80 @@
+const express = require('express');
+const ConnectionManager = require('../../lib/connection-manager');
+const CacheManager = require('../../lib/cache-manager');
+const McpGateway = require('../../lib/mcp-gateway');
+const McpProxy = require('../../lib/mcp-proxy');
+
+/**
+ * Serve an McpProxy on a free port, mounted like the entrypoints mount it
+ * (app.all('/api/mcp/*')) and pointed at a started FakeBackend.
+ *
+ * @param {FakeBackend} backend
+ * @param {Object} options - McpProxy options, plus `gateway: true` to
+ *   validate tool calls against a refreshed McpGateway catalog
+ */
+async function startProxy(backend, options = {}) {
+    const { gateway: withGateway, ...proxyOptions } = options;
+    Object.assign(process.env, backend.env());
+
+    const connectionManager = new ConnectionManager({ cassette: null });
+    const cacheManager = new CacheManager();
+    const metrics = { integrations: [], errors: [] };
+    const metricsCollector = {
+        recordIntegration: (...args) => metrics.integrations.push(args),
+        recordError: (...args) => metrics.errors.push(args)
+    };
+
+    let gateway = null;
+    if (withGateway) {
+        gateway = new McpGateway({ connectionManager, cacheManager, metricsCollector });
+        await gateway.refreshCatalog();
+    }
+
+    const proxy = new McpProxy({
+        connectionManager,
+        cacheManager,
+        metricsCollector,
+        toolCatalog: gateway,
+        ...proxyOptions
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.all('/api/mcp/*', proxy.middleware());
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        proxy,
+        gateway,
+        connectionManager,
+        metrics,
+
+        /**
+         * POST a JSON-RPC body to the upstream's /mcp path through the proxy
+         */
+        async post(body, headers = {}, init = {}) {
+            const response = await fetch(`${url}/api/mcp/mcp`, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                ...init
+            });
+            return { status: response.status, headers: response.headers, body: await response.json() };
+        },
+
+        close() {
+            proxy.sessions.shutdown();
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+module.exports = { startProxy };
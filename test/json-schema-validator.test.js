@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../lib/json-schema-validator');
+
+const schema = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', minLength: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+    },
+    required: ['query'],
+    additionalProperties: false
+};
+
+test('valid arguments have no errors', () => {
+    assert.deepStrictEqual(validate(schema, { query: 'pooling', limit: 5, tags: ['a', 'b'] }), []);
+});
+
+test('each problem is reported with its path', () => {
+    assert.deepStrictEqual(validate(schema, { limit: 0.5, tags: ['a', 'a'], extra: true }), [
+        'arguments.query is required',
+        'arguments.limit must be integer, got number',
+        'arguments.tags must not contain duplicates',
+        'arguments.extra is not allowed'
+    ]);
+});
+
+test('patterns are matched in unicode mode', () => {
+    const name = { type: 'string', pattern: '^\\p{L}+$' };
+
+    assert.deepStrictEqual(validate(name, 'Zoë'), []);
+    assert.deepStrictEqual(validate(name, 'R2D2'), ['arguments must match ^\\p{L}+$']);
+});
+
+test('patterns invalid in unicode mode fall back to plain ECMAScript', () => {
+    assert.deepStrictEqual(validate({ type: 'string', pattern: '^[a-z\\_]+$' }, 'snake_case'), []);
+    assert.deepStrictEqual(validate({ type: 'string', pattern: '^[a-z\\_]+$' }, 'Snake'), ['arguments must match ^[a-z\\_]+$']);
+    assert.deepStrictEqual(validate({ type: 'string', pattern: '^\\@x$' }, '@x'), []);
+});
+
+test('patterns JavaScript cannot compile are skipped', () => {
+    const python = { type: 'string', pattern: '^(?P<x>a)$', maxLength: 3 };
+
+    assert.deepStrictEqual(validate(python, 'anything'), ['arguments must be at most 3 characters']);
+    assert.deepStrictEqual(validate(python, 'abc'), []);
+});
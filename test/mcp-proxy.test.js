@@ -0,0 +1,184 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const FakeBackend = require('../lib/fake-backend');
+const CircuitBreaker = require('../lib/circuit-breaker');
+const RequestDeduplicator = require('../lib/request-deduplicator');
+const { startProxy } = require('./helpers/mcp-proxy-app');
+
+const echoCall = (id, args = { text: 'hello' }) => ({
+    jsonrpc: '2.0',
+    id,
+    method: 'tools/call',
+    params: { name: 'echo', arguments: args }
+});
+
+describe('streaming', () => {
+    let backend;
+    let app;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0 }).start();
+        app = await startProxy(backend);
+    });
+
+    after(async () => {
+        await app.close();
+        await backend.stop();
+    });
+
+    test('streams the upstream response to clients that accept SSE', async () => {
+        const response = await app.post(echoCall(1), { accept: 'application/json, text/event-stream' });
+
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.headers.get('x-cache'), 'BYPASS');
+        assert.strictEqual(response.headers.get('x-mcp-upstream'), 'default');
+        assert.deepStrictEqual(response.body.result.structuredContent, { text: 'hello' });
+        assert.strictEqual(app.proxy.stats.streamed, 1);
+        assert.deepStrictEqual(app.metrics.integrations.map(([name, success]) => [name, success]), [['mcp', true]]);
+    });
+
+    test('buffers requests from clients that only accept JSON', async () => {
+        const response = await app.post(echoCall(2), { accept: 'application/json' });
+
+        assert.deepStrictEqual(response.body.result.structuredContent, { text: 'hello' });
+        assert.strictEqual(app.proxy.stats.buffered, 1);
+    });
+});
+
+describe('client disconnects', () => {
+    let backend;
+    let app;
+    let breaker;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0, latency: 300 }).start();
+        breaker = new CircuitBreaker();
+        app = await startProxy(backend, { circuitBreaker: breaker });
+    });
+
+    after(async () => {
+        await app.close();
+        await backend.stop();
+    });
+
+    test('cancel the upstream request without retrying or counting a failure', async () => {
+        await assert.rejects(
+            app.post(echoCall(1), { accept: 'text/event-stream' }, { signal: AbortSignal.timeout(50) }),
+            { name: 'TimeoutError' }
+        );
+
+        // Past the fake's latency, so a retry would have reached it by now
+        await new Promise(resolve => setTimeout(resolve, 600));
+
+        const upstream = app.connectionManager.mcpUpstreams.get('default');
+        assert.strictEqual(app.proxy.stats.clientAborts, 1);
+        assert.strictEqual(backend.getStats().mcp, 1);
+        assert.deepStrictEqual(app.metrics.integrations, []);
+        assert.strictEqual(breaker.failures, 0);
+        assert.strictEqual(upstream.stats.failures, 0);
+        assert.strictEqual(upstream.stats.cancelled, 1);
+        assert.strictEqual(upstream.breaker.failures, 0);
+    });
+});
+
+describe('caching and deduplication', () => {
+    let backend;
+    let app;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0, latency: 100 }).start();
+        app = await startProxy(backend, { deduplicator: new RequestDeduplicator() });
+    });
+
+    after(async () => {
+        await app.close();
+        await backend.stop();
+    });
+
+    test('shares one upstream tools/list between concurrent callers and caches it', async () => {
+        const list = id => ({ jsonrpc: '2.0', id, method: 'tools/list' });
+
+        const [first, second] = await Promise.all([app.post(list(1)), app.post(list(2))]);
+        assert.strictEqual(backend.getStats().mcp, 1);
+        assert.strictEqual(first.body.id, 1);
+        assert.strictEqual(second.body.id, 2);
+        assert.deepStrictEqual(second.body.result, first.body.result);
+
+        const cached = await app.post(list(3));
+        assert.strictEqual(cached.headers.get('x-cache'), 'HIT');
+        assert.strictEqual(cached.body.id, 3);
+        assert.strictEqual(backend.getStats().mcp, 1);
+    });
+
+    test('never caches tool calls with side effects', async () => {
+        const upstreamCalls = backend.getStats().mcp;
+
+        const first = await app.post(echoCall(4));
+        const second = await app.post(echoCall(5));
+
+        assert.strictEqual(first.headers.get('x-cache'), 'BYPASS');
+        assert.strictEqual(second.headers.get('x-cache'), 'BYPASS');
+        assert.strictEqual(backend.getStats().mcp - upstreamCalls, 2);
+    });
+});
+
+describe('tool argument validation', () => {
+    let backend;
+    let app;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0 }).start();
+        app = await startProxy(backend, { gateway: true });
+    });
+
+    after(async () => {
+        await app.close();
+        await backend.stop();
+    });
+
+    test('rejects a call whose arguments break the catalog schema before it reaches the upstream', async () => {
+        const response = await app.post(echoCall(1, {}));
+
+        assert.strictEqual(response.body.id, 1);
+        assert.strictEqual(response.body.error.code, -32602);
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, undefined);
+    });
+
+    test('rejects a whole batch when one call is invalid', async () => {
+        const response = await app.post([echoCall(2), echoCall(3, { text: 42 })]);
+
+        assert.deepStrictEqual(response.body.map(message => message.error.code), [-32602, -32602]);
+        assert.match(response.body[0].error.message, /^Batch rejected/);
+        assert.doesNotMatch(response.body[1].error.message, /^Batch rejected/);
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, undefined);
+    });
+
+    test('validates calls sent as notifications too', async () => {
+        const notification = { jsonrpc: '2.0', method: 'tools/call', params: { name: 'echo', arguments: {} } };
+
+        const response = await app.post(notification);
+
+        assert.strictEqual(response.body.id, null);
+        assert.strictEqual(response.body.error.code, -32602);
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, undefined);
+    });
+
+    test('forwards calls whose schema pattern JavaScript cannot compile', async () => {
+        const response = await app.post({
+            jsonrpc: '2.0',
+            id: 5,
+            method: 'tools/call',
+            params: { name: 'lookup', arguments: { slug: 'release-notes' } }
+        });
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.result.structuredContent, { slug: 'release-notes' });
+    });
+
+    test('forwards valid calls', async () => {
+        const response = await app.post(echoCall(4));
+
+        assert.deepStrictEqual(response.body.result.structuredContent, { text: 'hello' });
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, 1);
+    });
+});
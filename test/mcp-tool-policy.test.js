@@ -0,0 +1,159 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeBackend = require('../lib/fake-backend');
+const McpAuditLog = require('../lib/mcp-audit-log');
+const McpToolPolicy = require('../lib/mcp-tool-policy');
+const { startProxy } = require('./helpers/mcp-proxy-app');
+
+const config = {
+    default: 'allow',
+    apiKeys: { 'ci-key': 'ci-bot', 'ops-key': 'ops' },
+    admins: ['ops'],
+    rules: [
+        { id: 'no-etc', tools: ['fs.*'], arguments: { path: '^/etc/' }, action: 'deny' },
+        { id: 'no-delete', tools: ['*.delete_*'], action: 'deny', reason: 'Destructive tool' },
+        { id: 'ci-search', callers: ['ci-bot'], tools: ['github.search_*'], action: 'allow' },
+        { id: 'ci-read-only', callers: ['ci-bot'], action: 'deny', reason: 'ci-bot is read-only' }
+    ]
+};
+
+describe('McpToolPolicy', () => {
+    const policy = new McpToolPolicy(config);
+
+    test('the first matching rule wins and the default applies otherwise', () => {
+        assert.deepStrictEqual(policy.evaluate('ci-bot', 'github.search_code'), {
+            allowed: true, rule: 'ci-search', reason: null
+        });
+        assert.deepStrictEqual(policy.evaluate('ci-bot', 'github.create_issue'), {
+            allowed: false, rule: 'ci-read-only', reason: 'ci-bot is read-only'
+        });
+        assert.strictEqual(policy.evaluate('ci-bot', 'github.delete_repo').rule, 'no-delete');
+        assert.deepStrictEqual(policy.evaluate('ops', 'github.create_issue'), {
+            allowed: true, rule: 'default', reason: null
+        });
+    });
+
+    test('argument patterns only match calls that pass the argument', () => {
+        assert.strictEqual(policy.evaluate('ops', 'fs.read', { path: '/etc/passwd' }).allowed, false);
+        assert.strictEqual(policy.evaluate('ops', 'fs.read', { path: '/tmp/notes' }).allowed, true);
+        assert.strictEqual(policy.evaluate('ops', 'fs.read', {}).allowed, true);
+    });
+
+    test('callers are named by API key, not by the identity header', () => {
+        assert.strictEqual(policy.identify({ 'x-api-key': 'ci-key' }), 'ci-bot');
+        assert.strictEqual(policy.identify({ authorization: 'Bearer ops-key' }), 'ops');
+        assert.strictEqual(policy.identify({ 'x-mcp-client': 'ops' }), 'anonymous');
+        assert.strictEqual(policy.identify({ 'x-api-key': 'toString' }), 'anonymous');
+
+        const trusting = new McpToolPolicy({ ...config, trustIdentityHeader: true });
+        assert.strictEqual(trusting.identify({ 'x-mcp-client': 'ops' }), 'ops');
+    });
+
+    test('requireAdmin answers 401 without a key and 403 for non-admins', () => {
+        const middleware = policy.requireAdmin();
+        const run = (headers) => {
+            const outcome = { status: null, next: false };
+            const req = { headers };
+            const res = {
+                status(code) {
+                    outcome.status = code;
+                    return { json: () => {} };
+                }
+            };
+            middleware(req, res, () => {
+                outcome.next = true;
+            });
+            return { ...outcome, caller: req.mcpCaller };
+        };
+
+        assert.strictEqual(run({}).status, 401);
+        assert.strictEqual(run({ 'x-mcp-client': 'ops' }).status, 401);
+        assert.strictEqual(run({ 'x-api-key': 'ci-key' }).status, 403);
+        assert.deepStrictEqual(run({ 'x-api-key': 'ops-key' }), { status: null, next: true, caller: 'ops' });
+    });
+
+    test('fromEnv reports where an invalid policy came from', () => {
+        assert.throws(
+            () => McpToolPolicy.fromEnv({}, { MCP_TOOL_POLICY: '{not json' }),
+            /MCP tool policy from MCP_TOOL_POLICY is invalid/
+        );
+        assert.throws(
+            () => McpToolPolicy.fromEnv({}, { MCP_TOOL_POLICY: JSON.stringify({ rules: [{ tools: ['*'] }] }) }),
+            /Rule 0 must have action/
+        );
+        assert.strictEqual(McpToolPolicy.fromEnv({}, {}).evaluate('anyone', 'any.tool').allowed, true);
+    });
+});
+
+describe('tool policy through the proxy', () => {
+    let backend;
+    let app;
+    let auditLog;
+    let directory;
+
+    before(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+        auditLog = new McpAuditLog({ filePath: path.join(directory, 'audit.jsonl') });
+        backend = await new FakeBackend({ port: 0 }).start();
+        app = await startProxy(backend, { policy: new McpToolPolicy(config, { auditLog }) });
+    });
+
+    after(async () => {
+        await app.close();
+        await backend.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const call = (id, name, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+    test('denied calls never reach the upstream and are audited with the claimed identity', async () => {
+        const response = await app.post(call(1, 'delete_note', { id: 'n1' }), { 'x-mcp-client': 'ops' });
+
+        assert.strictEqual(response.body.error.code, -32003);
+        assert.deepStrictEqual(response.body.error.data, { rule: 'no-delete', reason: 'Destructive tool' });
+        assert.strictEqual(backend.getStats().mcpToolCalls.delete_note, undefined);
+
+        const [entry] = await auditLog.query({ decision: 'deny' });
+        assert.strictEqual(entry.caller, 'anonymous');
+        assert.strictEqual(entry.claimed, 'ops');
+        assert.strictEqual(entry.tool, 'default.delete_note');
+        assert.deepStrictEqual(entry.argumentKeys, ['id']);
+    });
+
+    test('rules see the API key caller', async () => {
+        const denied = await app.post(call(2, 'echo', { text: 'hi' }), { 'x-api-key': 'ci-key' });
+        assert.strictEqual(denied.body.error.data.rule, 'ci-read-only');
+
+        const allowed = await app.post(call(3, 'echo', { text: 'hi' }), { 'x-api-key': 'ops-key' });
+        assert.deepStrictEqual(allowed.body.result.structuredContent, { text: 'hi' });
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, 1);
+    });
+
+    test('a batch with one denied call is rejected whole', async () => {
+        const response = await app.post([call(4, 'echo', { text: 'a' }), call(5, 'delete_note', { id: 'n2' })]);
+
+        assert.deepStrictEqual(response.body.map(message => message.error.code), [-32003, -32003]);
+        assert.match(response.body[0].error.message, /^Batch rejected/);
+        assert.strictEqual(backend.getStats().mcpToolCalls.echo, 1);
+        assert.strictEqual(backend.getStats().mcpToolCalls.delete_note, undefined);
+    });
+
+    test('a denied call sent as a notification is denied too', async () => {
+        const notification = { jsonrpc: '2.0', method: 'tools/call', params: { name: 'delete_note', arguments: { id: 'n3' } } };
+
+        const single = await app.post(notification);
+        assert.strictEqual(single.body.id, null);
+        assert.strictEqual(single.body.error.code, -32003);
+
+        const batch = await app.post([call(6, 'echo', { text: 'a' }), notification]);
+        assert.deepStrictEqual(batch.body.map(message => [message.id, message.error.code]), [[6, -32003], [null, -32003]]);
+
+        assert.strictEqual(backend.getStats().mcpToolCalls.delete_note, undefined);
+        // Two denials from the earlier tests, two here
+        const entries = await auditLog.query({ tool: 'default.delete_note', decision: 'deny' });
+        assert.strictEqual(entries.length, 4);
+    });
+});
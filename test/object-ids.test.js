@@ -0,0 +1,108 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const weaviate = require('weaviate-ts-client').default;
+const FakeBackend = require('../lib/fake-backend');
+const { weaviateConnectionParams } = require('../lib/service-endpoints');
+const {
+    objectIds,
+    duplicateIndexes,
+    keyId,
+    chunkId,
+    fetchExisting,
+    contentHash
+} = require('../lib/object-ids');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const textOf = obj => `${obj.title || ''}\n${obj.content || ''}`;
+
+const rejects = (fn, message) => assert.throws(fn, error => {
+    assert.strictEqual(error.status, 400);
+    assert.match(error.message, message);
+    return true;
+});
+
+test('random leaves ids to Weaviate', () => {
+    assert.deepStrictEqual(objectIds('Doc', [{}, {}]), [undefined, undefined]);
+    assert.deepStrictEqual(objectIds('Doc', [{}], { idStrategy: 'random' }), [undefined]);
+});
+
+test('key ids are deterministic UUIDv5s namespaced by class', () => {
+    const [id] = objectIds('Doc', [{ key: 'faq-1' }], { idStrategy: 'key' });
+
+    assert.match(id, UUID);
+    assert.strictEqual(id, keyId('Doc', 'faq-1'));
+    assert.deepStrictEqual(objectIds('Doc', [{ key: 'faq-1' }], { idStrategy: 'key' }), [id]);
+    assert.notStrictEqual(keyId('Other', 'faq-1'), id);
+    assert.deepStrictEqual(objectIds('Doc', [{ slug: 'faq-1' }], { idStrategy: 'key', idKey: 'slug' }), [id]);
+});
+
+test('source ids count positions per source unless chunkIndex is given', () => {
+    const ids = objectIds('Doc', [
+        { source: 'a.md' },
+        { source: 'b.md' },
+        { source: 'a.md' }
+    ], { idStrategy: 'source' });
+
+    assert.strictEqual(new Set(ids).size, 3);
+    assert.deepStrictEqual(objectIds('Doc', [{ source: 'a.md', chunkIndex: 1 }], { idStrategy: 'source' }), [ids[2]]);
+});
+
+test('content ids repeat for identical text and duplicateIndexes finds the repeats', () => {
+    const ids = objectIds('Doc', [
+        { title: 'A', content: 'same' },
+        { title: 'B', content: 'other' },
+        { title: 'A', content: 'same', category: 'ignored' }
+    ], { idStrategy: 'content', textOf });
+
+    assert.strictEqual(ids[0], ids[2]);
+    assert.notStrictEqual(ids[0], ids[1]);
+    assert.deepStrictEqual(duplicateIndexes(ids), new Map([[2, 0]]));
+    assert.deepStrictEqual(duplicateIndexes([undefined, undefined]), new Map());
+});
+
+test('invalid options and colliding ids are rejected with status 400', () => {
+    rejects(() => objectIds('Doc', [{}], { idStrategy: 'sequential' }), /idStrategy must be one of/);
+    rejects(() => objectIds('Doc', [{ key: 'a' }, {}], { idStrategy: 'key' }), /objects\[1\]\.key is required/);
+    rejects(() => objectIds('Doc', [{}], { idStrategy: 'source' }), /objects\[0\]\.source is required/);
+    rejects(
+        () => objectIds('Doc', [{ key: 'a' }, { key: 'b' }, { key: 'a' }], { idStrategy: 'key' }),
+        /objects\[0\] and objects\[2\] map to the same id/
+    );
+});
+
+test('chunk 0 keeps the parent id', () => {
+    const parent = keyId('Doc', 'guide');
+
+    assert.strictEqual(chunkId('Doc', parent, 0), parent);
+    assert.match(chunkId('Doc', parent, 1), UUID);
+    assert.notStrictEqual(chunkId('Doc', parent, 1), chunkId('Doc', parent, 2));
+});
+
+describe('fetchExisting against the fake backend', () => {
+    let backend;
+    let client;
+
+    before(async () => {
+        backend = await new FakeBackend({ port: 0, dimensions: 8 }).start();
+        client = weaviate.client(weaviateConnectionParams(backend.url));
+    });
+
+    after(() => backend.stop());
+
+    test('returns the content hash and vector of stored ids', async () => {
+        const id = keyId('Doc', 'stored');
+        backend.seed('Doc', [{ id, title: 'Stored', content: 'Body' }]);
+
+        const existing = await fetchExisting(client, 'Doc', [id, keyId('Doc', 'missing')], textOf);
+
+        assert.deepStrictEqual(Array.from(existing.keys()), [id]);
+        assert.strictEqual(existing.get(id).hash, contentHash('Stored\nBody'));
+        assert.strictEqual(existing.get(id).vector.length, 8);
+    });
+
+    test('a class that does not exist yet has no objects', async () => {
+        const existing = await fetchExisting(client, 'NotCreated', [keyId('NotCreated', 'x')], textOf);
+
+        assert.strictEqual(existing.size, 0);
+    });
+});
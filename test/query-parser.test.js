@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSearchQuery, QuerySyntaxError } = require('../lib/query-parser');
+const { compileFilters } = require('../lib/search-filters');
+
+test('splits free text, phrases and field predicates', () => {
+    const parsed = parseSearchQuery('category:documentation priority>=0.5 created:>2025-01-01 "connection pooling" tuning');
+
+    assert.strictEqual(parsed.text, 'connection pooling tuning');
+    assert.deepStrictEqual(parsed.terms, ['tuning']);
+    assert.deepStrictEqual(parsed.phrases, ['connection pooling']);
+    assert.deepStrictEqual(parsed.filters, {
+        category: 'documentation',
+        priority: { gte: 0.5 },
+        createdAt: { gt: '2025-01-01T00:00:00.000Z' }
+    });
+    assert.deepStrictEqual(parsed.predicates.map(predicate => predicate.position), [0, 23, 37]);
+});
+
+test('the filters it produces compile into a where clause', () => {
+    const { filters } = parseSearchQuery('type:guide type:faq words<500 active:yes');
+
+    assert.deepStrictEqual(filters, {
+        contentType: ['guide', 'faq'],
+        wordCount: { lt: 500 },
+        isActive: true
+    });
+    assert.strictEqual(compileFilters(filters).operator, 'And');
+});
+
+test('quoted values and escapes', () => {
+    const parsed = parseSearchQuery('source:"Internal Wiki" "say \\"hi\\""');
+
+    assert.deepStrictEqual(parsed.filters, { source: 'Internal Wiki' });
+    assert.deepStrictEqual(parsed.phrases, ['say "hi"']);
+});
+
+test('unknown field names stay free text', () => {
+    const parsed = parseSearchQuery('Note: restart the pool');
+
+    assert.strictEqual(parsed.text, 'Note: restart the pool');
+    assert.deepStrictEqual(parsed.predicates, []);
+    assert.strictEqual(parsed.filters, null);
+});
+
+test('syntax errors carry the character position and status 400', () => {
+    const rejects = (raw, message, position) => assert.throws(() => parseSearchQuery(raw), error => {
+        assert.ok(error instanceof QuerySyntaxError);
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.position, position);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    rejects('pooling "unterminated', /Unterminated quote/, 8);
+    rejects('priority>high', /Expected a number for priority/, 9);
+    rejects('words:2.5', /Expected a whole number for words/, 6);
+    rejects('category>docs', /Operator ">" is not supported for text field category/, 8);
+    rejects('created:yesterday', /Expected a date/, 8);
+    rejects('active:maybe', /Expected true or false/, 7);
+    rejects('priority:', /Expected a value after "priority:"/, 9);
+    rejects(42, /Query must be a string/, 0);
+});
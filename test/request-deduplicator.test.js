@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RequestDeduplicator = require('../lib/request-deduplicator');
+
+/**
+ * Request function that counts its calls and settles only when its
+ * signal aborts or the test resolves it
+ */
+function createRequest() {
+    const request = { calls: 0, signals: [], resolvers: [] };
+    request.fn = signal => {
+        request.calls++;
+        request.signals.push(signal);
+        return new Promise((resolve, reject) => {
+            request.resolvers.push(resolve);
+            signal.addEventListener('abort', () => reject(new Error('upstream aborted')), { once: true });
+        });
+    };
+    return request;
+}
+
+test('concurrent callers with the same key share one request', async () => {
+    const deduplicator = new RequestDeduplicator();
+    const request = createRequest();
+
+    const first = deduplicator.dedupe('search', request.fn);
+    const second = deduplicator.dedupe('search', request.fn);
+    request.resolvers[0]('result');
+
+    assert.deepStrictEqual(await Promise.all([first, second]), ['result', 'result']);
+    assert.strictEqual(request.calls, 1);
+    assert.strictEqual(deduplicator.getStats().deduped, 1);
+    assert.strictEqual(deduplicator.getStats().currentPending, 0);
+});
+
+test('the request aborts only once every caller has aborted', async () => {
+    const deduplicator = new RequestDeduplicator();
+    const request = createRequest();
+    const callers = [new AbortController(), new AbortController()];
+
+    const promises = callers.map(caller => deduplicator.dedupe('search', request.fn, caller.signal));
+    callers[0].abort();
+    await assert.rejects(promises[0], { name: 'AbortError', status: 499 });
+    assert.strictEqual(request.signals[0].aborted, false);
+
+    callers[1].abort();
+    await assert.rejects(promises[1], { status: 499 });
+    assert.strictEqual(request.signals[0].aborted, true);
+});
+
+test('a caller arriving after the abort starts a new request', async () => {
+    const deduplicator = new RequestDeduplicator();
+    const caller = new AbortController();
+
+    // An upstream call that ignores its signal and never settles
+    const aborted = deduplicator.dedupe('search', () => new Promise(() => {}), caller.signal);
+    caller.abort();
+    await assert.rejects(aborted, { status: 499 });
+
+    const request = createRequest();
+    const fresh = deduplicator.dedupe('search', request.fn);
+    assert.strictEqual(request.calls, 1);
+    request.resolvers[0]('result');
+    assert.strictEqual(await fresh, 'result');
+    assert.strictEqual(deduplicator.getStats().deduped, 0);
+});
+
+test('an aborted request settling late leaves the newer request pending', async () => {
+    const deduplicator = new RequestDeduplicator();
+    const caller = new AbortController();
+    let settleAborted;
+    const aborted = deduplicator.dedupe('search', () => new Promise(resolve => {
+        settleAborted = resolve;
+    }), caller.signal);
+    caller.abort();
+    await assert.rejects(aborted, { status: 499 });
+
+    const request = createRequest();
+    const fresh = deduplicator.dedupe('search', request.fn);
+    settleAborted('stale');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(deduplicator.getStats().currentPending, 1);
+    request.resolvers[0]('result');
+    assert.strictEqual(await fresh, 'result');
+});
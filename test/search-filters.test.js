@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileFilters, combineWhere, FilterValidationError } = require('../lib/search-filters');
+const { matchesWhere } = require('../lib/where-filter');
+
+test('no filters compile to no where clause', () => {
+    assert.strictEqual(compileFilters(undefined), null);
+    assert.strictEqual(compileFilters(null), null);
+    assert.strictEqual(compileFilters({}), null);
+});
+
+test('a single filter compiles to a single operand', () => {
+    assert.deepStrictEqual(compileFilters({ category: 'docs' }), {
+        path: ['category'], operator: 'Equal', valueText: 'docs'
+    });
+});
+
+test('keys at one level are combined with And, lists of values with Or', () => {
+    assert.deepStrictEqual(compileFilters({ category: ['docs', 'faq'], minPriority: 5, isActive: true }), {
+        operator: 'And',
+        operands: [
+            {
+                operator: 'Or',
+                operands: [
+                    { path: ['category'], operator: 'Equal', valueText: 'docs' },
+                    { path: ['category'], operator: 'Equal', valueText: 'faq' }
+                ]
+            },
+            { path: ['priority'], operator: 'GreaterThanEqual', valueNumber: 5 },
+            { path: ['isActive'], operator: 'Equal', valueBoolean: true }
+        ]
+    });
+});
+
+test('comparisons and dates are typed for their property', () => {
+    assert.deepStrictEqual(compileFilters({ wordCount: { gt: 100, lte: 2000 }, createdAfter: '2024-01-01' }), {
+        operator: 'And',
+        operands: [
+            { path: ['wordCount'], operator: 'GreaterThan', valueInt: 100 },
+            { path: ['wordCount'], operator: 'LessThanEqual', valueInt: 2000 },
+            { path: ['createdAt'], operator: 'GreaterThanEqual', valueDate: '2024-01-01T00:00:00.000Z' }
+        ]
+    });
+});
+
+test('or takes nested filter objects', () => {
+    const where = compileFilters({ or: [{ contentType: 'guide' }, { isActive: true, maxWordCount: 500 }] });
+
+    assert.strictEqual(where.operator, 'Or');
+    assert.strictEqual(matchesWhere(where, { contentType: 'guide', isActive: false }, {}), true);
+    assert.strictEqual(matchesWhere(where, { contentType: 'faq', isActive: true, wordCount: 300 }, {}), true);
+    assert.strictEqual(matchesWhere(where, { contentType: 'faq', isActive: true, wordCount: 900 }, {}), false);
+});
+
+test('invalid filters are rejected with status 400 and the offending path', () => {
+    const rejects = (filters, message) => assert.throws(() => compileFilters(filters), error => {
+        assert.ok(error instanceof FilterValidationError);
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, message);
+        return true;
+    });
+
+    rejects({ colour: 'red' }, /Unknown filter "filters\.colour"/);
+    rejects({ minWordCount: 1.5 }, /filters\.minWordCount must be an integer/);
+    rejects({ createdBefore: 'yesterday' }, /filters\.createdBefore must be an ISO 8601 date/);
+    rejects({ priority: { near: 1 } }, /Unknown comparison "filters\.priority\.near"/);
+    rejects({ or: [{ isActive: 'yes' }] }, /filters\.or\[0\]\.isActive must be a boolean/);
+    rejects({ category: [] }, /filters\.category must be a string or a non-empty array/);
+    rejects([], /filters must be an object/);
+});
+
+test('combineWhere skips empty clauses', () => {
+    const a = { path: ['category'], operator: 'Equal', valueText: 'docs' };
+    const b = { path: ['isActive'], operator: 'Equal', valueBoolean: true };
+
+    assert.strictEqual(combineWhere(null, undefined), null);
+    assert.strictEqual(combineWhere(null, a), a);
+    assert.deepStrictEqual(combineWhere(a, null, b), { operator: 'And', operands: [a, b] });
+});
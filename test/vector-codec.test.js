@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { VECTOR_FORMATS, isVector, encodeVector, decodeVector, vectorBytes } = require('../lib/vector-codec');
+const CacheManager = require('../lib/cache-manager');
+
+// Deterministic embedding-like vector with values in [-1, 1]
+const vector = (length, seed = 1) => Array.from({ length }, (_, i) => Math.sin(seed * 7.3 + i * 1.7));
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return dot / Math.sqrt(normA * normB);
+}
+
+test('isVector only accepts non-empty arrays of numbers', () => {
+    assert.strictEqual(isVector([0.1, 0.2]), true);
+    assert.strictEqual(isVector([]), false);
+    assert.strictEqual(isVector(['a']), false);
+    assert.strictEqual(isVector({ data: [1] }), false);
+});
+
+test('none passes the array through', () => {
+    const original = vector(8);
+
+    assert.strictEqual(encodeVector(original, 'none'), original);
+    assert.strictEqual(decodeVector(original), original);
+});
+
+test('every format decodes to a plain array close to the original', () => {
+    const original = vector(1024);
+    const tolerance = { none: 0, float32: 1e-7, float16: 1e-3, int8: 1e-2 };
+
+    for (const format of VECTOR_FORMATS) {
+        const decoded = decodeVector(encodeVector(original, format));
+
+        assert.ok(Array.isArray(decoded), format);
+        assert.strictEqual(decoded.length, original.length, format);
+        const worst = Math.max(...decoded.map((value, i) => Math.abs(value - original[i])));
+        assert.ok(worst <= tolerance[format], `${format} differs by up to ${worst}`);
+        assert.ok(cosine(original, decoded) > 0.999, format);
+    }
+});
+
+test('float16 keeps zero, signs, small and out-of-range values', () => {
+    const decoded = decodeVector(encodeVector([0, -0.5, 1e-5, 1e-9, 70000, -70000], 'float16'));
+
+    assert.deepStrictEqual(decoded.slice(0, 2), [0, -0.5]);
+    assert.ok(Math.abs(decoded[2] - 1e-5) < 1e-7, 'subnormal half');
+    assert.strictEqual(decoded[3], 0);
+    assert.deepStrictEqual(decoded.slice(4), [Infinity, -Infinity]);
+});
+
+test('int8 scales by the largest magnitude and survives an all-zero vector', () => {
+    const encoded = encodeVector([0.5, -0.2, 0], 'int8');
+
+    assert.deepStrictEqual(Array.from(encoded.data), [127, -51, 0]);
+    assert.strictEqual(encoded.scale, 0.5 / 127);
+    assert.deepStrictEqual(decodeVector(encodeVector([0, 0], 'int8')), [0, 0]);
+});
+
+test('smaller formats take fewer bytes', () => {
+    const original = vector(1024);
+    const bytes = Object.fromEntries(VECTOR_FORMATS.map(format => [format, vectorBytes(encodeVector(original, format))]));
+
+    assert.ok(bytes.none > bytes.float32);
+    assert.ok(bytes.float32 > bytes.float16);
+    assert.ok(bytes.float16 > bytes.int8);
+    assert.strictEqual(bytes.float32 - bytes.float16, 2048);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => encodeVector([1], 'bfloat16'), /Unknown vector format bfloat16/);
+    assert.throws(() => new CacheManager({ vectorFormat: 'bfloat16' }), /EMBEDDING_CACHE_FORMAT must be one of/);
+});
+
+test('the embeddings cache evicts least recently used vectors past its byte budget', async () => {
+    const entryBytes = vectorBytes(encodeVector(vector(256), 'float16'));
+    const cache = new CacheManager({ vectorFormat: 'float16', embeddingCacheBytes: entryBytes * 2 });
+
+    await cache.set('embeddings', 'a', vector(256, 1));
+    await cache.set('embeddings', 'b', vector(256, 2));
+    // Reading a makes b the least recently used
+    assert.ok(cosine(await cache.get('embeddings', 'a'), vector(256, 1)) > 0.999);
+    await cache.set('embeddings', 'c', vector(256, 3));
+
+    assert.strictEqual(await cache.get('embeddings', 'b'), null);
+    assert.ok(await cache.get('embeddings', 'a'));
+    assert.ok(await cache.get('embeddings', 'c'));
+    assert.strictEqual(cache.embeddingMemory.bytes, entryBytes * 2);
+    assert.strictEqual(cache.embeddingMemory.evictions, 1);
+});
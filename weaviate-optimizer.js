@@ -1,29 +1,31 @@
 require('dotenv').config();
 const weaviate = require('weaviate-ts-client').default;
-const { CohereClient } = require('cohere-ai');
 const OpenAI = require('openai');
 const CacheManager = require('./lib/cache-manager');
 const MetricsCollector = require('./lib/metrics-collector');
+const { weaviateConnectionParams, openRouterBaseUrl } = require('./lib/service-endpoints');
+const { keyId, chunkId, fetchExisting, contentHash } = require('./lib/object-ids');
+const { retryRounds, writeBatch } = require('./lib/batch-results');
+const DocumentChunker = require('./lib/document-chunker');
+const EmbeddingProviderRegistry = require('./lib/embedding-provider-registry');
+const EmbeddingStore = require('./lib/embedding-store');
 
 class WeaviateOptimizer {
-    constructor() {
+    constructor(options = {}) {
         // Initialize Weaviate client
         this.weaviateClient = weaviate.client({
-            scheme: 'https',
-            host: process.env.WEAVIATE_ENDPOINT.replace('https://', '').replace('/', ''),
+            ...weaviateConnectionParams(),
             headers: {
                 'X-Cohere-Api-Key': process.env.COHERE_API_KEY,
             }
         });
 
-        // Initialize Cohere client
-        this.cohereClient = new CohereClient({
-            token: process.env.COHERE_API_KEY,
-        });
+        // Embedding providers; OptimizedDocument uses its configured provider
+        this.embeddingProviders = EmbeddingProviderRegistry.fromEnv();
 
         // Initialize OpenRouter client
         this.openRouterClient = new OpenAI({
-            baseURL: 'https://openrouter.ai/api/v1',
+            baseURL: openRouterBaseUrl(),
             apiKey: process.env.OPENROUTER_API_KEY,
             defaultHeaders: {
                 'HTTP-Referer': 'https://max-mcp-railway.up.railway.app',
@@ -32,7 +34,8 @@ class WeaviateOptimizer {
         });
 
         // Initialize cache and metrics
-        this.cacheManager = new CacheManager();
+        this.cacheManager = options.cacheManager || new CacheManager();
+        this.embeddingStore = EmbeddingStore.shared();
         this.metricsCollector = new MetricsCollector();
     }
 
@@ -123,6 +126,27 @@ class WeaviateOptimizer {
                         dataType: ['boolean'],
                         description: 'Whether document is active',
                         indexFilterable: true
+                    },
+                    {
+                        name: 'parentId',
+                        dataType: ['text'],
+                        description: 'Id of the document a chunk belongs to',
+                        tokenization: 'field',
+                        indexFilterable: true,
+                        indexSearchable: false
+                    },
+                    {
+                        name: 'chunkIndex',
+                        dataType: ['int'],
+                        description: 'Position of the chunk in its document',
+                        indexFilterable: true,
+                        indexRangeFilters: true
+                    },
+                    {
+                        name: 'chunkCount',
+                        dataType: ['int'],
+                        description: 'Number of chunks in the document',
+                        indexFilterable: false
                     }
                 ]
             };
@@ -133,8 +157,27 @@ class WeaviateOptimizer {
                     .withClassName('OptimizedDocument')
                     .do();
                 console.log('ℹ️ OptimizedDocument class already exists');
+
+                // Add properties introduced since the class was created
+                const existingNames = new Set((existingClass.properties || []).map(property => property.name));
+                const added = [];
+                for (const property of optimizedClass.properties.filter(item => !existingNames.has(item.name))) {
+                    await this.weaviateClient.schema.propertyCreator()
+                        .withClassName('OptimizedDocument')
+                        .withProperty(property)
+                        .do();
+                    added.push(property.name);
+                }
+
+                if (added.length > 0) {
+                    console.log(`✅ Added OptimizedDocument properties: ${added.join(', ')}`);
+                    return { success: true, message: 'Schema updated', addedProperties: added };
+                }
                 return { success: true, message: 'Schema already optimized' };
             } catch (error) {
+                if (!/\(404\)|not found/i.test(error.message)) {
+                    throw error;
+                }
                 // Class doesn't exist, continue with creation
             }
 
@@ -151,31 +194,50 @@ class WeaviateOptimizer {
         }
     }
 
-    // Generate Cohere v3 embeddings for text with caching
-    async generateEmbedding(text) {
-        const cacheKey = this.cacheManager.generateKey('embedding', text);
+    // Embedding cache key: vectors from different providers, models or input types never share an entry
+    embeddingCacheKey(provider, inputType, text) {
+        return this.cacheManager.generateKey('embedding', provider.name, provider.model, inputType, text);
+    }
+
+    // Embedding store descriptor of a provider and input type
+    embeddingStoreEntry(provider, inputType) {
+        return { provider: provider.name, model: provider.model, inputType };
+    }
+
+    // Generate an embedding with the provider for options.className / options.provider, with caching.
+    // options.inputType is 'document' (default) or 'query'
+    async generateEmbedding(text, options = {}) {
+        const provider = this.embeddingProviders.resolve(options);
+        const inputType = options.inputType || 'document';
+        const cacheKey = this.embeddingCacheKey(provider, inputType, text);
         
         // Check cache first
         const cached = await this.cacheManager.get('embeddings', cacheKey);
         if (cached) {
-            this.metricsCollector.recordEmbedding(0, true);
+            this.metricsCollector.recordEmbedding(0, true, inputType);
             return cached;
         }
 
+        // Then the persistent store
+        const storeEntry = this.embeddingStoreEntry(provider, inputType);
+        const stored = this.embeddingStore && await this.embeddingStore.get(storeEntry, text);
+        if (stored) {
+            await this.cacheManager.set('embeddings', cacheKey, stored);
+            this.metricsCollector.recordEmbedding(0, true, inputType);
+            return stored;
+        }
+
         try {
             const start = Date.now();
-            const response = await this.cohereClient.embed({
-                texts: [text],
-                model: 'embed-english-v3.0',
-                inputType: 'search_document'
-            });
-            
-            const embedding = response.embeddings[0];
+            const [embedding] = await this.embeddingProviders.embed([text], { provider: provider.name, inputType });
             
-            // Cache the result
+            // Cache and store the result
             await this.cacheManager.set('embeddings', cacheKey, embedding);
+            if (this.embeddingStore) {
+                await this.embeddingStore.set(storeEntry, text, embedding);
+            }
             
-            this.metricsCollector.recordEmbedding(Date.now() - start, false);
+            this.metricsCollector.recordEmbedding(Date.now() - start, false, inputType);
             return embedding;
         } catch (error) {
             console.error('❌ Failed to generate embedding:', error);
@@ -184,44 +246,61 @@ class WeaviateOptimizer {
     }
 
     // Batch generate embeddings with caching
-    async batchGenerateEmbeddings(texts) {
+    async batchGenerateEmbeddings(texts, options = {}) {
+        const provider = this.embeddingProviders.resolve(options);
+        const inputType = options.inputType || 'document';
         const embeddings = [];
         const uncachedTexts = [];
         const uncachedIndices = [];
 
         // Check cache for each text
         for (let i = 0; i < texts.length; i++) {
-            const cacheKey = this.cacheManager.generateKey('embedding', texts[i]);
+            const cacheKey = this.embeddingCacheKey(provider, inputType, texts[i]);
             const cached = await this.cacheManager.get('embeddings', cacheKey);
             
             if (cached) {
                 embeddings[i] = cached;
-                this.metricsCollector.recordEmbedding(0, true);
+                this.metricsCollector.recordEmbedding(0, true, inputType);
             } else {
                 uncachedTexts.push(texts[i]);
                 uncachedIndices.push(i);
             }
         }
 
+        // Then the persistent store
+        const storeEntry = this.embeddingStoreEntry(provider, inputType);
+        if (this.embeddingStore && uncachedTexts.length > 0) {
+            const stored = await this.embeddingStore.getMany(storeEntry, uncachedTexts);
+            for (let i = stored.length - 1; i >= 0; i--) {
+                if (stored[i]) {
+                    const originalIndex = uncachedIndices[i];
+                    embeddings[originalIndex] = stored[i];
+                    await this.cacheManager.set('embeddings', this.embeddingCacheKey(provider, inputType, texts[originalIndex]), stored[i]);
+                    this.metricsCollector.recordEmbedding(0, true, inputType);
+                    uncachedTexts.splice(i, 1);
+                    uncachedIndices.splice(i, 1);
+                }
+            }
+        }
+
         // Generate embeddings for uncached texts
         if (uncachedTexts.length > 0) {
             try {
                 const start = Date.now();
-                const response = await this.cohereClient.embed({
-                    texts: uncachedTexts,
-                    model: 'embed-english-v3.0',
-                    inputType: 'search_document'
-                });
+                const vectors = await this.embeddingProviders.embed(uncachedTexts, { provider: provider.name, inputType });
+                if (this.embeddingStore) {
+                    await this.embeddingStore.setMany(storeEntry, uncachedTexts, vectors);
+                }
 
                 // Cache and assign embeddings
-                for (let i = 0; i < response.embeddings.length; i++) {
+                for (let i = 0; i < vectors.length; i++) {
                     const originalIndex = uncachedIndices[i];
-                    const cacheKey = this.cacheManager.generateKey('embedding', texts[originalIndex]);
+                    const cacheKey = this.embeddingCacheKey(provider, inputType, texts[originalIndex]);
                     
-                    embeddings[originalIndex] = response.embeddings[i];
-                    await this.cacheManager.set('embeddings', cacheKey, response.embeddings[i]);
+                    embeddings[originalIndex] = vectors[i];
+                    await this.cacheManager.set('embeddings', cacheKey, vectors[i]);
                     
-                    this.metricsCollector.recordEmbedding((Date.now() - start) / uncachedTexts.length, false);
+                    this.metricsCollector.recordEmbedding((Date.now() - start) / uncachedTexts.length, false, inputType);
                 }
             } catch (error) {
                 console.error('❌ Failed to generate batch embeddings:', error);
@@ -232,15 +311,25 @@ class WeaviateOptimizer {
         return embeddings;
     }
 
-    // Migrate data from old classes to optimized class with Cohere v3 embeddings
+    // Migrate data from old classes to optimized class, embedded with its provider
+    // (options.embeddingProvider overrides)
     async migrateData(options = {}) {
         try {
-            console.log('🚀 Starting data migration with Cohere v3 embeddings...');
+            const embedOptions = { className: 'OptimizedDocument', provider: options.embeddingProvider, inputType: 'document' };
+            const provider = this.embeddingProviders.resolve(embedOptions);
+            console.log(`🚀 Starting data migration with ${provider.name} (${provider.model}) embeddings...`);
             
             const sourceClasses = ['Document', 'Knowledge', 'CohereKnowledge'];
             let totalMigrated = 0;
             let totalSkipped = 0;
+            let totalReused = 0;
+            let totalFailed = 0;
             const batchSize = options.batchSize || 50;
+            const retries = retryRounds(options.retryFailed);
+            // Long documents are stored as chunks unless chunking is false
+            const chunker = options.chunking === false
+                ? null
+                : new DocumentChunker(typeof options.chunking === 'object' ? options.chunking : {});
             const skipLowValue = options.skipLowValue !== false;
             const onProgress = options.onProgress || (() => {});
 
@@ -267,7 +356,7 @@ class WeaviateOptimizer {
                     const result = await this.weaviateClient.graphql
                         .get()
                         .withClassName(sourceClass)
-                        .withFields('title content source category')
+                        .withFields('title content source category _additional { id }')
                         .withLimit(batchSize)
                         .withOffset(offset)
                         .do();
@@ -277,9 +366,8 @@ class WeaviateOptimizer {
                     if (documents.length === 0) break;
                     
                     // Process batch
-                    const batchObjects = [];
-                    const textsToEmbed = [];
                     const docsToProcess = [];
+                    let batchErrors = [];
                     
                     for (const doc of documents) {
                         // Clean and optimize document
@@ -291,30 +379,95 @@ class WeaviateOptimizer {
                             continue;
                         }
                         
-                        const text = `${cleaned.title} ${cleaned.content}`.substring(0, 2000);
-                        textsToEmbed.push(text);
-                        docsToProcess.push(cleaned);
+                        // Id derived from the source object, so re-running the
+                        // migration replaces documents instead of duplicating them
+                        const parentId = keyId('OptimizedDocument', `${sourceClass}/${doc._additional.id}`);
+                        if (!chunker) {
+                            docsToProcess.push({ sourceId: doc._additional.id, id: parentId, properties: cleaned });
+                            continue;
+                        }
+                        
+                        const chunks = chunker.chunk(cleaned.content, { contentType: cleaned.contentType });
+                        for (const chunk of chunks) {
+                            docsToProcess.push({
+                                sourceId: doc._additional.id,
+                                id: chunkId('OptimizedDocument', parentId, chunk.index),
+                                properties: {
+                                    ...cleaned,
+                                    content: chunk.text || cleaned.content,
+                                    parentId,
+                                    chunkIndex: chunk.index,
+                                    chunkCount: chunks.length
+                                }
+                            });
+                        }
                     }
                     
-                    // Batch generate embeddings
-                    if (textsToEmbed.length > 0) {
-                        const embeddings = await this.batchGenerateEmbeddings(textsToEmbed);
+                    if (docsToProcess.length > 0) {
+                        // Reuse vectors of already migrated documents whose text hasn't changed
+                        const existing = await fetchExisting(
+                            this.weaviateClient,
+                            'OptimizedDocument',
+                            docsToProcess.map(doc => doc.id),
+                            doc => this.migrationText(doc)
+                        );
+                        
+                        const needEmbedding = [];
+                        for (const doc of docsToProcess) {
+                            const current = existing.get(doc.id);
+                            if (current?.vector && current.hash === contentHash(this.migrationText(doc.properties))) {
+                                doc.vector = current.vector;
+                                totalReused++;
+                            } else {
+                                needEmbedding.push(doc);
+                            }
+                        }
                         
-                        for (let i = 0; i < docsToProcess.length; i++) {
-                            batchObjects.push({
-                                class: 'OptimizedDocument',
-                                properties: docsToProcess[i],
-                                vector: embeddings[i]
+                        // Batch generate embeddings
+                        if (needEmbedding.length > 0) {
+                            const embeddings = await this.batchGenerateEmbeddings(
+                                needEmbedding.map(doc => this.migrationText(doc.properties)),
+                                embedOptions
+                            );
+                            needEmbedding.forEach((doc, i) => {
+                                doc.vector = embeddings[i];
                             });
                         }
                         
-                        // Insert batch
-                        await this.weaviateClient.batch
-                            .objectsBatcher()
-                            .withObjects(...batchObjects)
-                            .do();
+                        // Insert batch, checking each object's result
+                        const { failures } = await writeBatch(docsToProcess, (pending) => {
+                            return this.weaviateClient.batch
+                                .objectsBatcher()
+                                .withObjects(...pending.map(doc => ({
+                                    class: 'OptimizedDocument',
+                                    id: doc.id,
+                                    properties: doc.properties,
+                                    vector: doc.vector
+                                })))
+                                .do();
+                        }, { retries });
                         
-                        totalMigrated += batchObjects.length;
+                        batchErrors = failures.map(({ item, error, attempts }) => ({
+                            sourceId: item.sourceId,
+                            id: item.id,
+                            error,
+                            attempts
+                        }));
+                        totalMigrated += docsToProcess.length - failures.length;
+                        totalFailed += failures.length;
+                        
+                        // Drop chunks left from a longer earlier version of a document
+                        if (chunker) {
+                            const parents = new Map(docsToProcess.map(({ properties }) => [
+                                properties.parentId,
+                                { parentId: properties.parentId, chunkCount: properties.chunkCount }
+                            ]));
+                            await this.weaviateClient.batch
+                                .objectsBatchDeleter()
+                                .withClassName('OptimizedDocument')
+                                .withWhere(DocumentChunker.staleChunksWhere(Array.from(parents.values())))
+                                .do();
+                        }
                     }
                     
                     offset += batchSize;
@@ -328,10 +481,17 @@ class WeaviateOptimizer {
                         total: totalCount,
                         progress,
                         migrated: totalMigrated,
-                        skipped: totalSkipped
+                        skipped: totalSkipped,
+                        failed: totalFailed,
+                        embeddingsReused: totalReused,
+                        // Objects of this batch Weaviate rejected
+                        errors: batchErrors
                     });
                     
                     console.log(`✅ Progress: ${offset}/${totalCount} (${progress}%)`);
+                    if (batchErrors.length > 0) {
+                        console.warn(`⚠️ ${batchErrors.length} objects from ${sourceClass} failed: ${batchErrors[0].error}`);
+                    }
                     
                     // Rate limiting
                     await new Promise(resolve => setTimeout(resolve, 200));
@@ -341,17 +501,23 @@ class WeaviateOptimizer {
             console.log(`\n✅ Migration completed!`);
             console.log(`📊 Total migrated: ${totalMigrated}`);
             console.log(`🚫 Total skipped: ${totalSkipped}`);
+            console.log(`♻️ Embeddings reused: ${totalReused}`);
+            console.log(`❌ Total failed: ${totalFailed}`);
             
             onProgress({
                 type: 'complete',
                 migrated: totalMigrated,
-                skipped: totalSkipped
+                skipped: totalSkipped,
+                failed: totalFailed,
+                embeddingsReused: totalReused
             });
             
             return {
                 success: true,
                 migrated: totalMigrated,
                 skipped: totalSkipped,
+                failed: totalFailed,
+                embeddingsReused: totalReused,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -360,6 +526,11 @@ class WeaviateOptimizer {
         }
     }
 
+    // Text a migrated document is embedded from
+    migrationText(doc) {
+        return `${doc.title} ${doc.content}`.substring(0, 2000);
+    }
+
     // Clean and optimize document data
     cleanDocument(doc, sourceClass) {
         // Determine content type based on source class and content